@@ -1,32 +1,156 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
 import { AuthProvider } from "./context/AuthContext";
+import { DeviceTypeProvider } from "./context/DeviceTypeProvider";
+import { CompanyProvider } from "./context/CompanyProvider";
 import ProtectedRoute from "./components/ProtectedRoute";
 import Login from "./pages/Login";
 import Signup from "./pages/Signup";
 import ResetPassword from "./pages/ResetPassword";
 import Dashboard from "./pages/Dashboard";
+import UserManagement from "./pages/UserManagement";
+import AssetDetail from "./pages/AssetDetail";
+import AuditLog from "./pages/AuditLog";
+import RecycleBin from "./pages/RecycleBin";
+import DuplicateAssets from "./pages/DuplicateAssets";
+import DepreciationReport from "./pages/DepreciationReport";
+import DeviceTypes from "./pages/DeviceTypes";
+import Companies from "./pages/Companies";
+import BranchesDepartments from "./pages/BranchesDepartments";
+import Employees from "./pages/Employees";
+import EmployeeDetail from "./pages/EmployeeDetail";
+import EmployeeMatch from "./pages/EmployeeMatch";
+import EmployeeOffboarding from "./pages/EmployeeOffboarding";
+import { PERMISSIONS } from "./utils/permissions";
 
 function App() {
   return (
-    <AuthProvider>
-      <Router>
-        <Routes>
-          <Route path="/login" element={<Login />} />
-          <Route path="/signup" element={<Signup />} />
-          <Route path="/reset-password" element={<ResetPassword />} />
-          <Route
-            path="/dashboard"
-            element={
-              <ProtectedRoute>
-                <Dashboard />
-              </ProtectedRoute>
-            }
-          />
-          <Route path="/" element={<Navigate to="/login" replace />} />
-          <Route path="*" element={<Navigate to="/login" replace />} />
-        </Routes>
-      </Router>
-    </AuthProvider>
+    <Router>
+      <AuthProvider>
+        <DeviceTypeProvider>
+          <CompanyProvider>
+            <Routes>
+              <Route path="/login" element={<Login />} />
+              <Route path="/signup" element={<Signup />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route
+                path="/dashboard"
+                element={
+                  <ProtectedRoute>
+                    <Dashboard />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/assets/:id"
+                element={
+                  <ProtectedRoute>
+                    <AssetDetail />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/reports/depreciation"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.REPORT_VIEW]}>
+                    <DepreciationReport />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/users"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.USER_MANAGE]}>
+                    <UserManagement />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/audit-log"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.AUDIT_VIEW]}>
+                    <AuditLog />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/recycle-bin"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.RECYCLE_BIN_MANAGE]}>
+                    <RecycleBin />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/duplicates"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.ASSET_EDIT_ANY, PERMISSIONS.ASSET_DELETE_ANY]}>
+                    <DuplicateAssets />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/device-types"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.MASTER_DATA_MANAGE]}>
+                    <DeviceTypes />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/companies"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.MASTER_DATA_MANAGE]}>
+                    <Companies />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/branches"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.MASTER_DATA_MANAGE]}>
+                    <BranchesDepartments />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/employees"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.ASSET_VIEW_ALL]}>
+                    <Employees />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/employees/match"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.EMPLOYEE_MANAGE, PERMISSIONS.ASSET_EDIT_ANY]}>
+                    <EmployeeMatch />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/employees/:id"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.ASSET_VIEW_ALL]}>
+                    <EmployeeDetail />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/employees/:id/offboarding"
+                element={
+                  <ProtectedRoute permissions={[PERMISSIONS.ASSET_VIEW_ALL, PERMISSIONS.ASSET_EDIT_ANY]}>
+                    <EmployeeOffboarding />
+                  </ProtectedRoute>
+                }
+              />
+              <Route path="/" element={<Navigate to="/login" replace />} />
+              <Route path="*" element={<Navigate to="/login" replace />} />
+            </Routes>
+          </CompanyProvider>
+        </DeviceTypeProvider>
+      </AuthProvider>
+    </Router>
   );
 }
 
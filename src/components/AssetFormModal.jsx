@@ -1,29 +1,67 @@
 import { useState, useEffect } from "react";
-import { companies, deviceTypes, branches as defaultBranches, departments as defaultDepartments, brands, operatingSystems } from "../data/assets";
+import { Link } from "react-router-dom";
+import { branches as defaultBranches, brands, operatingSystems, currencies, specFields } from "../data/assets";
 import { getAllBranches, createBranch } from "../services/branchService";
 import { getAllDepartments, createDepartment } from "../services/departmentService";
+import { getAllAssets } from "../services/assetService";
+import { ASSET_STATUS, initialStatuses, getAssetStatus, getManualTransitions } from "../utils/assetStatus";
+import { toDateInputValue } from "../utils/formatters";
+import { validateAsset } from "../utils/assetValidation";
+import { extractDepartmentRecords, getBranchDepartments } from "../utils/orgStructure";
+import { findSerialMatches, isPlaceholderSerial } from "../utils/assetDuplicates";
+import { DEPRECIATION_METHODS, depreciationMethods } from "../utils/depreciation";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+import { useCompanies } from "../context/useCompanies";
+import EmployeePicker from "./EmployeePicker";
 
-const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser, isAdmin = false }) => {
+// Spec fields start empty; only the ones for the selected device are shown
+const specKeys = Object.keys(specFields);
+const emptySpecs = Object.fromEntries(specKeys.map((key) => [key, ""]));
+
+// Optional date fields - dropped from the payload when empty to avoid backend parsing errors
+const optionalDateFields = ["dateOfPurchase", "warrantyEndDate", "amcExpiryDate"];
+
+// Wait this long after typing stops before checking the device serial number
+const SERIAL_CHECK_DELAY = 400;
+
+const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, canEditSerial = false }) => {
+  const { deviceTypes, deviceTypeNames, getSpecFields, getUsefulLife } = useDeviceTypes();
+  const { companyNames } = useCompanies();
   const [formData, setFormData] = useState({
     serialNumber: "",
     companyName: "",
     branch: "",
     department: "",
+    location: "",
     userName: "",
+    employeeId: "",
+    status: ASSET_STATUS.ASSIGNED,
+    statusReason: "",
     brand: "",
     device: "",
     deviceSerialNo: "",
     operatingSystem: "",
     dateOfPurchase: "",
     remark: "",
+    warrantyEndDate: "",
+    vendor: "",
+    amcContractNo: "",
+    amcExpiryDate: "",
+    purchaseCost: "",
+    currency: currencies[0],
+    depreciationMethod: DEPRECIATION_METHODS.STRAIGHT_LINE,
+    ...emptySpecs,
   });
   const [errors, setErrors] = useState({});
+  // Other assets using the device serial number ({ serial, assets } - serial is the value looked up)
+  const [serialMatches, setSerialMatches] = useState({ serial: "", assets: [] });
   const [customBranches, setCustomBranches] = useState([]);
   const [showCustomBranchInput, setShowCustomBranchInput] = useState(false);
   const [customBranchValue, setCustomBranchValue] = useState("");
   const [branchLoading, setBranchLoading] = useState(false);
 
   // Department custom input states
+  // Department records ({ name, branch }) - a department may belong to one branch
   const [customDepartments, setCustomDepartments] = useState([]);
   const [showCustomDepartmentInput, setShowCustomDepartmentInput] = useState(false);
   const [customDepartmentValue, setCustomDepartmentValue] = useState("");
@@ -32,8 +70,13 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
   // Combined branch list (default + custom from database)
   const allBranches = [...new Set([...defaultBranches, ...customBranches])];
 
-  // Combined department list (default + custom from database)
-  const allDepartments = [...new Set([...defaultDepartments, ...customDepartments])];
+  // Departments at the selected branch (default + shared + the branch's own)
+  // The asset's current department stays selectable even if it belongs elsewhere
+  const branchDepartments = getBranchDepartments(customDepartments, formData.branch);
+  const allDepartments =
+    formData.department && !branchDepartments.includes(formData.department)
+      ? [...branchDepartments, formData.department]
+      : branchDepartments;
 
   // Fetch custom branches from database
   const fetchCustomBranches = async () => {
@@ -54,11 +97,7 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
   const fetchCustomDepartments = async () => {
     try {
       const response = await getAllDepartments();
-      const deptData = response.data || response.departments || response || [];
-      const deptNames = Array.isArray(deptData) 
-        ? deptData.map(d => typeof d === 'string' ? d : d.name).filter(Boolean)
-        : [];
-      setCustomDepartments(deptNames);
+      setCustomDepartments(extractDepartmentRecords(response));
     } catch (error) {
       // Silently handle - use default departments if API fails
       setCustomDepartments([]);
@@ -79,13 +118,25 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
         companyName: editingAsset.companyName || "",
         branch: editingAsset.branch || "",
         department: editingAsset.department || "",
+        location: editingAsset.location || "",
         userName: editingAsset.userName || "",
+        employeeId: editingAsset.employeeId || "",
+        status: getAssetStatus(editingAsset),
+        statusReason: "",
         brand: editingAsset.brand || "",
         device: editingAsset.device || "",
         deviceSerialNo: editingAsset.deviceSerialNo || "",
         operatingSystem: editingAsset.operatingSystem || "",
-        dateOfPurchase: editingAsset.dateOfPurchase || "",
+        dateOfPurchase: toDateInputValue(editingAsset.dateOfPurchase),
         remark: editingAsset.remark || "",
+        warrantyEndDate: toDateInputValue(editingAsset.warrantyEndDate),
+        vendor: editingAsset.vendor || "",
+        amcContractNo: editingAsset.amcContractNo || "",
+        amcExpiryDate: toDateInputValue(editingAsset.amcExpiryDate),
+        purchaseCost: editingAsset.purchaseCost ?? "",
+        currency: editingAsset.currency || currencies[0],
+        depreciationMethod: editingAsset.depreciationMethod || DEPRECIATION_METHODS.STRAIGHT_LINE,
+        ...Object.fromEntries(specKeys.map((key) => [key, editingAsset[key] || ""])),
       });
     } else {
       setFormData({
@@ -93,13 +144,25 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
         companyName: "",
         branch: "",
         department: "",
+        location: "",
         userName: "",
+        employeeId: "",
+        status: ASSET_STATUS.ASSIGNED,
+        statusReason: "",
         brand: "",
         device: "",
         deviceSerialNo: "",
         operatingSystem: "",
         dateOfPurchase: "",
         remark: "",
+        warrantyEndDate: "",
+        vendor: "",
+        amcContractNo: "",
+        amcExpiryDate: "",
+        purchaseCost: "",
+        currency: currencies[0],
+        depreciationMethod: DEPRECIATION_METHODS.STRAIGHT_LINE,
+        ...emptySpecs,
       });
     }
     setErrors({});
@@ -109,26 +172,57 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
     setCustomDepartmentValue("");
   }, [editingAsset, isOpen]);
 
+  // Warn about a device serial number that is already in use, shortly after typing stops
+  useEffect(() => {
+    const serial = formData.deviceSerialNo.trim();
+    if (!isOpen || isPlaceholderSerial(serial)) return;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await getAllAssets({ page: 1, limit: 50, search: serial });
+        const assetData = response?.data?.assets || response?.data || response || [];
+        const editingId = editingAsset?._id || editingAsset?.id || null;
+        setSerialMatches({
+          serial,
+          assets: findSerialMatches(serial, Array.isArray(assetData) ? assetData : [], editingId),
+        });
+      } catch (err) {
+        // Only a warning - saving doesn't depend on it
+        console.error("Error checking device serial number:", err);
+      }
+    }, SERIAL_CHECK_DELAY);
+    return () => clearTimeout(timer);
+  }, [formData.deviceSerialNo, isOpen, editingAsset]);
+
+  // Matches for an older value are ignored until the lookup for the current one finishes
+  const duplicateAssets =
+    serialMatches.serial === formData.deviceSerialNo.trim() ? serialMatches.assets : [];
+
+  // Statuses offered in the form: starting statuses for new assets,
+  // otherwise the current status and the ones it can move to
+  const currentStatus = editingAsset ? getAssetStatus(editingAsset) : null;
+  const statusOptions = editingAsset
+    ? [currentStatus, ...getManualTransitions(currentStatus)]
+    : initialStatuses;
+  const statusChanged = Boolean(editingAsset) && formData.status !== currentStatus;
+
+  // Keep an asset's company and device selectable even if they have since left the catalogue
+  const companyOptions =
+    editingAsset?.companyName && !companyNames.includes(editingAsset.companyName)
+      ? [...companyNames, editingAsset.companyName]
+      : companyNames;
+  const deviceOptions =
+    editingAsset?.device && !deviceTypeNames.includes(editingAsset.device)
+      ? [...deviceTypeNames, editingAsset.device]
+      : deviceTypeNames;
+
+  // Spec fields for the selected device type
+  const deviceSpecs = getSpecFields(formData.device);
+
   const validateForm = () => {
-    const newErrors = {};
-    // Serial number is generated by backend, no frontend validation needed
-    if (!formData.companyName) {
-      newErrors.companyName = "Company is required";
-    }
-    if (!formData.branch) {
-      newErrors.branch = "Branch is required";
-    }
-    if (!formData.department) {
-      newErrors.department = "Department is required";
-    }
-    if (!formData.userName.trim()) {
-      newErrors.userName = "User name is required";
-    }
-    if (!formData.device) {
-      newErrors.device = "Device type is required";
-    }
-    if (!formData.deviceSerialNo.trim()) {
-      newErrors.deviceSerialNo = "Device serial number is required";
+    const newErrors = validateAsset(formData, { isNew: !editingAsset, deviceTypes });
+    // Every status change needs a reason
+    if (statusChanged && !formData.statusReason.trim()) {
+      newErrors.statusReason = "Reason is required when changing status";
     }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -139,9 +233,38 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
     if (validateForm()) {
       // Create a copy of formData and handle optional fields
       const submitData = { ...formData };
-      // Remove dateOfPurchase if empty to avoid backend parsing errors
-      if (!submitData.dateOfPurchase || submitData.dateOfPurchase.trim() === "") {
-        delete submitData.dateOfPurchase;
+      // Clear specs that don't apply to the device (e.g. after changing Laptop to Printer)
+      specKeys.forEach((key) => {
+        submitData[key] = deviceSpecs.includes(key) ? submitData[key].trim() : "";
+      });
+      // Blank cost and dates are left out of a new asset (empty strings break backend parsing),
+      // but sent as null on an edit so a cleared value is cleared on the server too
+      const clearField = (field) => {
+        if (editingAsset) {
+          submitData[field] = null;
+        } else {
+          delete submitData[field];
+        }
+      };
+      // Store cost as a number
+      if (submitData.purchaseCost === "") {
+        clearField("purchaseCost");
+      } else {
+        submitData.purchaseCost = Number(submitData.purchaseCost);
+      }
+      optionalDateFields.forEach((field) => {
+        if (!submitData[field] || submitData[field].trim() === "") {
+          clearField(field);
+        }
+      });
+      // Free-text user names aren't linked to an employee
+      if (!submitData.employeeId) {
+        delete submitData.employeeId;
+      }
+      if (statusChanged) {
+        submitData.statusReason = submitData.statusReason.trim();
+      } else {
+        delete submitData.statusReason;
       }
       onSubmit(submitData);
       onClose();
@@ -150,13 +273,33 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
 
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormData((prev) => ({ ...prev, [name]: value }));
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+      // Clear a department that doesn't exist at the newly selected branch
+      ...(name === "branch" &&
+        !getBranchDepartments(customDepartments, value).includes(prev.department) && { department: "" }),
+    }));
     
     if (errors[name]) {
       setErrors((prev) => ({ ...prev, [name]: "" }));
     }
   };
 
+  // Picking an employee links the asset and fills in their branch and department
+  const handleEmployeeChange = (name, employee) => {
+    setFormData((prev) => ({
+      ...prev,
+      userName: name,
+      employeeId: employee ? employee._id || employee.id : "",
+      ...(employee?.branch && { branch: employee.branch }),
+      ...(employee?.department && { department: employee.department }),
+    }));
+    if (errors.userName) {
+      setErrors((prev) => ({ ...prev, userName: "" }));
+    }
+  };
+
   if (!isOpen) return null;
 
   return (
@@ -205,24 +348,24 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
           {/* Form */}
           <form onSubmit={handleSubmit} className="p-4">
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              {/* Serial Number - Auto-generated (editable by Admin) */}
+              {/* Serial Number - Auto-generated (editable with the edit-serial permission) */}
               <div>
                 <label className="block text-xs font-medium text-gray-700 mb-1">
                   S.No
                   <span className="text-gray-400 font-normal ml-1">
-                    {isAdmin ? "(Admin can edit)" : "(Auto-generated by server)"}
+                    {canEditSerial ? "(Editable)" : "(Auto-generated by server)"}
                   </span>
                 </label>
                 <input
                   type="text"
                   name="serialNumber"
-                  value={formData.serialNumber || (editingAsset ? "" : (isAdmin ? "" : "Will be generated on save"))}
-                  onChange={isAdmin ? handleChange : undefined}
-                  readOnly={!isAdmin}
-                  disabled={!isAdmin}
-                  placeholder={isAdmin ? "Enter serial number or leave blank for auto-generation" : "Auto-generated"}
+                  value={formData.serialNumber || (editingAsset ? "" : (canEditSerial ? "" : "Will be generated on save"))}
+                  onChange={canEditSerial ? handleChange : undefined}
+                  readOnly={!canEditSerial}
+                  disabled={!canEditSerial}
+                  placeholder={canEditSerial ? "Enter serial number or leave blank for auto-generation" : "Auto-generated"}
                   className={`w-full px-3 py-2 text-sm border rounded-lg ${
-                    isAdmin 
+                    canEditSerial 
                       ? "focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white transition-colors border-gray-300"
                       : "bg-gray-100 text-gray-600 cursor-not-allowed border-gray-300"
                   }`}
@@ -243,7 +386,7 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
                   }`}
                 >
                   <option value="">Select company</option>
-                  {companies.map((company) => (
+                  {companyOptions.map((company) => (
                     <option key={company} value={company}>
                       {company}
                     </option>
@@ -402,9 +545,9 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
                             setDepartmentLoading(true);
                             try {
                               // Save to database
-                              await createDepartment(customDepartmentValue.trim());
+                              await createDepartment(customDepartmentValue.trim(), formData.branch);
                               // Update local state
-                              setCustomDepartments(prev => [...prev, customDepartmentValue.trim()]);
+                              setCustomDepartments(prev => [...prev, { name: customDepartmentValue.trim(), branch: formData.branch }]);
                               setFormData((prev) => ({ ...prev, department: customDepartmentValue.trim() }));
                               setCustomDepartmentValue("");
                               setShowCustomDepartmentInput(false);
@@ -414,7 +557,7 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
                             } catch (error) {
                               console.error("Error saving department:", error);
                               // Still add locally even if API fails
-                              setCustomDepartments(prev => [...prev, customDepartmentValue.trim()]);
+                              setCustomDepartments(prev => [...prev, { name: customDepartmentValue.trim(), branch: formData.branch }]);
                               setFormData((prev) => ({ ...prev, department: customDepartmentValue.trim() }));
                               setCustomDepartmentValue("");
                               setShowCustomDepartmentInput(false);
@@ -438,7 +581,11 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
                         Cancel
                       </button>
                     </div>
-                    <p className="text-xs text-gray-500">Enter a new department name to save it to the database</p>
+                    <p className="text-xs text-gray-500">
+                      {formData.branch
+                        ? `The new department will be added to ${formData.branch}`
+                        : "Select a branch first to add the department there, or it will be shared by all branches"}
+                    </p>
                   </div>
                 )}
                 {errors.department && (
@@ -446,26 +593,95 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
                 )}
               </div>
 
-              {/* User Name */}
+              {/* Location / Floor - optional level below the department */}
               <div>
                 <label className="block text-xs font-medium text-gray-700 mb-1">
-                  User Name <span className="text-red-500">*</span>
+                  Location / Floor
                 </label>
                 <input
                   type="text"
-                  name="userName"
-                  value={formData.userName}
+                  name="location"
+                  value={formData.location}
                   onChange={handleChange}
-                  placeholder="e.g., John Doe"
-                  className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors ${
-                    errors.userName ? "border-red-500" : "border-gray-300"
-                  }`}
+                  placeholder="e.g., 3rd Floor, Room 301"
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
                 />
+              </div>
+
+              {/* User Name - editable on create only, reassign via check-out / check-in */}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  User Name{" "}
+                  {editingAsset ? (
+                    <span className="text-gray-400 font-normal">(Use Check Out / Check In to reassign)</span>
+                  ) : (
+                    formData.status === ASSET_STATUS.ASSIGNED && <span className="text-red-500">*</span>
+                  )}
+                </label>
+                {editingAsset ? (
+                  <input
+                    type="text"
+                    name="userName"
+                    value={formData.userName || "In stock"}
+                    readOnly
+                    disabled
+                    className="w-full px-3 py-2 text-sm border rounded-lg transition-colors bg-gray-100 text-gray-600 cursor-not-allowed border-gray-300"
+                  />
+                ) : (
+                  <EmployeePicker
+                    value={formData.userName}
+                    employeeId={formData.employeeId}
+                    onChange={handleEmployeeChange}
+                    hasError={Boolean(errors.userName)}
+                  />
+                )}
                 {errors.userName && (
                   <p className="mt-0.5 text-xs text-red-500">{errors.userName}</p>
                 )}
               </div>
 
+              {/* Status */}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  Status <span className="text-red-500">*</span>
+                </label>
+                <select
+                  name="status"
+                  value={formData.status}
+                  onChange={handleChange}
+                  disabled={statusOptions.length === 1}
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white transition-colors disabled:bg-gray-100 disabled:text-gray-600 disabled:cursor-not-allowed"
+                >
+                  {statusOptions.map((status) => (
+                    <option key={status} value={status}>
+                      {status}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Status Change Reason - only when the status is being changed */}
+              {statusChanged && (
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    Reason for Status Change <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="statusReason"
+                    value={formData.statusReason}
+                    onChange={handleChange}
+                    placeholder={`Why is this asset now ${formData.status}?`}
+                    className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors ${
+                      errors.statusReason ? "border-red-500" : "border-gray-300"
+                    }`}
+                  />
+                  {errors.statusReason && (
+                    <p className="mt-0.5 text-xs text-red-500">{errors.statusReason}</p>
+                  )}
+                </div>
+              )}
+
               {/* Brand */}
               <div>
                 <label className="block text-xs font-medium text-gray-700 mb-1">
@@ -500,7 +716,7 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
                   }`}
                 >
                   <option value="">Select device type</option>
-                  {deviceTypes.map((type) => (
+                  {deviceOptions.map((type) => (
                     <option key={type} value={type}>
                       {type}
                     </option>
@@ -529,6 +745,26 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
                 {errors.deviceSerialNo && (
                   <p className="mt-0.5 text-xs text-red-500">{errors.deviceSerialNo}</p>
                 )}
+                {duplicateAssets.length > 0 && (
+                  <p className="mt-0.5 text-xs text-amber-700">
+                    Already used by{" "}
+                    {duplicateAssets.map((asset, index) => (
+                      <span key={asset._id || asset.id}>
+                        {index > 0 && ", "}
+                        <Link
+                          to={`/assets/${asset._id || asset.id}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="font-medium underline hover:text-amber-900"
+                        >
+                          {asset.serialNumber}
+                        </Link>
+                        {asset.userName && ` (${asset.userName})`}
+                      </span>
+                    ))}
+                    . Check it isn't the same device.
+                  </p>
+                )}
               </div>
 
               {/* Operating System */}
@@ -579,6 +815,185 @@ const AssetFormModal = ({ isOpen, onClose, onSubmit, editingAsset, currentUser,
                   className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
                 />
               </div>
+
+              {/* Specifications - depend on the device type */}
+              {deviceSpecs.length > 0 && (
+                <>
+                  <div className="md:col-span-3 pt-2 border-t border-gray-100">
+                    <p className="text-xs font-semibold text-gray-500 uppercase">
+                      {formData.device} Specifications
+                    </p>
+                  </div>
+                  {deviceSpecs.map((key) => (
+                    <div key={key}>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">
+                        {specFields[key].label}
+                      </label>
+                      <input
+                        type="text"
+                        name={key}
+                        value={formData[key]}
+                        onChange={handleChange}
+                        placeholder={specFields[key].placeholder}
+                        className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors ${
+                          errors[key] ? "border-red-500" : "border-gray-300"
+                        }`}
+                      />
+                      {errors[key] && (
+                        <p className="mt-0.5 text-xs text-red-500">{errors[key]}</p>
+                      )}
+                    </div>
+                  ))}
+                </>
+              )}
+
+              {/* Warranty & AMC */}
+              <div className="md:col-span-3 pt-2 border-t border-gray-100">
+                <p className="text-xs font-semibold text-gray-500 uppercase">Warranty &amp; AMC</p>
+              </div>
+
+              {/* Warranty End Date */}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  Warranty End Date
+                </label>
+                <input
+                  type="date"
+                  name="warrantyEndDate"
+                  value={formData.warrantyEndDate}
+                  onChange={handleChange}
+                  className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors ${
+                    errors.warrantyEndDate ? "border-red-500" : "border-gray-300"
+                  }`}
+                />
+                {errors.warrantyEndDate && (
+                  <p className="mt-0.5 text-xs text-red-500">{errors.warrantyEndDate}</p>
+                )}
+              </div>
+
+              {/* Vendor */}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  Vendor
+                </label>
+                <input
+                  type="text"
+                  name="vendor"
+                  value={formData.vendor}
+                  onChange={handleChange}
+                  placeholder="e.g., Dell India"
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                />
+              </div>
+
+              {/* Spacer keeps the AMC fields on their own row */}
+              <div className="hidden md:block"></div>
+
+              {/* AMC Contract Number */}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  AMC Contract No
+                </label>
+                <input
+                  type="text"
+                  name="amcContractNo"
+                  value={formData.amcContractNo}
+                  onChange={handleChange}
+                  placeholder="e.g., AMC-2025-014"
+                  className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors ${
+                    errors.amcContractNo ? "border-red-500" : "border-gray-300"
+                  }`}
+                />
+                {errors.amcContractNo && (
+                  <p className="mt-0.5 text-xs text-red-500">{errors.amcContractNo}</p>
+                )}
+              </div>
+
+              {/* AMC Expiry Date */}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  AMC Expiry Date
+                </label>
+                <input
+                  type="date"
+                  name="amcExpiryDate"
+                  value={formData.amcExpiryDate}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                />
+              </div>
+
+              {/* Cost & Depreciation */}
+              <div className="md:col-span-3 pt-2 border-t border-gray-100">
+                <p className="text-xs font-semibold text-gray-500 uppercase">Cost &amp; Depreciation</p>
+              </div>
+
+              {/* Purchase Cost + Currency */}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  Purchase Cost
+                </label>
+                <div className="flex">
+                  <select
+                    name="currency"
+                    value={formData.currency}
+                    onChange={handleChange}
+                    className="px-2 py-2 text-sm border border-r-0 border-gray-300 rounded-l-lg bg-gray-50 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {currencies.map((currency) => (
+                      <option key={currency} value={currency}>
+                        {currency}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    name="purchaseCost"
+                    min="0"
+                    step="0.01"
+                    value={formData.purchaseCost}
+                    onChange={handleChange}
+                    placeholder="e.g., 55000"
+                    className={`w-full min-w-0 px-3 py-2 text-sm border rounded-r-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors ${
+                      errors.purchaseCost ? "border-red-500" : "border-gray-300"
+                    }`}
+                  />
+                </div>
+                {errors.purchaseCost && (
+                  <p className="mt-0.5 text-xs text-red-500">{errors.purchaseCost}</p>
+                )}
+              </div>
+
+              {/* Depreciation Method */}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  Depreciation Method
+                </label>
+                <select
+                  name="depreciationMethod"
+                  value={formData.depreciationMethod}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white transition-colors"
+                >
+                  {depreciationMethods.map((method) => (
+                    <option key={method} value={method}>
+                      {method}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Useful Life - set per device type */}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  Useful Life
+                </label>
+                <p className="px-3 py-2 text-sm bg-gray-100 text-gray-600 border border-gray-300 rounded-lg">
+                  {formData.device
+                    ? `${getUsefulLife(formData.device)} years (${formData.device})`
+                    : "Select a device type"}
+                </p>
+              </div>
             </div>
 
             {/* Footer */}
@@ -1,32 +1,25 @@
 import { useState, useEffect } from "react";
-
-// Format date to user-friendly format (DD-MM-YYYY)
-const formatDate = (dateString) => {
-  if (!dateString) return "-";
-  try {
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return dateString;
-    const day = String(date.getDate()).padStart(2, "0");
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const year = date.getFullYear();
-    return `${day}-${month}-${year}`;
-  } catch {
-    return dateString;
-  }
-};
+import { Link } from "react-router-dom";
+import { formatDate, formatSpecSummary } from "../utils/formatters";
+import { getStatusColor } from "../utils/assetStyles";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+import { useCompanies } from "../context/useCompanies";
+import { getAssetStatus } from "../utils/assetStatus";
+import { PERMISSIONS, hasPermission, canEditAsset, canDeleteAsset } from "../utils/permissions";
 
 const AssetTable = ({ 
   assets, 
-  currentUser, 
+  user, 
   onEdit, 
   onDelete, 
   viewMode, 
-  isAdmin,
   pagination,
   onPageChange,
   searchTerm = "",
   onSearch
 }) => {
+  const { deviceTypes, getDeviceColor } = useDeviceTypes();
+  const { getCompanyColor } = useCompanies();
   // Local search input state for controlled input
   const [localSearch, setLocalSearch] = useState(searchTerm);
 
@@ -35,23 +28,18 @@ const AssetTable = ({
     setLocalSearch(searchTerm);
   }, [searchTerm]);
 
-  // Check if the current user owns an asset
-  // Handle both cases: createdBy as string ID or as populated user object
-  const canEditAsset = (asset) => {
-    if (!asset.createdBy || !currentUser) return false;
-    // If createdBy is an object (populated), compare _id
-    if (typeof asset.createdBy === 'object') {
-      return asset.createdBy._id === currentUser;
-    }
-    // Otherwise compare directly as string
-    return asset.createdBy === currentUser;
-  };
-
   // Determine if Action column should be shown
-  // - Admin in "All" view: No action column (read-only view of all data)
-  // - Admin in "Mine" view: Show action column with edit/delete for their own entries
-  // - Regular users: Always show action column (they only see their own data)
-  const showActionColumn = isAdmin ? viewMode === "my" : true;
+  // - "All" view: only for roles that can edit or delete other people's entries
+  // - "Mine" view / own-entries-only roles: for roles that can edit or delete their own entries
+  const canViewAll = hasPermission(user, PERMISSIONS.ASSET_VIEW_ALL);
+  const canActOnAny =
+    hasPermission(user, PERMISSIONS.ASSET_EDIT_ANY) ||
+    hasPermission(user, PERMISSIONS.ASSET_DELETE_ANY);
+  const canActOnOwn =
+    hasPermission(user, PERMISSIONS.ASSET_EDIT_OWN) ||
+    hasPermission(user, PERMISSIONS.ASSET_DELETE_OWN);
+  const showActionColumn =
+    canActOnAny || ((!canViewAll || viewMode === "my") && canActOnOwn);
 
   // Client-side search filter (fallback when backend doesn't support search)
   // This filters the current page's assets only
@@ -182,6 +170,9 @@ const AssetTable = ({
               <th className="px-2 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">
                 User
               </th>
+              <th className="px-2 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">
+                Status
+              </th>
               <th className="px-2 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">
                 Brand
               </th>
@@ -191,6 +182,9 @@ const AssetTable = ({
               <th className="px-2 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">
                 Device S.No
               </th>
+              <th className="px-2 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">
+                Specs
+              </th>
               <th className="px-2 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">
                 OS
               </th>
@@ -217,7 +211,13 @@ const AssetTable = ({
                   }`}
                 >
                   <td className="px-2 py-2 text-xs text-blue-700 font-medium whitespace-nowrap">
-                    {asset.serialNumber}
+                    <Link
+                      to={`/assets/${asset._id || asset.id}`}
+                      className="hover:underline"
+                      title="View details and history"
+                    >
+                      {asset.serialNumber}
+                    </Link>
                   </td>
                   <td className="px-2 py-2 text-xs text-gray-900 whitespace-nowrap">
                     <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getCompanyColor(asset.companyName)}`}>
@@ -231,7 +231,20 @@ const AssetTable = ({
                     {asset.department?.length > 15 ? asset.department.substring(0, 15) + "..." : asset.department}
                   </td>
                   <td className="px-2 py-2 text-xs text-gray-900 whitespace-nowrap" title={asset.userName}>
-                    {asset.userName?.length > 20 ? asset.userName.substring(0, 20) + "..." : asset.userName}
+                    {asset.employeeId && asset.userName ? (
+                      <Link to={`/employees/${asset.employeeId}`} className="text-blue-700 hover:underline">
+                        {asset.userName.length > 20 ? asset.userName.substring(0, 20) + "..." : asset.userName}
+                      </Link>
+                    ) : asset.userName?.length > 20 ? (
+                      asset.userName.substring(0, 20) + "..."
+                    ) : (
+                      asset.userName
+                    )}
+                  </td>
+                  <td className="px-2 py-2 whitespace-nowrap">
+                    <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getStatusColor(getAssetStatus(asset))}`}>
+                      {getAssetStatus(asset)}
+                    </span>
                   </td>
                   <td className="px-2 py-2 text-xs text-gray-600 whitespace-nowrap">
                     {asset.brand}
@@ -244,6 +257,9 @@ const AssetTable = ({
                   <td className="px-2 py-2 text-xs text-gray-600 font-mono whitespace-nowrap" title={asset.deviceSerialNo}>
                     {asset.deviceSerialNo?.length > 20 ? asset.deviceSerialNo.substring(0, 20) + "..." : asset.deviceSerialNo}
                   </td>
+                  <td className="px-2 py-2 text-xs text-gray-600 whitespace-nowrap" title={formatSpecSummary(asset, deviceTypes)}>
+                    {formatSpecSummary(asset, deviceTypes).length > 30 ? formatSpecSummary(asset, deviceTypes).substring(0, 30) + "..." : formatSpecSummary(asset, deviceTypes) || "-"}
+                  </td>
                   <td className="px-2 py-2 text-xs text-gray-600 whitespace-nowrap" title={asset.operatingSystem}>
                     {asset.operatingSystem?.length > 12 ? asset.operatingSystem.substring(0, 12) + "..." : asset.operatingSystem}
                   </td>
@@ -255,26 +271,30 @@ const AssetTable = ({
                   </td>
                   {showActionColumn && (
                     <td className="px-2 py-2 text-center whitespace-nowrap">
-                      {canEditAsset(asset) ? (
+                      {canEditAsset(user, asset) || canDeleteAsset(user, asset) ? (
                         <div className="flex items-center justify-center space-x-1">
-                          <button
-                            onClick={() => onEdit(asset)}
-                            className="p-1 text-blue-600 hover:bg-blue-100 rounded transition-colors"
-                            title="Edit"
-                          >
-                            <svg className="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                            </svg>
-                          </button>
-                          <button
-                            onClick={() => onDelete(asset)}
-                            className="p-1 text-red-600 hover:bg-red-100 rounded transition-colors"
-                            title="Delete"
-                          >
-                            <svg className="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                            </svg>
-                          </button>
+                          {canEditAsset(user, asset) && (
+                            <button
+                              onClick={() => onEdit(asset)}
+                              className="p-1 text-blue-600 hover:bg-blue-100 rounded transition-colors"
+                              title="Edit"
+                            >
+                              <svg className="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                              </svg>
+                            </button>
+                          )}
+                          {canDeleteAsset(user, asset) && (
+                            <button
+                              onClick={() => onDelete(asset)}
+                              className="p-1 text-red-600 hover:bg-red-100 rounded transition-colors"
+                              title="Delete"
+                            >
+                              <svg className="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                              </svg>
+                            </button>
+                          )}
                         </div>
                       ) : (
                         <span className="text-xs text-gray-400">—</span>
@@ -286,7 +306,7 @@ const AssetTable = ({
             ) : (
               <tr>
                 <td
-                  colSpan={showActionColumn ? 12 : 11}
+                  colSpan={showActionColumn ? 14 : 13}
                   className="px-3 py-8 text-center"
                 >
                   <div className="flex flex-col items-center">
@@ -410,24 +430,4 @@ const AssetTable = ({
   );
 };
 
-// Helper function to get color based on company
-const getCompanyColor = (company) => {
-  const colors = {
-    OmTrans: "bg-blue-100 text-blue-700",
-    TGL: "bg-purple-100 text-purple-700",
-    OmTrax: "bg-green-100 text-green-700",
-  };
-  return colors[company] || "bg-gray-100 text-gray-700";
-};
-
-// Helper function to get color based on device type
-const getDeviceColor = (device) => {
-  const colors = {
-    Laptop: "bg-emerald-100 text-emerald-700",
-    Desktop: "bg-indigo-100 text-indigo-700",
-    Printer: "bg-orange-100 text-orange-700",
-  };
-  return colors[device] || "bg-gray-100 text-gray-700";
-};
-
 export default AssetTable;
@@ -0,0 +1,81 @@
+import {
+  formatDateTime,
+  formatUserRef,
+  getAssetFieldLabel,
+  formatAssetFieldValue,
+} from "../utils/formatters";
+import { AUDIT_ACTIONS, AUDIT_ACTION_LABELS } from "../services/auditService";
+
+// How each audit action is coloured
+const actionStyles = {
+  [AUDIT_ACTIONS.CREATE]: { dot: "bg-blue-500", text: "text-blue-700" },
+  [AUDIT_ACTIONS.UPDATE]: { dot: "bg-gray-400", text: "text-gray-700" },
+  [AUDIT_ACTIONS.DELETE]: { dot: "bg-red-500", text: "text-red-700" },
+  [AUDIT_ACTIONS.RESTORE]: { dot: "bg-emerald-500", text: "text-emerald-700" },
+  [AUDIT_ACTIONS.CHECK_OUT]: { dot: "bg-violet-500", text: "text-violet-700" },
+  [AUDIT_ACTIONS.CHECK_IN]: { dot: "bg-teal-500", text: "text-teal-700" },
+  [AUDIT_ACTIONS.STATUS_CHANGE]: { dot: "bg-amber-500", text: "text-amber-700" },
+};
+
+// Edits that only moved the asset to someone else read as a reassignment
+const REASSIGN_FIELDS = ["userName", "employeeId"];
+
+const getEntryLabel = (entry, changes) =>
+  entry.action === AUDIT_ACTIONS.UPDATE &&
+  changes.length > 0 &&
+  changes.every((change) => REASSIGN_FIELDS.includes(change.field))
+    ? "Reassigned"
+    : AUDIT_ACTION_LABELS[entry.action] || entry.action;
+
+// Chronological list of audit log entries for an asset (oldest first)
+const AssetTimeline = ({ history }) => {
+  if (!history.length) {
+    return <p className="text-sm text-gray-500">No changes recorded yet.</p>;
+  }
+
+  return (
+    <ol className="relative border-l-2 border-gray-200 ml-2 space-y-6">
+      {history.map((entry, index) => {
+        const style = actionStyles[entry.action] || actionStyles[AUDIT_ACTIONS.UPDATE];
+        const changes = entry.changes || [];
+        return (
+          <li key={entry._id || index} className="ml-5">
+            <span
+              className={`absolute -left-[7px] mt-1.5 h-3 w-3 rounded-full ring-4 ring-white ${style.dot}`}
+            ></span>
+            <div className="flex flex-wrap items-baseline gap-x-2">
+              <span className={`text-sm font-semibold ${style.text}`}>{getEntryLabel(entry, changes)}</span>
+              <span className="text-sm text-gray-600">
+                by {formatUserRef(entry.actor)}
+              </span>
+              <span className="text-xs text-gray-400">
+                {formatDateTime(entry.timestamp || entry.createdAt)}
+              </span>
+            </div>
+            {entry.reason && (
+              <p className="mt-1 text-sm text-gray-600 italic">"{entry.reason}"</p>
+            )}
+            {changes.length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {changes.map((change) => (
+                  <li key={change.field} className="text-xs text-gray-600">
+                    <span className="font-medium text-gray-700">
+                      {getAssetFieldLabel(change.field)}:
+                    </span>{" "}
+                    <span className="line-through text-gray-400">
+                      {formatAssetFieldValue(change.field, change.from)}
+                    </span>{" "}
+                    →{" "}
+                    <span className="text-gray-900">{formatAssetFieldValue(change.field, change.to)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default AssetTimeline;
@@ -0,0 +1,27 @@
+// Changes that were saved but are missing from the audit log
+// Kept apart from the page's error message so reloading the data doesn't hide it
+const AuditErrorBanner = ({ messages, onDismiss }) => {
+  if (messages.length === 0) return null;
+
+  return (
+    <div className="mb-6 p-4 bg-amber-50 border border-amber-300 rounded-lg flex items-start justify-between gap-4">
+      <div className="text-sm text-amber-800">
+        <p className="font-medium">Audit log incomplete</p>
+        <ul className="mt-1 list-disc list-inside space-y-0.5">
+          {messages.map((message, index) => (
+            <li key={index}>{message}</li>
+          ))}
+        </ul>
+      </div>
+      {onDismiss && (
+        <button onClick={onDismiss} className="text-amber-500 hover:text-amber-700">
+          <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AuditErrorBanner;
@@ -0,0 +1,62 @@
+import { formatDate, formatUserRef } from "../utils/formatters";
+
+// Every holder of an asset, most recent first, with handover and return details
+const CustodyChain = ({ custody }) => {
+  if (!custody.length) {
+    return <p className="text-sm text-gray-500">This asset has not been checked out yet.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Assignee</th>
+            <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Branch / Dept</th>
+            <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Checked Out</th>
+            <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Returned</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {custody.map((entry, index) => (
+            <tr key={entry._id || index} className="align-top">
+              <td className="px-3 py-2 text-sm text-gray-900 whitespace-nowrap">
+                {entry.assignee}
+                {!entry.returnDate && (
+                  <span className="ml-2 px-1.5 py-0.5 rounded text-xs font-medium bg-violet-100 text-violet-700">
+                    Current
+                  </span>
+                )}
+              </td>
+              <td className="px-3 py-2 text-xs text-gray-600">
+                {entry.branch || "-"}
+                <br />
+                {entry.department || "-"}
+              </td>
+              <td className="px-3 py-2 text-xs text-gray-600">
+                <div className="text-gray-900 whitespace-nowrap">{formatDate(entry.handoverDate)}</div>
+                <div>by {formatUserRef(entry.performedBy)}</div>
+                {entry.conditionNotes && <div className="italic mt-0.5">"{entry.conditionNotes}"</div>}
+              </td>
+              <td className="px-3 py-2 text-xs text-gray-600">
+                {entry.returnDate ? (
+                  <>
+                    <div className="text-gray-900 whitespace-nowrap">{formatDate(entry.returnDate)}</div>
+                    <div>by {formatUserRef(entry.returnedBy)}</div>
+                    {entry.returnConditionNotes && (
+                      <div className="italic mt-0.5">"{entry.returnConditionNotes}"</div>
+                    )}
+                  </>
+                ) : (
+                  "-"
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default CustodyChain;
@@ -0,0 +1,286 @@
+import { useState, useEffect } from "react";
+import { branches as defaultBranches } from "../data/assets";
+import { getAllBranches } from "../services/branchService";
+import { getAllDepartments } from "../services/departmentService";
+import { canCheckIn } from "../utils/assetStatus";
+import { extractDepartmentRecords, getBranchDepartments } from "../utils/orgStructure";
+import EmployeePicker from "./EmployeePicker";
+
+// Names from a branch API response (strings or { name } objects)
+const extractNames = (response) => {
+  const data = response?.data || response || [];
+  return Array.isArray(data)
+    ? data.map((item) => (typeof item === "string" ? item : item.name)).filter(Boolean)
+    : [];
+};
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Check an asset out to an employee (mode "check-out") or back in (mode "check-in")
+const CustodyModal = ({ isOpen, mode, asset, onClose, onSubmit }) => {
+  const isCheckOut = mode === "check-out";
+  const [formData, setFormData] = useState({});
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [branchOptions, setBranchOptions] = useState(defaultBranches);
+  const [departmentRecords, setDepartmentRecords] = useState([]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setFormData(
+      isCheckOut
+        ? {
+            assignee: "",
+            employeeId: "",
+            branch: asset?.branch || "",
+            department: asset?.department || "",
+            handoverDate: today(),
+            conditionNotes: "",
+          }
+        : { returnDate: today(), conditionNotes: "" },
+    );
+    setErrors({});
+    setSubmitError(null);
+
+    if (isCheckOut) {
+      getAllBranches().then((response) =>
+        setBranchOptions([...new Set([...defaultBranches, ...extractNames(response)])]),
+      );
+      getAllDepartments().then((response) => setDepartmentRecords(extractDepartmentRecords(response)));
+    }
+  }, [isOpen, isCheckOut, asset]);
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (isCheckOut) {
+      if (!formData.assignee?.trim()) {
+        newErrors.assignee = "Assignee is required";
+      } else if (formData.assignee.trim() === asset?.userName) {
+        newErrors.assignee = "The asset is already assigned to this person";
+      }
+      if (!formData.branch) {
+        newErrors.branch = "Branch is required";
+      }
+      if (!formData.department) {
+        newErrors.department = "Department is required";
+      }
+      if (!formData.handoverDate) {
+        newErrors.handoverDate = "Handover date is required";
+      }
+    } else if (!formData.returnDate) {
+      newErrors.returnDate = "Return date is required";
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Only departments that exist at the chosen branch (plus the asset's current one)
+  const branchDepartments = getBranchDepartments(departmentRecords, formData.branch);
+  const departmentOptions =
+    formData.department && !branchDepartments.includes(formData.department)
+      ? [...branchDepartments, formData.department]
+      : branchDepartments;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+      // Clear a department that doesn't exist at the newly selected branch
+      ...(name === "branch" &&
+        !getBranchDepartments(departmentRecords, value).includes(prev.department) && { department: "" }),
+    }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  // Picking an employee links the asset and moves it to their branch and department
+  const handleAssigneeChange = (name, employee) => {
+    setFormData((prev) => ({
+      ...prev,
+      assignee: name,
+      employeeId: employee ? employee._id || employee.id : "",
+      ...(employee?.branch && { branch: employee.branch }),
+      ...(employee?.department && { department: employee.department }),
+    }));
+    if (errors.assignee) {
+      setErrors((prev) => ({ ...prev, assignee: "" }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+    try {
+      setIsSubmitting(true);
+      setSubmitError(null);
+      await onSubmit({
+        ...formData,
+        ...(isCheckOut && { assignee: formData.assignee.trim() }),
+        conditionNotes: formData.conditionNotes.trim(),
+      });
+      onClose();
+    } catch (err) {
+      setSubmitError(err.message || "Failed to save. Please try again.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = (field) =>
+    `w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white transition-colors ${
+      errors[field] ? "border-red-500" : "border-gray-300"
+    }`;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 transition-opacity"
+        onClick={onClose}
+      ></div>
+
+      {/* Modal */}
+      <div className="flex min-h-full items-center justify-center p-4">
+        <div className="relative bg-white rounded-xl shadow-2xl w-full max-w-lg">
+          <div className="flex items-center justify-between p-4 border-b border-gray-200">
+            <div>
+              <h2 className="text-lg font-bold text-gray-900">
+                {isCheckOut ? (canCheckIn(asset) ? "Reassign Asset" : "Check Out Asset") : "Check In Asset"}
+              </h2>
+              <p className="text-xs text-gray-500 mt-0.5">
+                {asset?.serialNumber}
+                {asset?.userName && ` · currently with ${asset.userName}`}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="p-4 space-y-4">
+            {submitError && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                {submitError}
+              </div>
+            )}
+
+            {isCheckOut ? (
+              <>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    Assign To <span className="text-red-500">*</span>
+                  </label>
+                  <EmployeePicker
+                    value={formData.assignee || ""}
+                    employeeId={formData.employeeId}
+                    onChange={handleAssigneeChange}
+                    hasError={Boolean(errors.assignee)}
+                  />
+                  {errors.assignee && <p className="mt-0.5 text-xs text-red-500">{errors.assignee}</p>}
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      Branch <span className="text-red-500">*</span>
+                    </label>
+                    <select name="branch" value={formData.branch || ""} onChange={handleChange} className={inputClass("branch")}>
+                      <option value="">Select branch</option>
+                      {branchOptions.map((branch) => (
+                        <option key={branch} value={branch}>
+                          {branch}
+                        </option>
+                      ))}
+                    </select>
+                    {errors.branch && <p className="mt-0.5 text-xs text-red-500">{errors.branch}</p>}
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      Department <span className="text-red-500">*</span>
+                    </label>
+                    <select name="department" value={formData.department || ""} onChange={handleChange} className={inputClass("department")}>
+                      <option value="">Select department</option>
+                      {departmentOptions.map((department) => (
+                        <option key={department} value={department}>
+                          {department}
+                        </option>
+                      ))}
+                    </select>
+                    {errors.department && <p className="mt-0.5 text-xs text-red-500">{errors.department}</p>}
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    Handover Date <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    type="date"
+                    name="handoverDate"
+                    value={formData.handoverDate || ""}
+                    onChange={handleChange}
+                    className={inputClass("handoverDate")}
+                  />
+                  {errors.handoverDate && <p className="mt-0.5 text-xs text-red-500">{errors.handoverDate}</p>}
+                </div>
+              </>
+            ) : (
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  Return Date <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="date"
+                  name="returnDate"
+                  value={formData.returnDate || ""}
+                  onChange={handleChange}
+                  className={inputClass("returnDate")}
+                />
+                {errors.returnDate && <p className="mt-0.5 text-xs text-red-500">{errors.returnDate}</p>}
+              </div>
+            )}
+
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Condition Notes</label>
+              <textarea
+                name="conditionNotes"
+                value={formData.conditionNotes || ""}
+                onChange={handleChange}
+                rows={3}
+                placeholder={isCheckOut ? "e.g., Good condition, charger included" : "e.g., Scratch on lid, charger missing"}
+                className={inputClass("conditionNotes")}
+              />
+            </div>
+
+            <div className="flex space-x-4 pt-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 px-4 py-2.5 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {isSubmitting ? "Saving..." : isCheckOut ? "Check Out" : "Check In"}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustodyModal;
@@ -0,0 +1,91 @@
+import { useState, useEffect } from "react";
+import { getAllEmployees } from "../services/employeeService";
+import { extractEmployees, filterEmployees, getEmployeeKey } from "../utils/employees";
+
+// Most suggestions shown at once - keep typing to narrow the list
+const MAX_SUGGESTIONS = 8;
+
+// Searchable employee field
+// onChange(name, employee) - employee is null while the text doesn't match a picked employee,
+// so names that aren't in the directory yet can still be typed
+const EmployeePicker = ({ value = "", employeeId = "", onChange, hasError = false, placeholder = "Search by name, ID or email" }) => {
+  const [employees, setEmployees] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    const fetchEmployees = async () => {
+      const response = await getAllEmployees();
+      setEmployees(extractEmployees(response));
+    };
+    fetchEmployees();
+  }, []);
+
+  const suggestions = filterEmployees(employees, value).slice(0, MAX_SUGGESTIONS);
+  const linkedEmployee = employees.find((employee) => getEmployeeKey(employee) === employeeId);
+
+  const handleSelect = (employee) => {
+    onChange(employee.name, employee);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value, null);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        placeholder={placeholder}
+        autoComplete="off"
+        className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors ${
+          hasError ? "border-red-500" : "border-gray-300"
+        }`}
+      />
+      {isOpen && employees.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full max-h-56 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg">
+          {suggestions.length > 0 ? (
+            suggestions.map((employee) => (
+              <li key={getEmployeeKey(employee)}>
+                {/* onMouseDown runs before the input's blur closes the list */}
+                <button
+                  type="button"
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    handleSelect(employee);
+                  }}
+                  className="w-full text-left px-3 py-2 hover:bg-blue-50 transition-colors"
+                >
+                  <span className="block text-sm text-gray-900">
+                    {employee.name}
+                    {employee.employeeId && <span className="ml-2 text-xs text-gray-500">{employee.employeeId}</span>}
+                  </span>
+                  <span className="block text-xs text-gray-500">
+                    {[employee.email, employee.branch, employee.department].filter(Boolean).join(" · ")}
+                  </span>
+                </button>
+              </li>
+            ))
+          ) : (
+            <li className="px-3 py-2 text-xs text-gray-500">No employees match "{value.trim()}"</li>
+          )}
+        </ul>
+      )}
+      {linkedEmployee ? (
+        <p className="mt-0.5 text-xs text-green-600">
+          Linked to {linkedEmployee.employeeId || linkedEmployee.email || "employee directory"}
+        </p>
+      ) : (
+        value.trim() &&
+        employees.length > 0 && (
+          <p className="mt-0.5 text-xs text-amber-600">Not linked to the employee directory</p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default EmployeePicker;
@@ -0,0 +1,141 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { getExpiringAssets } from "../services/assetService";
+import { formatDate, parseDate } from "../utils/formatters";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+
+const WINDOWS = [30, 60, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One alert per expiring warranty or AMC (an asset can have both)
+const buildAlerts = (assets) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  return assets
+    .flatMap((asset) => [
+      { asset, type: "Warranty", date: parseDate(asset.warrantyEndDate), reference: asset.vendor },
+      { asset, type: "AMC", date: parseDate(asset.amcExpiryDate), reference: asset.amcContractNo },
+    ])
+    .filter((alert) => alert.date)
+    .map((alert) => ({ ...alert, daysLeft: Math.round((alert.date - today) / DAY_MS) }))
+    .filter((alert) => alert.daysLeft >= 0 && alert.daysLeft <= WINDOWS[WINDOWS.length - 1])
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+};
+
+// Dashboard panel listing warranties and AMCs that expire in the next 30/60/90 days
+const ExpiryAlertsPanel = ({ companyName = "", createdBy = "", refreshKey = 0 }) => {
+  const { getDeviceColor } = useDeviceTypes();
+  const [alerts, setAlerts] = useState([]);
+  const [selectedWindow, setSelectedWindow] = useState(WINDOWS[0]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchExpiring = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const response = await getExpiringAssets({
+          days: WINDOWS[WINDOWS.length - 1],
+          companyName,
+          createdBy,
+        });
+        const assetData = response?.data?.assets || response?.data || response?.assets || [];
+        setAlerts(buildAlerts(Array.isArray(assetData) ? assetData : []));
+      } catch {
+        setError("Expiry alerts are not available right now.");
+        setAlerts([]);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchExpiring();
+  }, [companyName, createdBy, refreshKey]);
+
+  const visibleAlerts = alerts.filter((alert) => alert.daysLeft <= selectedWindow);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 mb-6 overflow-hidden">
+      <div className="px-4 py-3 border-b border-gray-200 bg-amber-50 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <h2 className="text-sm font-semibold text-amber-800 uppercase">Warranty &amp; AMC Expiring</h2>
+        <div className="inline-flex bg-white/70 rounded-lg p-1 border border-amber-200">
+          {WINDOWS.map((days) => (
+            <button
+              key={days}
+              onClick={() => setSelectedWindow(days)}
+              className={`px-3 py-1 text-xs font-medium rounded-md transition-all flex items-center gap-1.5 ${
+                selectedWindow === days
+                  ? "bg-amber-600 text-white shadow-sm"
+                  : "text-amber-800 hover:bg-amber-100"
+              }`}
+            >
+              {days} days
+              <span
+                className={`px-1.5 rounded-full ${
+                  selectedWindow === days ? "bg-white/20" : "bg-amber-200"
+                }`}
+              >
+                {alerts.filter((alert) => alert.daysLeft <= days).length}
+              </span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-amber-600"></div>
+        </div>
+      ) : error ? (
+        <p className="px-4 py-4 text-sm text-gray-500">{error}</p>
+      ) : visibleAlerts.length === 0 ? (
+        <p className="px-4 py-4 text-sm text-gray-500">
+          No warranties or AMCs expire in the next {selectedWindow} days.
+        </p>
+      ) : (
+        <div className="overflow-x-auto max-h-72">
+          <table className="w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">S.No</th>
+                <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Device</th>
+                <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">User</th>
+                <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Type</th>
+                <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Vendor / Contract</th>
+                <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Expires</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {visibleAlerts.map((alert) => (
+                <tr key={`${alert.asset._id || alert.asset.id}-${alert.type}`} className="hover:bg-amber-50 transition-colors">
+                  <td className="px-3 py-2 text-xs font-medium whitespace-nowrap">
+                    <Link to={`/assets/${alert.asset._id || alert.asset.id}`} className="text-blue-700 hover:underline">
+                      {alert.asset.serialNumber}
+                    </Link>
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getDeviceColor(alert.asset.device)}`}>
+                      {alert.asset.device}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{alert.asset.userName || "-"}</td>
+                  <td className="px-3 py-2 text-xs text-gray-900 whitespace-nowrap">{alert.type}</td>
+                  <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{alert.reference || "-"}</td>
+                  <td className="px-3 py-2 text-xs whitespace-nowrap">
+                    <span className="text-gray-900">{formatDate(alert.date)}</span>{" "}
+                    <span className={alert.daysLeft <= 30 ? "text-red-600 font-medium" : "text-amber-700"}>
+                      ({alert.daysLeft === 0 ? "today" : `${alert.daysLeft} day${alert.daysLeft === 1 ? "" : "s"}`})
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExpiryAlertsPanel;
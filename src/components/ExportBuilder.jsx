@@ -0,0 +1,414 @@
+import { useState, useEffect } from "react";
+import { branches as defaultBranches } from "../data/assets";
+import { EXPORT_LIMIT, exportAssets } from "../services/assetService";
+import { getAllBranches } from "../services/branchService";
+import { getAllDepartments } from "../services/departmentService";
+import { getExportPresets, saveExportPreset, deleteExportPreset } from "../services/exportPresetStorage";
+import { useAuth } from "../context/AuthContext";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+import { useCompanies } from "../context/useCompanies";
+import { PERMISSIONS, hasPermission } from "../utils/permissions";
+import { assetStatuses } from "../utils/assetStatus";
+import { extractDepartmentRecords, getBranchDepartments } from "../utils/orgStructure";
+import {
+  EXPORT_FORMATS,
+  EXPORT_FORMAT_LABELS,
+  exportColumns,
+  defaultExportColumns,
+  exportDateFields,
+  emptyExportFilters,
+  buildExportRows,
+  downloadExport,
+  getExportFileName,
+  openPrintWindow,
+} from "../utils/assetExport";
+
+const selectClassName =
+  "w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500";
+
+const getColumnLabel = (key) => exportColumns.find((column) => column.key === key)?.label || key;
+
+// Export dialog: filter the inventory, pick and order columns, choose a format, save the setup as a preset
+// initialFilters pre-fills the filters (e.g. from the dashboard's current filters)
+const ExportBuilder = ({ onClose, initialFilters = {} }) => {
+  const { user } = useAuth();
+  const { deviceTypeNames } = useDeviceTypes();
+  const { companyNames } = useCompanies();
+  const [filters, setFilters] = useState({ ...emptyExportFilters, ...initialFilters });
+  const [columns, setColumns] = useState(defaultExportColumns);
+  const [format, setFormat] = useState(EXPORT_FORMATS.XLSX);
+  const [presets, setPresets] = useState(() => getExportPresets(user?._id));
+  const [presetName, setPresetName] = useState("");
+  const [customBranches, setCustomBranches] = useState([]);
+  const [departmentRecords, setDepartmentRecords] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  const canViewAll = hasPermission(user, PERMISSIONS.ASSET_VIEW_ALL);
+
+  useEffect(() => {
+    const fetchOrgStructure = async () => {
+      const [branchResult, departmentResult] = await Promise.allSettled([getAllBranches(), getAllDepartments()]);
+      if (branchResult.status === "fulfilled") {
+        const branchData = branchResult.value?.data || branchResult.value?.branches || branchResult.value || [];
+        setCustomBranches(
+          Array.isArray(branchData)
+            ? branchData.map((branch) => (typeof branch === "string" ? branch : branch.name)).filter(Boolean)
+            : [],
+        );
+      }
+      if (departmentResult.status === "fulfilled") {
+        setDepartmentRecords(extractDepartmentRecords(departmentResult.value));
+      }
+    };
+    fetchOrgStructure();
+  }, []);
+
+  const branchOptions = [...new Set([...defaultBranches, ...customBranches])];
+  // Every department when no branch is picked, otherwise the ones used at that branch
+  const departmentOptions = filters.branch
+    ? getBranchDepartments(departmentRecords, filters.branch)
+    : [...new Set([...getBranchDepartments(departmentRecords, ""), ...departmentRecords.map((record) => record.name)])];
+  const availableColumns = exportColumns.filter((column) => !columns.includes(column.key));
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    // A department belongs to a branch, so changing the branch clears it
+    setFilters((prev) => ({ ...prev, [name]: value, ...(name === "branch" ? { department: "" } : {}) }));
+  };
+
+  const moveColumn = (index, offset) => {
+    setColumns((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const handleLoadPreset = (name) => {
+    const preset = presets.find((item) => item.name === name);
+    if (!preset) return;
+    setFilters({ ...emptyExportFilters, ...preset.filters });
+    // Columns that no longer exist are dropped
+    setColumns(preset.columns.filter((key) => exportColumns.some((column) => column.key === key)));
+    setFormat(preset.format || EXPORT_FORMATS.XLSX);
+    setPresetName(preset.name);
+    setError(null);
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) {
+      setError("Enter a name for the preset.");
+      return;
+    }
+    setPresets(saveExportPreset(user?._id, { name, filters, columns, format }));
+    setError(null);
+    showSuccess(`Preset "${name}" saved.`);
+  };
+
+  const handleDeletePreset = () => {
+    const name = presetName.trim();
+    if (!window.confirm(`Delete the preset "${name}"?`)) return;
+    setPresets(deleteExportPreset(user?._id, name));
+    setPresetName("");
+  };
+
+  // Regular users export only their own assets
+  const handleExport = async () => {
+    let printWindow = null;
+    try {
+      printWindow = format === EXPORT_FORMATS.PDF ? openPrintWindow() : null;
+      setIsExporting(true);
+      setError(null);
+      const { assets, total, isTruncated } = await exportAssets({
+        ...filters,
+        createdBy: !canViewAll ? user?._id : "",
+      });
+      if (assets.length === 0) {
+        printWindow?.close();
+        setError("No assets match these filters.");
+        return;
+      }
+      if (
+        isTruncated &&
+        !window.confirm(
+          `${total} assets match, but one export is limited to ${EXPORT_LIMIT}. ` +
+            "Export the first ones anyway? Narrow the filters or date range to export the rest.",
+        )
+      ) {
+        printWindow?.close();
+        setError(`Only ${EXPORT_LIMIT} of ${total} assets can be exported at once. Narrow the filters or date range.`);
+        return;
+      }
+      downloadExport(buildExportRows(assets, columns), columns, format, getExportFileName(filters), printWindow);
+      onClose();
+    } catch (err) {
+      printWindow?.close();
+      console.error("Error exporting data:", err);
+      setError(err.message || "Failed to export data. Please try again.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const isSavedPreset = presets.some((preset) => preset.name === presetName.trim());
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl mx-4 overflow-hidden max-h-[95vh] flex flex-col">
+        <div className="flex items-center justify-between px-4 py-3 bg-emerald-600">
+          <h2 className="text-lg font-semibold text-white">Export Data</h2>
+          <button onClick={onClose} className="text-white/80 hover:text-white">
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-4 space-y-5 overflow-y-auto">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-600">{error}</div>
+          )}
+          {successMessage && (
+            <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-700">
+              {successMessage}
+            </div>
+          )}
+
+          {/* Presets */}
+          <div className="flex flex-col sm:flex-row gap-2">
+            <select
+              value=""
+              onChange={(e) => handleLoadPreset(e.target.value)}
+              disabled={presets.length === 0}
+              className={`${selectClassName} sm:w-56 disabled:bg-gray-50`}
+            >
+              <option value="">{presets.length > 0 ? "Load a preset..." : "No saved presets"}</option>
+              {presets.map((preset) => (
+                <option key={preset.name} value={preset.name}>
+                  {preset.name}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder="Preset name"
+              className={`${selectClassName} sm:flex-1`}
+            />
+            <button
+              onClick={handleSavePreset}
+              className="px-3 py-2 text-sm font-medium bg-emerald-50 text-emerald-700 border border-emerald-200 rounded-lg hover:bg-emerald-100 transition-colors whitespace-nowrap"
+            >
+              {isSavedPreset ? "Update Preset" : "Save Preset"}
+            </button>
+            {isSavedPreset && (
+              <button
+                onClick={handleDeletePreset}
+                className="px-3 py-2 text-sm font-medium bg-red-50 text-red-600 border border-red-200 rounded-lg hover:bg-red-100 transition-colors whitespace-nowrap"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+
+          {/* Filters */}
+          <div>
+            <p className="text-xs text-gray-500 mb-2 font-medium">Filters</p>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+              <select name="companyName" value={filters.companyName} onChange={handleFilterChange} className={selectClassName}>
+                <option value="">All Companies</option>
+                {companyNames.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+              <select name="branch" value={filters.branch} onChange={handleFilterChange} className={selectClassName}>
+                <option value="">All Branches</option>
+                {branchOptions.map((branch) => (
+                  <option key={branch} value={branch}>
+                    {branch}
+                  </option>
+                ))}
+              </select>
+              <select name="department" value={filters.department} onChange={handleFilterChange} className={selectClassName}>
+                <option value="">All Departments</option>
+                {departmentOptions.map((department) => (
+                  <option key={department} value={department}>
+                    {department}
+                  </option>
+                ))}
+              </select>
+              <select name="device" value={filters.device} onChange={handleFilterChange} className={selectClassName}>
+                <option value="">All Devices</option>
+                {deviceTypeNames.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+              <select name="status" value={filters.status} onChange={handleFilterChange} className={selectClassName}>
+                <option value="">All Statuses</option>
+                {assetStatuses.map((status) => (
+                  <option key={status} value={status}>
+                    {status}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mt-2">
+              <select name="dateField" value={filters.dateField} onChange={handleFilterChange} className={selectClassName}>
+                {exportDateFields.map((field) => (
+                  <option key={field.key} value={field.key}>
+                    {field.label}
+                  </option>
+                ))}
+              </select>
+              <label className="flex items-center gap-2 text-xs text-gray-500">
+                From
+                <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className={selectClassName} />
+              </label>
+              <label className="flex items-center gap-2 text-xs text-gray-500">
+                To
+                <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className={selectClassName} />
+              </label>
+            </div>
+            {!canViewAll && <p className="mt-1 text-xs text-gray-500">Only assets you added are exported.</p>}
+          </div>
+
+          {/* Columns */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-xs text-gray-500 font-medium">Columns in the file ({columns.length})</p>
+                <button
+                  onClick={() => setColumns(defaultExportColumns)}
+                  className="text-xs text-emerald-700 hover:underline"
+                >
+                  Reset
+                </button>
+              </div>
+              <ol className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-64 overflow-y-auto">
+                {columns.map((key, index) => (
+                  <li key={key} className="flex items-center gap-2 px-3 py-1.5 text-sm">
+                    <span className="w-5 text-xs text-gray-400">{index + 1}</span>
+                    <span className="flex-1 text-gray-800">{getColumnLabel(key)}</span>
+                    <button
+                      onClick={() => moveColumn(index, -1)}
+                      disabled={index === 0}
+                      title="Move up"
+                      className="px-1.5 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => moveColumn(index, 1)}
+                      disabled={index === columns.length - 1}
+                      title="Move down"
+                      className="px-1.5 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => setColumns((prev) => prev.filter((item) => item !== key))}
+                      title="Remove column"
+                      className="px-1.5 text-red-400 hover:text-red-600"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+                {columns.length === 0 && (
+                  <li className="px-3 py-4 text-center text-xs text-gray-500">Add at least one column</li>
+                )}
+              </ol>
+            </div>
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-xs text-gray-500 font-medium">Other columns</p>
+                {availableColumns.length > 0 && (
+                  <button
+                    onClick={() => setColumns((prev) => [...prev, ...availableColumns.map((column) => column.key)])}
+                    className="text-xs text-emerald-700 hover:underline"
+                  >
+                    Add all
+                  </button>
+                )}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {availableColumns.map((column) => (
+                  <button
+                    key={column.key}
+                    onClick={() => setColumns((prev) => [...prev, column.key])}
+                    className="px-2 py-1 bg-gray-50 text-xs text-gray-600 rounded border border-gray-300 hover:bg-emerald-50 hover:border-emerald-300 hover:text-emerald-700 transition-colors"
+                  >
+                    + {column.label}
+                  </button>
+                ))}
+                {availableColumns.length === 0 && <p className="text-xs text-gray-500">Every column is included.</p>}
+              </div>
+            </div>
+          </div>
+
+          {/* Format */}
+          <div>
+            <p className="text-xs text-gray-500 mb-2 font-medium">Format</p>
+            <div className="flex flex-wrap gap-2">
+              {Object.values(EXPORT_FORMATS).map((option) => (
+                <label
+                  key={option}
+                  className={`flex items-center gap-2 px-3 py-2 rounded-lg border text-sm cursor-pointer transition-colors ${
+                    format === option ? "border-emerald-400 bg-emerald-50 text-emerald-800" : "border-gray-200 text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="exportFormat"
+                    value={option}
+                    checked={format === option}
+                    onChange={() => setFormat(option)}
+                    className="text-emerald-600 focus:ring-emerald-500"
+                  />
+                  {EXPORT_FORMAT_LABELS[option]}
+                </label>
+              ))}
+            </div>
+            {format === EXPORT_FORMATS.PDF && (
+              <p className="mt-1 text-xs text-gray-500">
+                Opens a printable table - choose "Save as PDF" in the print dialog. Keep the column list
+                short so it fits the page.
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex space-x-4 px-4 py-3 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || columns.length === 0}
+            className="flex-1 px-4 py-2.5 bg-emerald-600 text-white rounded-lg font-medium hover:bg-emerald-700 transition-colors disabled:opacity-50"
+          >
+            {isExporting ? "Exporting..." : "Export"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportBuilder;
@@ -0,0 +1,50 @@
+const IdleWarningModal = ({ secondsLeft, onStay, onLogout }) => {
+  return (
+    <div className="fixed inset-0 z-[60] overflow-y-auto">
+      <div className="fixed inset-0 bg-black bg-opacity-50 transition-opacity"></div>
+      <div className="flex min-h-full items-center justify-center p-4">
+        <div className="relative bg-white rounded-xl shadow-2xl w-full max-w-md p-6">
+          <div className="flex items-center justify-center w-12 h-12 mx-auto bg-amber-100 rounded-full mb-4">
+            <svg
+              className="h-6 w-6 text-amber-600"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+              />
+            </svg>
+          </div>
+          <h3 className="text-lg font-semibold text-gray-900 text-center mb-2">
+            Are you still there?
+          </h3>
+          <p className="text-gray-600 text-center mb-6">
+            You will be logged out in{" "}
+            <span className="font-semibold text-gray-900">{secondsLeft}s</span>{" "}
+            due to inactivity.
+          </p>
+          <div className="flex space-x-4">
+            <button
+              onClick={onLogout}
+              className="flex-1 px-4 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition-colors"
+            >
+              Log out
+            </button>
+            <button
+              onClick={onStay}
+              className="flex-1 px-4 py-2.5 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors"
+            >
+              Stay signed in
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IdleWarningModal;
@@ -0,0 +1,947 @@
+import { useState, useMemo } from "react";
+import * as XLSX from "xlsx";
+import { bulkCreateAssets, getAllAssets, updateAsset } from "../services/assetService";
+import { AUDIT_ACTIONS, recordAssetChange } from "../services/auditService";
+import { useAuth } from "../context/AuthContext";
+import { useAuditErrors } from "../hooks/useAuditErrors";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+import { useCompanies } from "../context/useCompanies";
+import { canEditAsset } from "../utils/permissions";
+import AuditErrorBanner from "./AuditErrorBanner";
+import {
+  IMPORT_MODES,
+  ROW_ACTIONS,
+  importFields,
+  guessColumnMapping,
+  getMissingRequiredFields,
+  mapImportRow,
+  validateImportRows,
+  toImportPayload,
+  toUpdatePayload,
+  describeRowErrors,
+  getBulkCreateFailures,
+  getBulkCreatedAssets,
+} from "../utils/assetImport";
+
+const STEPS = [
+  { id: "upload", label: "Upload" },
+  { id: "map", label: "Map Columns" },
+  { id: "review", label: "Review" },
+  { id: "import", label: "Import" },
+];
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const VALID_TYPES = [
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", // .xlsx
+  "application/vnd.ms-excel", // .xls
+  "text/csv", // .csv
+];
+const VALID_EXTENSIONS = [".xlsx", ".xls", ".csv"];
+
+// Rows sent to the server per request
+const UPLOAD_BATCH_SIZE = 100;
+
+// Rows rendered in the review table (all rows are still validated and imported)
+const MAX_PREVIEW_ROWS = 500;
+
+const ACTION_STYLES = {
+  [ROW_ACTIONS.CREATE]: { label: "New", className: "bg-green-100 text-green-700" },
+  [ROW_ACTIONS.UPDATE]: { label: "Update", className: "bg-amber-100 text-amber-700" },
+  [ROW_ACTIONS.UNCHANGED]: { label: "Unchanged", className: "bg-gray-100 text-gray-600" },
+};
+
+// Fields that can identify an existing asset in upsert mode
+const MATCH_FIELDS = ["serialNumber", "deviceSerialNo"];
+
+// Header row is row 1 in the spreadsheet, so data starts on row 2
+const toSheetRowNumber = (index) => index + 2;
+
+const sampleData = [
+  {
+    Company: "OmTrans",
+    Branch: "Delhi H.O",
+    Department: "IT",
+    Location: "2nd Floor",
+    User: "John Doe",
+    Brand: "Dell",
+    Device: "Laptop",
+    "Device S.No": "ABC123XYZ",
+    Model: "Latitude 5420",
+    CPU: "Intel i5-1145G7",
+    RAM: "16 GB",
+    Storage: "512 GB SSD",
+    "MAC Address": "00:1A:2B:3C:4D:5E",
+    "IP Address": "",
+    "Toner Model": "",
+    "Operating System": "Windows 11",
+    "Purchase Date": "2024-01-15",
+    Remark: "New device",
+    "Warranty End": "2027-01-14",
+    Vendor: "Dell India",
+    "AMC Contract No": "",
+    "AMC Expiry": "",
+    "Purchase Cost": 72000,
+    Currency: "INR",
+    "Depreciation Method": "Straight-line",
+  },
+  {
+    Company: "TGL",
+    Branch: "Mumbai",
+    Department: "Finance",
+    Location: "Ground Floor",
+    User: "Jane Smith",
+    Brand: "HP",
+    Device: "Desktop",
+    "Device S.No": "HP456DEF",
+    Model: "ProDesk 400 G7",
+    CPU: "Intel i3-10100",
+    RAM: "8 GB",
+    Storage: "1 TB HDD",
+    "MAC Address": "",
+    "IP Address": "",
+    "Toner Model": "",
+    "Operating System": "Windows 10",
+    "Purchase Date": "2023-06-20",
+    Remark: "",
+    "Warranty End": "2024-06-19",
+    Vendor: "HP Store",
+    "AMC Contract No": "AMC-2024-031",
+    "AMC Expiry": "2025-06-30",
+    "Purchase Cost": 48500,
+    Currency: "INR",
+    "Depreciation Method": "Written-down value",
+  },
+  {
+    Company: "OmTrax",
+    Branch: "Kolkata",
+    Department: "Operations",
+    Location: "",
+    User: "Mike Wilson",
+    Brand: "Lenovo",
+    Device: "Laptop",
+    "Device S.No": "LN789GHI",
+    Model: "ThinkPad E14",
+    CPU: "AMD Ryzen 5 5500U",
+    RAM: "16 GB",
+    Storage: "512 GB SSD",
+    "MAC Address": "",
+    "IP Address": "",
+    "Toner Model": "",
+    "Operating System": "Windows 11",
+    "Purchase Date": "2024-12-05",
+    Remark: "Upgraded model",
+    "Warranty End": "2027-12-04",
+    Vendor: "Lenovo Partner",
+    "AMC Contract No": "",
+    "AMC Expiry": "",
+    "Purchase Cost": "",
+    Currency: "",
+    "Depreciation Method": "",
+  },
+];
+
+// Download sample Excel template
+const downloadSampleTemplate = () => {
+  const worksheet = XLSX.utils.json_to_sheet(sampleData);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Sample Assets");
+  XLSX.writeFile(workbook, "IT_Assets_Import_Template.xlsx");
+};
+
+// Multi-step Excel import: upload, map headers to fields, review validated rows, import the valid ones
+// In upsert mode rows matching an existing asset update it instead of creating a duplicate
+const ImportWizard = ({ isOpen, onClose, onImported, createdBy }) => {
+  const { user } = useAuth();
+  const { deviceTypes } = useDeviceTypes();
+  const { companyNames } = useCompanies();
+  const [step, setStep] = useState("upload");
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  // Spreadsheet header -> asset field key ("" skips the column)
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const [mode, setMode] = useState(IMPORT_MODES.CREATE);
+  // Assets rows are matched against in upsert mode (loaded when reviewing)
+  const [existingAssets, setExistingAssets] = useState(null);
+  const [isMatching, setIsMatching] = useState(false);
+  // "all", "errors" or a row action
+  const [rowFilter, setRowFilter] = useState("all");
+  const [progress, setProgress] = useState({ current: 0, total: 0 });
+  const [isUploading, setIsUploading] = useState(false);
+  // { created, updated, unchanged, failures: [{ rowNumber, raw, reason }] } once the upload has finished
+  const [result, setResult] = useState(null);
+  // Saved rows the audit log couldn't record
+  const { auditErrors, reportAuditError, clearAuditErrors } = useAuditErrors();
+  // Mapping of the last file, reused when its corrected error report is uploaded
+  const [previousMapping, setPreviousMapping] = useState({});
+
+  const isUpsert = mode === IMPORT_MODES.UPSERT;
+
+  // Validation runs whenever the mapping, mode or catalogues change
+  const validatedRows = useMemo(
+    () =>
+      validateImportRows(
+        rows.map((row) => mapImportRow(row, mapping)),
+        {
+          companyNames,
+          deviceTypes,
+          existingAssets: isUpsert ? existingAssets || [] : null,
+          mappedKeys: Object.values(mapping).filter(Boolean),
+          canEdit: (asset) => canEditAsset(user, asset),
+        },
+      ).map((row, index) => ({ ...row, raw: rows[index], rowNumber: toSheetRowNumber(index) })),
+    [rows, mapping, isUpsert, existingAssets, user, companyNames, deviceTypes],
+  );
+  const validRows = validatedRows.filter((row) => Object.keys(row.errors).length === 0);
+  const createRows = validRows.filter((row) => row.action === ROW_ACTIONS.CREATE);
+  const updateRows = validRows.filter((row) => row.action === ROW_ACTIONS.UPDATE);
+  const unchangedCount = validRows.length - createRows.length - updateRows.length;
+  const invalidCount = validatedRows.length - validRows.length;
+  // New rows are checked for required fields one by one in upsert mode, so a sheet of updates
+  // only needs a column to match on
+  const missingFields = isUpsert
+    ? MATCH_FIELDS.some((key) => Object.values(mapping).includes(key))
+      ? []
+      : importFields.filter((field) => MATCH_FIELDS.includes(field.key))
+    : getMissingRequiredFields(mapping);
+  const mappedFields = importFields.filter((field) => Object.values(mapping).includes(field.key));
+
+  const reset = () => {
+    setStep("upload");
+    setFileName("");
+    setHeaders([]);
+    setRows([]);
+    setMapping({});
+    setError(null);
+    setRowFilter("all");
+    setProgress({ current: 0, total: 0 });
+    setResult(null);
+    clearAuditErrors();
+  };
+
+  const handleClose = () => {
+    if (isUploading) return;
+    reset();
+    setPreviousMapping({});
+    setMode(IMPORT_MODES.CREATE);
+    setExistingAssets(null);
+    onClose();
+  };
+
+  // Start again with the corrected error report, keeping the column choices and mode
+  const handleUploadCorrected = () => {
+    setPreviousMapping(mapping);
+    setExistingAssets(null);
+    reset();
+  };
+
+  // Headers the previous file also had keep their field; the rest are guessed
+  const buildMapping = (sheetHeaders) => {
+    const guessed = guessColumnMapping(sheetHeaders);
+    const reusedKeys = sheetHeaders.map((header) => previousMapping[header]).filter(Boolean);
+    return Object.fromEntries(
+      sheetHeaders.map((header) => [
+        header,
+        header in previousMapping
+          ? previousMapping[header]
+          : reusedKeys.includes(guessed[header])
+            ? ""
+            : guessed[header],
+      ]),
+    );
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    // Reset file input so the same file can be picked again
+    event.target.value = "";
+    if (!file) return;
+
+    const fileExtension = file.name.substring(file.name.lastIndexOf(".")).toLowerCase();
+    if (!VALID_TYPES.includes(file.type) && !VALID_EXTENSIONS.includes(fileExtension)) {
+      setError("Invalid file type. Please upload an Excel file (.xlsx, .xls) or CSV file.");
+      return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      setError("File too large. Maximum file size is 10MB.");
+      return;
+    }
+
+    try {
+      setIsReading(true);
+      setError(null);
+      const workbook = XLSX.read(await file.arrayBuffer());
+      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+      const jsonData = XLSX.utils.sheet_to_json(worksheet, { defval: "" });
+      if (jsonData.length === 0) {
+        throw new Error("Excel file is empty or has no data rows");
+      }
+      // defval keeps every column on every row, so the first row has all headers
+      const sheetHeaders = Object.keys(jsonData[0]);
+      setFileName(file.name);
+      setHeaders(sheetHeaders);
+      setRows(jsonData);
+      setMapping(buildMapping(sheetHeaders));
+      setStep("map");
+    } catch (err) {
+      console.error("Error reading Excel:", err);
+      setError(err.message || "Failed to read Excel file");
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  // Each field can only come from one column - picking it again unmaps the other column
+  const handleMappingChange = (header, key) => {
+    setMapping((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).map(([otherHeader, otherKey]) => [
+          otherHeader,
+          otherHeader === header ? key : key && otherKey === key ? "" : otherKey,
+        ]),
+      ),
+    );
+  };
+
+  // Upsert mode compares rows with every asset, so load them before reviewing
+  const handleReview = async () => {
+    if (isUpsert && !existingAssets) {
+      try {
+        setIsMatching(true);
+        setError(null);
+        const response = await getAllAssets({ page: 1, limit: 10000 }); // Fetch all records
+        const assetData = response?.data?.assets || response?.data || response || [];
+        setExistingAssets(Array.isArray(assetData) ? assetData : []);
+      } catch (err) {
+        console.error("Error loading assets to match:", err);
+        setError("Failed to load existing assets to match against. Please try again.");
+        return;
+      } finally {
+        setIsMatching(false);
+      }
+    }
+    setStep("review");
+  };
+
+  const handleImport = async () => {
+    const payloads = createRows.map((row) => ({
+      row,
+      asset: toImportPayload(row.asset, createdBy, deviceTypes),
+    }));
+    const total = payloads.length + updateRows.length;
+    setStep("import");
+    setIsUploading(true);
+    setError(null);
+    setProgress({ current: 0, total });
+
+    let created = 0;
+    let updated = 0;
+    // Rows that didn't make it in, starting with the ones validation skipped
+    const failures = validatedRows
+      .filter((row) => Object.keys(row.errors).length > 0)
+      .map((row) => ({ rowNumber: row.rowNumber, raw: row.raw, reason: describeRowErrors(row.errors) }));
+    clearAuditErrors();
+
+    for (let start = 0; start < payloads.length; start += UPLOAD_BATCH_SIZE) {
+      const batch = payloads.slice(start, start + UPLOAD_BATCH_SIZE);
+      const assets = batch.map((item) => item.asset);
+      try {
+        const response = await bulkCreateAssets(assets);
+        const batchFailures = getBulkCreateFailures(response, assets);
+        created += response?.data?.created ?? response?.data?.imported ?? batch.length - batchFailures.length;
+        batchFailures.forEach(({ index, reason }) => {
+          const item = index === null ? null : batch[index];
+          failures.push(
+            item
+              ? { rowNumber: item.row.rowNumber, raw: item.row.raw, reason }
+              : { rowNumber: null, raw: null, reason },
+          );
+        });
+        const createdAssets = getBulkCreatedAssets(response, assets, batchFailures);
+        if (createdAssets) {
+          for (const asset of createdAssets) {
+            await recordAssetChange({
+              action: AUDIT_ACTIONS.CREATE,
+              actor: user?._id,
+              after: asset,
+              reason: `Imported from ${fileName}`,
+            }).catch(reportAuditError);
+          }
+        } else {
+          reportAuditError(
+            new Error(
+              `Rows ${batch[0].row.rowNumber}-${batch[batch.length - 1].row.rowNumber} were imported, but the server ` +
+                "didn't say which were created, so they are missing from the audit log. Please let an administrator know.",
+            ),
+          );
+        }
+      } catch (err) {
+        batch.forEach((item) =>
+          failures.push({
+            rowNumber: item.row.rowNumber,
+            raw: item.row.raw,
+            reason: err.message || "Upload failed",
+          }),
+        );
+      }
+      setProgress({ current: Math.min(start + batch.length, payloads.length), total });
+    }
+
+    // Updates go one at a time, sending only the changed fields like an edit in the asset form
+    for (const [index, row] of updateRows.entries()) {
+      const assetId = row.existing._id || row.existing.id;
+      const changes = toUpdatePayload(row.changes);
+      try {
+        await updateAsset(assetId, changes);
+        await recordAssetChange({
+          action: AUDIT_ACTIONS.UPDATE,
+          actor: user?._id,
+          before: row.existing,
+          after: { ...row.existing, ...changes },
+          reason: `Imported from ${fileName}`,
+        }).catch(reportAuditError);
+        updated += 1;
+      } catch (err) {
+        failures.push({ rowNumber: row.rowNumber, raw: row.raw, reason: err.message || "Update failed" });
+      }
+      setProgress({ current: payloads.length + index + 1, total });
+    }
+
+    // Errors the server couldn't tie to a row go last
+    failures.sort((a, b) => (a.rowNumber ?? Infinity) - (b.rowNumber ?? Infinity));
+    setResult({ created, updated, unchanged: unchangedCount, failures });
+    setIsUploading(false);
+    if (created > 0 || updated > 0) {
+      onImported(created);
+    }
+  };
+
+  // Failed rows as they were in the file, with an Error column to fix them by
+  const downloadFailedRows = () => {
+    const failedRows = result.failures
+      .filter((failure) => failure.raw)
+      .map((failure) => ({ ...failure.raw, Error: failure.reason }));
+    const worksheet = XLSX.utils.json_to_sheet(failedRows);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, "Failed Rows");
+    XLSX.writeFile(workbook, `${fileName.replace(/\.[^.]+$/, "")}_errors.xlsx`);
+  };
+
+  if (!isOpen) return null;
+
+  const stepIndex = STEPS.findIndex((item) => item.id === step);
+  const previewRows = validatedRows
+    .filter((row) => {
+      const hasErrors = Object.keys(row.errors).length > 0;
+      if (rowFilter === "all") return true;
+      if (rowFilter === "errors") return hasErrors;
+      return !hasErrors && row.action === rowFilter;
+    })
+    .slice(0, MAX_PREVIEW_ROWS);
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 transition-opacity"
+        onClick={handleClose}
+      ></div>
+      <div className="flex min-h-full items-center justify-center p-4">
+        <div
+          className={`relative bg-white rounded-xl shadow-2xl w-full p-6 ${
+            step === "review"
+              ? "max-w-6xl"
+              : step === "map" || result?.failures.length > 0
+                ? "max-w-3xl"
+                : "max-w-lg"
+          }`}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center space-x-3">
+              <div className="p-2 bg-violet-100 rounded-lg">
+                <svg className="h-6 w-6 text-violet-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+                  />
+                </svg>
+              </div>
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Import from Excel</h3>
+                <p className="text-sm text-gray-500">{fileName || "Upload an Excel file to import assets"}</p>
+              </div>
+            </div>
+            {!isUploading && (
+              <button onClick={handleClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+                <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            )}
+          </div>
+
+          {/* Steps */}
+          <ol className="flex items-center gap-2 mb-6 text-xs font-medium">
+            {STEPS.map((item, index) => (
+              <li key={item.id} className="flex items-center gap-2">
+                <span
+                  className={`px-2.5 py-1 rounded-full ${
+                    index === stepIndex
+                      ? "bg-violet-600 text-white"
+                      : index < stepIndex
+                        ? "bg-violet-100 text-violet-700"
+                        : "bg-gray-100 text-gray-500"
+                  }`}
+                >
+                  {index + 1}. {item.label}
+                </span>
+                {index < STEPS.length - 1 && <span className="text-gray-300">›</span>}
+              </li>
+            ))}
+          </ol>
+
+          {/* Error Message */}
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center space-x-2">
+              <svg className="h-5 w-5 text-red-500 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
+                />
+              </svg>
+              <span className="text-red-600 text-sm">{error}</span>
+            </div>
+          )}
+
+          {/* Step 1 - Upload */}
+          {step === "upload" && (
+            <div className="space-y-4">
+              <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <p className="text-sm font-medium text-gray-700 mb-2">Recognised column headers:</p>
+                <div className="flex flex-wrap gap-2">
+                  {importFields.map((field) => (
+                    <span
+                      key={field.key}
+                      className="px-2 py-1 bg-white text-xs text-gray-600 rounded border border-gray-300"
+                    >
+                      {field.label}
+                      {field.required && <span className="text-red-500"> *</span>}
+                    </span>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-3">
+                  <strong>Note:</strong> Other headers can be mapped in the next step. Serial Number
+                  (S.No) is auto-generated for new assets and only used to find existing ones when
+                  updating. Date format: YYYY-MM-DD or DD-MM-YYYY
+                </p>
+              </div>
+
+              {/* Download Template */}
+              <button
+                onClick={downloadSampleTemplate}
+                className="w-full flex items-center justify-center space-x-2 px-4 py-2.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors border border-gray-300"
+              >
+                <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1M8 12l4 4m0 0l4-4m-4 4V4"
+                  />
+                </svg>
+                <span>Download Sample Template</span>
+              </button>
+
+              {/* File Upload */}
+              <label className="block">
+                <div className="flex items-center justify-center w-full h-32 px-4 border-2 border-dashed border-violet-300 rounded-lg cursor-pointer bg-violet-50 hover:bg-violet-100 transition-colors">
+                  <div className="text-center">
+                    {isReading ? (
+                      <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-violet-600"></div>
+                    ) : (
+                      <>
+                        <svg className="mx-auto h-10 w-10 text-violet-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth={2}
+                            d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"
+                          />
+                        </svg>
+                        <p className="mt-2 text-sm text-violet-700 font-medium">Click to choose a file</p>
+                        <p className="text-xs text-gray-500">.xlsx, .xls or .csv (max 10MB)</p>
+                      </>
+                    )}
+                  </div>
+                </div>
+                <input
+                  type="file"
+                  accept=".xlsx,.xls,.csv"
+                  onChange={handleFileChange}
+                  disabled={isReading}
+                  className="hidden"
+                />
+              </label>
+            </div>
+          )}
+
+          {/* Step 2 - Map Columns */}
+          {step === "map" && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {rows.length} row{rows.length === 1 ? "" : "s"} found. Choose the asset field for each
+                column, or skip columns you don't need.
+              </p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {[
+                  {
+                    id: IMPORT_MODES.CREATE,
+                    label: "Create new assets only",
+                    description: "Every valid row becomes a new asset.",
+                  },
+                  {
+                    id: IMPORT_MODES.UPSERT,
+                    label: "Update existing + create new",
+                    description:
+                      "Rows matching an asset's Serial Number or Device S.No update it; the rest are created.",
+                  },
+                ].map((option) => (
+                  <label
+                    key={option.id}
+                    className={`flex items-start gap-2 p-3 rounded-lg border cursor-pointer transition-colors ${
+                      mode === option.id ? "border-violet-400 bg-violet-50" : "border-gray-200 hover:bg-gray-50"
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="importMode"
+                      value={option.id}
+                      checked={mode === option.id}
+                      onChange={() => setMode(option.id)}
+                      className="mt-0.5 text-violet-600 focus:ring-violet-500"
+                    />
+                    <span>
+                      <span className="block text-sm font-medium text-gray-900">{option.label}</span>
+                      <span className="block text-xs text-gray-500">{option.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+              <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+                <table className="w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Spreadsheet Column</th>
+                      <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">First Value</th>
+                      <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Asset Field</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {headers.map((header) => (
+                      <tr key={header}>
+                        <td className="px-3 py-2 text-sm text-gray-900">{header}</td>
+                        <td className="px-3 py-2 text-xs text-gray-500 truncate max-w-[12rem]">
+                          {String(rows[0]?.[header] ?? "") || "-"}
+                        </td>
+                        <td className="px-3 py-2">
+                          <select
+                            value={mapping[header] || ""}
+                            onChange={(e) => handleMappingChange(header, e.target.value)}
+                            className={`w-full px-2 py-1.5 text-sm border rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 ${
+                              mapping[header] ? "border-violet-300 bg-violet-50" : "border-gray-300 bg-white"
+                            }`}
+                          >
+                            <option value="">Skip this column</option>
+                            {importFields.map((field) => (
+                              <option key={field.key} value={field.key}>
+                                {field.label}
+                                {field.matchOnly ? " (match only)" : field.required && !isUpsert ? " *" : ""}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {missingFields.length > 0 && (
+                <p className="text-sm text-red-600">
+                  {isUpsert
+                    ? `Map a column to ${missingFields.map((field) => field.label).join(" or ")} to match existing assets.`
+                    : `Map a column to ${missingFields.map((field) => field.label).join(", ")} to continue.`}
+                </p>
+              )}
+              {isUpsert && (
+                <p className="text-xs text-gray-500">
+                  Empty cells keep the asset's current value. User and Status are never changed by an
+                  import - use check-out / check-in and status changes for those.
+                </p>
+              )}
+              <div className="flex space-x-4">
+                <button
+                  onClick={reset}
+                  className="flex-1 px-4 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition-colors"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleReview}
+                  disabled={missingFields.length > 0 || isMatching}
+                  className="flex-1 px-4 py-2.5 bg-violet-600 text-white rounded-lg font-medium hover:bg-violet-700 transition-colors disabled:opacity-50"
+                >
+                  {isMatching ? "Matching..." : "Review Rows"}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Step 3 - Review */}
+          {step === "review" && (
+            <div className="space-y-4">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <p className="text-sm text-gray-600">
+                  {isUpsert ? (
+                    <>
+                      <span className="font-medium text-green-700">{createRows.length} new</span>
+                      {" · "}
+                      <span className="font-medium text-amber-700">{updateRows.length} to update</span>
+                      {" · "}
+                      <span className="font-medium text-gray-700">{unchangedCount} unchanged</span>
+                    </>
+                  ) : (
+                    <span className="font-medium text-green-700">{validRows.length} ready to import</span>
+                  )}
+                  {invalidCount > 0 && (
+                    <>
+                      {" · "}
+                      <span className="font-medium text-red-600">
+                        {invalidCount} with errors (skipped)
+                      </span>
+                    </>
+                  )}
+                  . Hover a red cell to see what's wrong
+                  {isUpsert && ", or an amber cell to see its current value"}.
+                </p>
+                <select
+                  value={rowFilter}
+                  onChange={(e) => setRowFilter(e.target.value)}
+                  className="px-3 py-1.5 text-sm bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500"
+                >
+                  <option value="all">All rows</option>
+                  <option value="errors">Only rows with errors</option>
+                  {isUpsert &&
+                    Object.entries(ACTION_STYLES).map(([action, { label }]) => (
+                      <option key={action} value={action}>
+                        Only {label.toLowerCase()} rows
+                      </option>
+                    ))}
+                </select>
+              </div>
+              <div className="max-h-[28rem] overflow-auto border border-gray-200 rounded-lg">
+                <table className="w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-2 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Row</th>
+                      {isUpsert && (
+                        <th className="px-2 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Action</th>
+                      )}
+                      {mappedFields.map((field) => (
+                        <th
+                          key={field.key}
+                          className="px-2 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap"
+                        >
+                          {field.label}
+                        </th>
+                      ))}
+                      <th className="px-2 py-2 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {previewRows.map((row) => {
+                      const errorCount = Object.keys(row.errors).length;
+                      // Errors on fields that aren't in the table (e.g. a missing User column)
+                      const otherErrors = Object.entries(row.errors)
+                        .filter(([key]) => !mappedFields.some((field) => field.key === key))
+                        .map(([, message]) => message);
+                      return (
+                        <tr key={row.rowNumber} className={errorCount > 0 ? "bg-red-50/40" : ""}>
+                          <td className="px-2 py-1.5 text-xs text-gray-500 whitespace-nowrap">{row.rowNumber}</td>
+                          {isUpsert && (
+                            <td className="px-2 py-1.5 whitespace-nowrap">
+                              <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${ACTION_STYLES[row.action].className}`}>
+                                {ACTION_STYLES[row.action].label}
+                                {row.existing && ` ${row.existing.serialNumber}`}
+                              </span>
+                            </td>
+                          )}
+                          {mappedFields.map((field) => {
+                            const cellError = row.errors[field.key];
+                            const change = row.changes.find((item) => item.field === field.key);
+                            return (
+                              <td
+                                key={field.key}
+                                title={cellError || (change && `Currently: ${change.from || "(empty)"}`)}
+                                className={`px-2 py-1.5 text-xs whitespace-nowrap ${
+                                  cellError
+                                    ? "bg-red-100 text-red-800 ring-1 ring-inset ring-red-300"
+                                    : change
+                                      ? "bg-amber-50 text-amber-900 ring-1 ring-inset ring-amber-300"
+                                      : "text-gray-700"
+                                }`}
+                              >
+                                {change && !cellError ? (
+                                  <>
+                                    <span className="text-gray-400 line-through">{change.from || "(empty)"}</span>
+                                    {" → "}
+                                    {change.to}
+                                  </>
+                                ) : (
+                                  row.asset[field.key] || (cellError ? "(empty)" : "")
+                                )}
+                              </td>
+                            );
+                          })}
+                          <td className="px-2 py-1.5 text-xs whitespace-nowrap">
+                            {errorCount === 0 ? (
+                              <span className="text-green-700">OK</span>
+                            ) : (
+                              <span className="text-red-600" title={Object.values(row.errors).join("\n")}>
+                                {otherErrors.length > 0
+                                  ? otherErrors.join("; ")
+                                  : `${errorCount} problem${errorCount === 1 ? "" : "s"}`}
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {validatedRows.length > MAX_PREVIEW_ROWS && (
+                <p className="text-xs text-gray-500">
+                  Showing the first {MAX_PREVIEW_ROWS} rows. Every row is checked and imported.
+                </p>
+              )}
+              <div className="flex space-x-4">
+                <button
+                  onClick={() => setStep("map")}
+                  className="flex-1 px-4 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition-colors"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={createRows.length + updateRows.length === 0}
+                  className="flex-1 px-4 py-2.5 bg-violet-600 text-white rounded-lg font-medium hover:bg-violet-700 transition-colors disabled:opacity-50"
+                >
+                  {isUpsert
+                    ? `Create ${createRows.length}, Update ${updateRows.length}`
+                    : `Import ${validRows.length} Valid Row${validRows.length === 1 ? "" : "s"}`}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Step 4 - Import */}
+          {step === "import" && (
+            <div className="space-y-4">
+              {isUploading ? (
+                <div className="flex items-center justify-center">
+                  <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-violet-600"></div>
+                </div>
+              ) : (
+                result && (
+                  <p className="text-center text-sm font-medium text-gray-700">
+                    Complete! {result.created} record{result.created === 1 ? "" : "s"} imported
+                    {isUpsert && `, ${result.updated} updated, ${result.unchanged} unchanged`}
+                    {result.failures.length > 0 && `, ${result.failures.length} failed`}.
+                  </p>
+                )
+              )}
+              <div className="text-center">
+                <p className="text-xs text-gray-500">
+                  {progress.current} of {progress.total} records
+                </p>
+              </div>
+              {progress.total > 0 && (
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-violet-600 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${(progress.current / progress.total) * 100}%` }}
+                  ></div>
+                </div>
+              )}
+              {!isUploading && result && <AuditErrorBanner messages={auditErrors} />}
+              {/* Failed rows - download, fix and upload the corrected file */}
+              {result?.failures.length > 0 && (
+                <>
+                  <div className="max-h-64 overflow-y-auto border border-red-200 rounded-lg">
+                    <table className="w-full divide-y divide-gray-200">
+                      <thead className="bg-red-50 sticky top-0">
+                        <tr>
+                          <th className="px-3 py-2 text-left text-xs font-semibold text-red-700 uppercase whitespace-nowrap">Row</th>
+                          <th className="px-3 py-2 text-left text-xs font-semibold text-red-700 uppercase">Reason</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {result.failures.map((failure, index) => (
+                          <tr key={`${failure.rowNumber}-${index}`}>
+                            <td className="px-3 py-1.5 text-xs text-gray-700 whitespace-nowrap align-top">
+                              {failure.rowNumber ?? "-"}
+                            </td>
+                            <td className="px-3 py-1.5 text-xs text-gray-700">{failure.reason}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {result.failures.some((failure) => !failure.raw) && (
+                    <p className="text-xs text-gray-500">
+                      Errors without a row number couldn't be matched to a row and aren't in the download.
+                    </p>
+                  )}
+                </>
+              )}
+              {!isUploading && (
+                <div className="flex space-x-4">
+                  {result?.failures.some((failure) => failure.raw) && (
+                    <>
+                      <button
+                        onClick={downloadFailedRows}
+                        className="flex-1 px-4 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition-colors border border-gray-300"
+                      >
+                        Download Failed Rows
+                      </button>
+                      <button
+                        onClick={handleUploadCorrected}
+                        className="flex-1 px-4 py-2.5 bg-violet-50 text-violet-700 rounded-lg font-medium hover:bg-violet-100 transition-colors border border-violet-200"
+                      >
+                        Upload Corrected File
+                      </button>
+                    </>
+                  )}
+                  <button
+                    onClick={handleClose}
+                    className="flex-1 px-4 py-2.5 bg-violet-600 text-white rounded-lg font-medium hover:bg-violet-700 transition-colors"
+                  >
+                    Done
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -1,7 +1,26 @@
 import { useState } from "react";
 import { useAuth } from "../context/AuthContext";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, NavLink } from "react-router-dom";
 import OmTransLogo from "../assets/OmTrans.png";
+import { PERMISSIONS, hasAllPermissions } from "../utils/permissions";
+
+// Navigation links, each shown only to users with the listed permissions
+const navLinks = [
+  { to: "/dashboard", label: "Dashboard", permissions: [] },
+  { to: "/reports/depreciation", label: "Depreciation", permissions: [PERMISSIONS.REPORT_VIEW] },
+  { to: "/employees", label: "Employees", permissions: [PERMISSIONS.ASSET_VIEW_ALL] },
+  { to: "/admin/users", label: "Users", permissions: [PERMISSIONS.USER_MANAGE] },
+  { to: "/admin/audit-log", label: "Audit Log", permissions: [PERMISSIONS.AUDIT_VIEW] },
+  { to: "/admin/recycle-bin", label: "Recycle Bin", permissions: [PERMISSIONS.RECYCLE_BIN_MANAGE] },
+  {
+    to: "/admin/duplicates",
+    label: "Duplicates",
+    permissions: [PERMISSIONS.ASSET_EDIT_ANY, PERMISSIONS.ASSET_DELETE_ANY],
+  },
+  { to: "/admin/device-types", label: "Device Types", permissions: [PERMISSIONS.MASTER_DATA_MANAGE] },
+  { to: "/admin/companies", label: "Companies", permissions: [PERMISSIONS.MASTER_DATA_MANAGE] },
+  { to: "/admin/branches", label: "Branches", permissions: [PERMISSIONS.MASTER_DATA_MANAGE] },
+];
 
 const Navbar = () => {
   const { user, logout } = useAuth();
@@ -17,6 +36,8 @@ const Navbar = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen);
   };
 
+  const visibleLinks = navLinks.filter((link) => hasAllPermissions(user, link.permissions));
+
   return (
     <nav className="bg-gradient-to-r from-gray-800 via-gray-700 to-gray-800 shadow-xl border-b-4 border-red-600">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -42,6 +63,25 @@ const Navbar = () => {
 
           {/* Desktop User Info & Logout */}
           <div className="hidden md:flex items-center space-x-6">
+            {visibleLinks.length > 1 && (
+              <div className="flex items-center space-x-1">
+                {visibleLinks.map((link) => (
+                  <NavLink
+                    key={link.to}
+                    to={link.to}
+                    className={({ isActive }) =>
+                      `px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                        isActive
+                          ? "bg-gray-900/40 text-white"
+                          : "text-gray-300 hover:text-white hover:bg-gray-600/50"
+                      }`
+                    }
+                  >
+                    {link.label}
+                  </NavLink>
+                ))}
+              </div>
+            )}
             <div className="flex items-center space-x-3 bg-gray-600/50 px-4 py-2 rounded-full">
               <div className="bg-blue-600 p-2 rounded-full">
                 <svg
@@ -147,6 +187,23 @@ const Navbar = () => {
                 </span>
               </div>
 
+              {/* Navigation Links */}
+              {visibleLinks.length > 1 &&
+                visibleLinks.map((link) => (
+                  <NavLink
+                    key={link.to}
+                    to={link.to}
+                    onClick={() => setIsMobileMenuOpen(false)}
+                    className={({ isActive }) =>
+                      `px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                        isActive ? "bg-gray-900/40 text-white" : "text-gray-300 hover:text-white hover:bg-gray-600/50"
+                      }`
+                    }
+                  >
+                    {link.label}
+                  </NavLink>
+                ))}
+
               {/* Logout Button */}
               <button
                 onClick={handleLogout}
@@ -1,7 +1,9 @@
-import { Navigate } from "react-router-dom";
+import { Navigate, Link } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { hasAllPermissions } from "../utils/permissions";
 
-const ProtectedRoute = ({ children }) => {
+// Guards a route: requires a logged-in user and, optionally, every permission listed
+const ProtectedRoute = ({ children, permissions = [] }) => {
   const { user, isLoading } = useAuth();
 
   if (isLoading) {
@@ -16,6 +18,30 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
+  if (!hasAllPermissions(user, permissions)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
+        <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full text-center">
+          <div className="flex items-center justify-center w-12 h-12 mx-auto bg-red-100 rounded-full mb-4">
+            <svg className="h-6 w-6 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+            </svg>
+          </div>
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Access denied</h2>
+          <p className="text-gray-600 text-sm mb-6">
+            You don't have permission to view this page.
+          </p>
+          <Link
+            to="/dashboard"
+            className="inline-flex px-4 py-2.5 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors"
+          >
+            Back to Dashboard
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
   return children;
 };
 
@@ -1,33 +1,212 @@
-import { createContext, useContext, useState, useEffect } from "react";
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import IdleWarningModal from "../components/IdleWarningModal";
+import {
+  AUTH_STORAGE_KEY,
+  getStoredUser,
+  storeUser,
+  clearStoredUser,
+  recordActivity,
+  getLastActivity,
+  getTokenExpiry,
+} from "../services/authStorage";
+import { setUnauthorizedHandler } from "../services/apiClient";
+import { refreshToken } from "../services/authService";
+
+// Idle timeout is configurable per deployment (minutes), default 30
+const IDLE_TIMEOUT_MS = (Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+// Show the "are you still there?" dialog this long before the idle logout
+const IDLE_WARNING_MS = 60 * 1000;
+// Refresh the token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 2 * 60 * 1000;
+// Only write activity to localStorage every few seconds (mousemove fires constantly)
+const ACTIVITY_THROTTLE_MS = 5 * 1000;
+const ACTIVITY_EVENTS = ["mousedown", "mousemove", "keydown", "scroll", "touchstart"];
+// Longest delay setTimeout handles (2^31 - 1 ms, ~24.8 days) - longer ones overflow and fire at once
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Run callback at a timestamp, in steps no longer than setTimeout allows
+// Returns a function that cancels it
+const scheduleAt = (timestamp, callback) => {
+  let timer;
+  const schedule = () => {
+    timer = setTimeout(
+      () => (Date.now() >= timestamp ? callback() : schedule()),
+      Math.min(Math.max(timestamp - Date.now(), 0), MAX_TIMEOUT_MS),
+    );
+  };
+  schedule();
+  return () => clearTimeout(timer);
+};
+
+// A stored session is only restored if its token hasn't expired and the
+// user hasn't been idle longer than the timeout (e.g. a shared PC left overnight)
+const isSessionValid = (storedUser) => {
+  const expiresAt = getTokenExpiry(storedUser?.token);
+  if (expiresAt && expiresAt <= Date.now()) return false;
+  const lastActivity = getLastActivity();
+  if (lastActivity && Date.now() - lastActivity >= IDLE_TIMEOUT_MS) return false;
+  return true;
+};
 
 const AuthContext = createContext(null);
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [idleSecondsLeft, setIdleSecondsLeft] = useState(null);
+  const navigate = useNavigate();
+
+  // Ref mirror of the warning state so activity listeners can read it
+  const idleWarningShownRef = useRef(false);
 
   useEffect(() => {
-    // Check if user is already logged in (from localStorage)
-    const storedUser = localStorage.getItem("itAssetUser");
-    if (storedUser) {
-      setUser(JSON.parse(storedUser));
+    // Check if user is already logged in (from localStorage) and the session is still valid
+    const storedUser = getStoredUser();
+    if (storedUser && isSessionValid(storedUser)) {
+      setUser(storedUser);
+    } else if (storedUser) {
+      clearStoredUser();
     }
     setIsLoading(false);
   }, []);
 
   const login = (userData) => {
     setUser(userData);
-    localStorage.setItem("itAssetUser", JSON.stringify(userData));
+    storeUser(userData);
+    recordActivity();
   };
 
   const logout = () => {
     setUser(null);
-    localStorage.removeItem("itAssetUser");
+    setIdleSecondsLeft(null);
+    clearStoredUser();
+  };
+
+  // End the session and send the user to login with the reason shown there
+  const endSession = useCallback(
+    (reason) => {
+      setUser(null);
+      setIdleSecondsLeft(null);
+      idleWarningShownRef.current = false;
+      clearStoredUser();
+      navigate("/login", { replace: true, state: { logoutReason: reason } });
+    },
+    [navigate],
+  );
+
+  // Any authenticated request rejected with 401 means the token is no longer valid:
+  // drop the session and send the user back to login with a "session expired" notice
+  useEffect(() => {
+    setUnauthorizedHandler(() => endSession("expired"));
+    return () => setUnauthorizedHandler(null);
+  }, [endSession]);
+
+  // Silently refresh the token shortly before it expires; if that fails the
+  // session ends when the token lapses
+  useEffect(() => {
+    const expiresAt = getTokenExpiry(user?.token);
+    if (!expiresAt) return;
+
+    const cancelExpiry = scheduleAt(expiresAt, () => endSession("expired"));
+    const cancelRefresh = scheduleAt(expiresAt - TOKEN_REFRESH_MARGIN_MS, async () => {
+      try {
+        const response = await refreshToken();
+        const newToken = response?.data?.token || response?.token;
+        // The stored user mirrors the logged-in one; nothing to refresh after a logout
+        const storedUser = getStoredUser();
+        if (newToken && storedUser) {
+          const updatedUser = { ...storedUser, token: newToken };
+          storeUser(updatedUser);
+          setUser(updatedUser);
+        }
+      } catch (error) {
+        console.error("Error refreshing session:", error);
+      }
+    });
+
+    return () => {
+      cancelExpiry();
+      cancelRefresh();
+    };
+  }, [user?.token, endSession]);
+
+  // Idle auto-logout: activity in any tab keeps the session alive
+  const isLoggedIn = Boolean(user);
+  useEffect(() => {
+    if (!isLoggedIn) return;
+
+    let lastWrite = 0;
+    const handleActivity = () => {
+      // While the warning is open, only "Stay signed in" counts as activity
+      if (idleWarningShownRef.current) return;
+      const now = Date.now();
+      if (now - lastWrite >= ACTIVITY_THROTTLE_MS) {
+        lastWrite = now;
+        recordActivity(now);
+      }
+    };
+
+    if (!getLastActivity()) recordActivity();
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, handleActivity, { passive: true }),
+    );
+
+    const idleCheck = setInterval(() => {
+      const idleFor = Date.now() - (getLastActivity() || Date.now());
+      if (idleFor >= IDLE_TIMEOUT_MS) {
+        endSession("idle");
+      } else if (idleFor >= IDLE_TIMEOUT_MS - IDLE_WARNING_MS) {
+        idleWarningShownRef.current = true;
+        setIdleSecondsLeft(Math.ceil((IDLE_TIMEOUT_MS - idleFor) / 1000));
+      } else {
+        idleWarningShownRef.current = false;
+        setIdleSecondsLeft(null);
+      }
+    }, 1000);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((event) =>
+        window.removeEventListener(event, handleActivity),
+      );
+      clearInterval(idleCheck);
+    };
+  }, [isLoggedIn, endSession]);
+
+  // Keep tabs in sync: logging out (or refreshing the token) in one tab applies to all
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== AUTH_STORAGE_KEY && event.key !== null) return;
+      const storedUser = getStoredUser();
+      if (storedUser) {
+        setUser(storedUser);
+      } else {
+        setUser(null);
+        setIdleSecondsLeft(null);
+        idleWarningShownRef.current = false;
+        navigate("/login", { replace: true });
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [navigate]);
+
+  const handleStaySignedIn = () => {
+    idleWarningShownRef.current = false;
+    setIdleSecondsLeft(null);
+    recordActivity();
   };
 
   return (
     <AuthContext.Provider value={{ user, login, logout, isLoading }}>
       {children}
+      {user && idleSecondsLeft !== null && (
+        <IdleWarningModal
+          secondsLeft={idleSecondsLeft}
+          onStay={handleStaySignedIn}
+          onLogout={() => endSession("logout")}
+        />
+      )}
     </AuthContext.Provider>
   );
 };
@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { useAuth } from "./AuthContext";
+import { CompanyContext } from "./useCompanies";
+import { getAllCompanies } from "../services/companyService";
+import { defaultCompanies } from "../data/assets";
+import { getCompanyColor } from "../utils/assetStyles";
+
+// Companies from an API response (strings or { name, color } objects)
+const extractCompanies = (response) => {
+  const data = response?.data || response || [];
+  return Array.isArray(data)
+    ? data
+        .map((item) => (typeof item === "string" ? { name: item } : item))
+        .filter((item) => item?.name)
+    : [];
+};
+
+// Loads the company list once the user is signed in
+// Falls back to the built-in OmTrans/TGL/OmTrax list while the server list is empty or unavailable
+export const CompanyProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [companies, setCompanies] = useState(defaultCompanies);
+  const [isLoading, setIsLoading] = useState(true);
+  // Bumped to reload the list after it has been edited
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!user) return;
+    const fetchCompanies = async () => {
+      setIsLoading(true);
+      const list = extractCompanies(await getAllCompanies().catch(() => null));
+      setCompanies(list.length ? list : defaultCompanies);
+      setIsLoading(false);
+    };
+    fetchCompanies();
+  }, [user, reloadKey]);
+
+  const refreshCompanies = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  const companyNames = useMemo(() => companies.map((company) => company.name), [companies]);
+
+  const getColor = useCallback((company) => getCompanyColor(company, companies), [companies]);
+
+  return (
+    <CompanyContext.Provider
+      value={{
+        companies,
+        companyNames,
+        isLoading,
+        refreshCompanies,
+        getCompanyColor: getColor,
+      }}
+    >
+      {children}
+    </CompanyContext.Provider>
+  );
+};
@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { useAuth } from "./AuthContext";
+import { DeviceTypeContext } from "./useDeviceTypes";
+import { getAllDeviceTypes } from "../services/deviceTypeService";
+import { defaultDeviceTypes } from "../data/assets";
+import { getDeviceColor } from "../utils/assetStyles";
+import { getDeviceSpecFields, getUsefulLife } from "../utils/deviceTypes";
+
+// Device types from a catalogue API response (strings or { name, color, usefulLifeYears, specFields } objects)
+const extractDeviceTypes = (response) => {
+  const data = response?.data || response || [];
+  return Array.isArray(data)
+    ? data
+        .map((item) => (typeof item === "string" ? { name: item } : item))
+        .filter((item) => item?.name)
+    : [];
+};
+
+// Loads the device type catalogue once the user is signed in
+// Falls back to the built-in Laptop/Desktop/Printer list while the catalogue is empty or unavailable
+export const DeviceTypeProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [deviceTypes, setDeviceTypes] = useState(defaultDeviceTypes);
+  const [isLoading, setIsLoading] = useState(true);
+  // Bumped to reload the catalogue after it has been edited
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!user) return;
+    const fetchDeviceTypes = async () => {
+      setIsLoading(true);
+      const catalogue = extractDeviceTypes(await getAllDeviceTypes().catch(() => null));
+      setDeviceTypes(catalogue.length ? catalogue : defaultDeviceTypes);
+      setIsLoading(false);
+    };
+    fetchDeviceTypes();
+  }, [user, reloadKey]);
+
+  const refreshDeviceTypes = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  const deviceTypeNames = useMemo(() => deviceTypes.map((type) => type.name), [deviceTypes]);
+
+  const getColor = useCallback((device) => getDeviceColor(device, deviceTypes), [deviceTypes]);
+
+  const getSpecFields = useCallback((device) => getDeviceSpecFields(device, deviceTypes), [deviceTypes]);
+
+  const getLife = useCallback((device) => getUsefulLife(device, deviceTypes), [deviceTypes]);
+
+  return (
+    <DeviceTypeContext.Provider
+      value={{
+        deviceTypes,
+        deviceTypeNames,
+        isLoading,
+        refreshDeviceTypes,
+        getDeviceColor: getColor,
+        getSpecFields,
+        getUsefulLife: getLife,
+      }}
+    >
+      {children}
+    </DeviceTypeContext.Provider>
+  );
+};
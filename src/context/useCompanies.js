@@ -0,0 +1,12 @@
+import { createContext, useContext } from "react";
+
+export const CompanyContext = createContext(null);
+
+// Company list shared by the dashboard, forms and tables (see CompanyProvider)
+export const useCompanies = () => {
+  const context = useContext(CompanyContext);
+  if (!context) {
+    throw new Error("useCompanies must be used within a CompanyProvider");
+  }
+  return context;
+};
@@ -0,0 +1,12 @@
+import { createContext, useContext } from "react";
+
+export const DeviceTypeContext = createContext(null);
+
+// Device type catalogue shared by the dashboard, forms and tables (see DeviceTypeProvider)
+export const useDeviceTypes = () => {
+  const context = useContext(DeviceTypeContext);
+  if (!context) {
+    throw new Error("useDeviceTypes must be used within a DeviceTypeProvider");
+  }
+  return context;
+};
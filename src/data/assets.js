@@ -142,11 +142,12 @@ export const initialAssets = [
   },
 ];
 
-// Company options
-export const companies = ["OmTrans", "TGL", "OmTrax"];
-
-// Device type options (for filtering)
-export const deviceTypes = ["Laptop", "Desktop", "Printer"];
+// Companies used until the server-side list (services/companyService) has entries
+export const defaultCompanies = [
+  { name: "OmTrans", color: "blue" },
+  { name: "TGL", color: "purple" },
+  { name: "OmTrax", color: "green" },
+];
 
 // Branch options
 export const branches = [
@@ -191,3 +192,55 @@ export const brands = [
 
 // Operating System options
 export const operatingSystems = ["Windows", "MacOS", "Linux", "Other"];
+
+// Currency options for purchase cost (first is the default)
+export const currencies = ["INR", "USD", "EUR", "GBP", "AED"];
+
+// Condition of an asset handed back when an employee leaves (first is the default)
+export const returnConditions = ["Good", "Minor wear", "Damaged", "Accessories missing"];
+
+// Hardware specification fields (stored flat on the asset)
+export const specFields = {
+  model: { label: "Model", placeholder: "e.g., ProBook 440 G9" },
+  cpu: { label: "CPU", placeholder: "e.g., Intel Core i5-1235U" },
+  ram: { label: "RAM", placeholder: "e.g., 16 GB" },
+  storage: { label: "Storage", placeholder: "e.g., 512 GB SSD" },
+  macAddress: { label: "MAC Address", placeholder: "e.g., 00:1A:2B:3C:4D:5E" },
+  ipAddress: { label: "IP Address", placeholder: "e.g., 192.168.1.50" },
+  tonerModel: { label: "Toner Model", placeholder: "e.g., HP 26A (CF226A)" },
+};
+
+const computerSpecs = ["model", "cpu", "ram", "storage", "macAddress"];
+
+// Device types used until the server-side catalogue (services/deviceTypeService) has entries
+// usefulLifeYears is used for depreciation, specFields are the spec fields that apply to the type
+export const defaultDeviceTypes = [
+  { name: "Laptop", color: "emerald", usefulLifeYears: 3, specFields: computerSpecs },
+  { name: "Desktop", color: "violet", usefulLifeYears: 5, specFields: computerSpecs },
+  { name: "Printer", color: "amber", usefulLifeYears: 5, specFields: ["model", "ipAddress", "tonerModel"] },
+];
+
+// Asset fields with display labels (detail page, change history)
+export const assetFields = [
+  { key: "serialNumber", label: "S.No" },
+  { key: "companyName", label: "Company" },
+  { key: "branch", label: "Branch" },
+  { key: "department", label: "Department" },
+  { key: "location", label: "Location / Floor" },
+  { key: "userName", label: "User" },
+  { key: "status", label: "Status" },
+  { key: "brand", label: "Brand" },
+  { key: "device", label: "Device" },
+  { key: "deviceSerialNo", label: "Device S.No" },
+  ...Object.entries(specFields).map(([key, { label }]) => ({ key, label })),
+  { key: "operatingSystem", label: "Operating System" },
+  { key: "dateOfPurchase", label: "Purchase Date", type: "date" },
+  { key: "warrantyEndDate", label: "Warranty End", type: "date" },
+  { key: "vendor", label: "Vendor" },
+  { key: "amcContractNo", label: "AMC Contract No" },
+  { key: "amcExpiryDate", label: "AMC Expiry", type: "date" },
+  { key: "purchaseCost", label: "Purchase Cost" },
+  { key: "currency", label: "Currency" },
+  { key: "depreciationMethod", label: "Depreciation Method" },
+  { key: "remark", label: "Remark" },
+];
@@ -0,0 +1,16 @@
+import { useState, useCallback } from "react";
+
+// Saved changes the audit log couldn't record, for AuditErrorBanner
+// Pass reportAuditError to recordAssetChange(...).catch() so a failed audit write doesn't fail the save
+export const useAuditErrors = () => {
+  const [auditErrors, setAuditErrors] = useState([]);
+
+  const reportAuditError = useCallback(
+    (auditError) => setAuditErrors((prev) => [...prev, auditError.message]),
+    [],
+  );
+
+  const clearAuditErrors = useCallback(() => setAuditErrors([]), []);
+
+  return { auditErrors, reportAuditError, clearAuditErrors };
+};
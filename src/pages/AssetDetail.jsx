@@ -0,0 +1,302 @@
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import Navbar from "../components/Navbar";
+import AuditErrorBanner from "../components/AuditErrorBanner";
+import AssetTimeline from "../components/AssetTimeline";
+import CustodyChain from "../components/CustodyChain";
+import CustodyModal from "../components/CustodyModal";
+import { useAuth } from "../context/AuthContext";
+import { useAuditErrors } from "../hooks/useAuditErrors";
+import { assetFields, specFields } from "../data/assets";
+import {
+  getAssetById,
+  getAssetCustody,
+  checkOutAsset,
+  checkInAsset,
+} from "../services/assetService";
+import { AUDIT_ACTIONS, getAuditLogs, recordAssetChange } from "../services/auditService";
+import { canEditAsset, canViewAsset } from "../utils/permissions";
+import { ASSET_STATUS, getAssetStatus, canCheckOut, canCheckIn } from "../utils/assetStatus";
+import { calculateDepreciation } from "../utils/depreciation";
+import { formatCurrency, formatDate, formatDateTime, formatUserRef } from "../utils/formatters";
+import { getStatusColor } from "../utils/assetStyles";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+import { useCompanies } from "../context/useCompanies";
+
+// Most audit entries shown in an asset's history
+const HISTORY_LIMIT = 500;
+
+const AssetDetail = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const { deviceTypes, getDeviceColor, getSpecFields } = useDeviceTypes();
+  const { getCompanyColor } = useCompanies();
+  const [asset, setAsset] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [custody, setCustody] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { auditErrors, reportAuditError, clearAuditErrors } = useAuditErrors();
+  const [historyError, setHistoryError] = useState(null);
+  // "check-out" | "check-in" while the custody modal is open
+  const [custodyMode, setCustodyMode] = useState(null);
+  // Bumped to reload the asset after a check-out / check-in
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchAsset = async () => {
+      setError(null);
+      setHistoryError(null);
+
+      // History and custody are optional - the asset still shows if they can't be loaded
+      const [assetResult, historyResult, custodyResult] = await Promise.allSettled([
+        getAssetById(id),
+        getAuditLogs({ entityId: id, limit: HISTORY_LIMIT }),
+        getAssetCustody(id),
+      ]);
+
+      const assetData =
+        assetResult.status === "fulfilled"
+          ? assetResult.value?.data?.asset || assetResult.value?.data || assetResult.value
+          : null;
+      if (assetData && !canViewAsset(user, assetData)) {
+        // Same message as a missing asset, so other users' assets can't be probed by id
+        setAsset(null);
+        setHistory([]);
+        setCustody([]);
+        setError("Asset not found.");
+        setIsLoading(false);
+        return;
+      }
+
+      if (assetData) {
+        setAsset(assetData);
+      } else {
+        setError(
+          assetResult.reason?.status === 404
+            ? "Asset not found."
+            : "Failed to load asset. Please try again.",
+        );
+      }
+
+      if (historyResult.status === "fulfilled") {
+        const response = historyResult.value;
+        const entries = response?.data?.logs || response?.data || response?.logs || [];
+        setHistory(Array.isArray(entries) ? entries : []);
+      } else {
+        setHistory([]);
+        setHistoryError("Change history is not available right now.");
+      }
+
+      if (custodyResult.status === "fulfilled") {
+        const response = custodyResult.value;
+        const entries = response?.data?.custody || response?.data || response?.custody || [];
+        setCustody(Array.isArray(entries) ? entries : []);
+      } else {
+        setCustody([]);
+      }
+
+      setIsLoading(false);
+    };
+    fetchAsset();
+  }, [id, reloadKey, user]);
+
+  // Check out / check in, then reload so details, custody chain and history agree
+  const handleCustodySubmit = async (details) => {
+    const assetId = asset._id || asset.id;
+    if (custodyMode === "check-out") {
+      await checkOutAsset(assetId, { ...details, performedBy: user?._id });
+      await recordAssetChange({
+        action: AUDIT_ACTIONS.CHECK_OUT,
+        actor: user?._id,
+        before: asset,
+        after: {
+          ...asset,
+          userName: details.assignee,
+          employeeId: details.employeeId,
+          branch: details.branch,
+          department: details.department,
+          status: ASSET_STATUS.ASSIGNED,
+        },
+      }).catch(reportAuditError);
+    } else {
+      await checkInAsset(assetId, { ...details, performedBy: user?._id });
+      await recordAssetChange({
+        action: AUDIT_ACTIONS.CHECK_IN,
+        actor: user?._id,
+        before: asset,
+        after: { ...asset, userName: "", employeeId: "", status: ASSET_STATUS.IN_STOCK },
+      }).catch(reportAuditError);
+    }
+    setReloadKey((key) => key + 1);
+  };
+
+  const canManageCustody = asset && !asset.deletedAt && canEditAsset(user, asset);
+  const bookValue = asset ? calculateDepreciation(asset, new Date(), deviceTypes) : null;
+
+  // Audit log entries oldest first, with a create entry from the asset itself if the log has none
+  // (assets created before the audit log existed)
+  const timeline = [...history].sort(
+    (a, b) =>
+      new Date(a.timestamp || a.createdAt || 0).getTime() -
+      new Date(b.timestamp || b.createdAt || 0).getTime(),
+  );
+  if (asset && !timeline.some((entry) => entry.action === AUDIT_ACTIONS.CREATE)) {
+    timeline.unshift({
+      _id: "created",
+      action: AUDIT_ACTIONS.CREATE,
+      actor: asset.createdBy,
+      timestamp: asset.createdAt,
+    });
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Link
+          to="/dashboard"
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-6"
+        >
+          <svg className="h-4 w-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back to Dashboard
+        </Link>
+
+        <AuditErrorBanner messages={auditErrors} onDismiss={clearAuditErrors} />
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        ) : error ? (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        ) : (
+          <>
+            {asset.deletedAt && (
+              <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg text-amber-800 text-sm">
+                This asset was deleted by {formatUserRef(asset.deletedBy)} on{" "}
+                {formatDateTime(asset.deletedAt)} and is in the recycle bin.
+              </div>
+            )}
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <div className="lg:col-span-2 space-y-6">
+                {/* Asset Details */}
+                <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+                  <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center gap-3">
+                    <h1 className="text-2xl font-bold text-gray-900">{asset.serialNumber}</h1>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${getDeviceColor(asset.device)}`}>
+                      {asset.device}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${getCompanyColor(asset.companyName)}`}>
+                      {asset.companyName}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${getStatusColor(getAssetStatus(asset))}`}>
+                      {getAssetStatus(asset)}
+                    </span>
+                    {canManageCustody && (
+                      <div className="ml-auto flex gap-2">
+                        {canCheckIn(asset) && (
+                          <button
+                            onClick={() => setCustodyMode("check-in")}
+                            className="px-3 py-1.5 text-sm font-medium bg-gray-50 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors"
+                          >
+                            Check In
+                          </button>
+                        )}
+                        {canCheckOut(asset) && (
+                          <button
+                            onClick={() => setCustodyMode("check-out")}
+                            className="px-3 py-1.5 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                          >
+                            {canCheckIn(asset) ? "Reassign" : "Check Out"}
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                  <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-4 p-6">
+                    {assetFields
+                      // Specs for other device types are hidden unless they hold a value
+                      .filter(
+                        (field) =>
+                          !specFields[field.key] ||
+                          getSpecFields(asset.device).includes(field.key) ||
+                          asset[field.key],
+                      )
+                      .map((field) => (
+                        <div key={field.key}>
+                          <dt className="text-xs font-medium text-gray-500 uppercase">{field.label}</dt>
+                          <dd className="mt-0.5 text-sm text-gray-900 break-words">
+                            {field.type === "date"
+                              ? formatDate(asset[field.key])
+                              : field.key === "status"
+                                ? getAssetStatus(asset)
+                                : field.key === "userName" && asset.employeeId && asset.userName
+                                  ? (
+                                    <Link to={`/employees/${asset.employeeId}`} className="text-blue-700 hover:underline">
+                                      {asset.userName}
+                                    </Link>
+                                  )
+                                  : asset[field.key] || "-"}
+                          </dd>
+                        </div>
+                      ))}
+                    {bookValue && (
+                      <div>
+                        <dt className="text-xs font-medium text-gray-500 uppercase">Current Book Value</dt>
+                        <dd className="mt-0.5 text-sm text-gray-900">
+                          {formatCurrency(bookValue.currentValue, bookValue.currency)}{" "}
+                          <span className="text-xs text-gray-500">
+                            ({bookValue.method}, {bookValue.usefulLife} yrs)
+                          </span>
+                        </dd>
+                      </div>
+                    )}
+                  </dl>
+                  <div className="px-6 py-3 bg-gray-50 border-t border-gray-200 text-xs text-gray-500">
+                    Created by{" "}
+                    <span className="font-medium text-gray-700">{formatUserRef(asset.createdBy)}</span>{" "}
+                    on {formatDateTime(asset.createdAt)}
+                    {asset.updatedAt && asset.updatedAt !== asset.createdAt && (
+                      <> · Last updated {formatDateTime(asset.updatedAt)}</>
+                    )}
+                  </div>
+                </div>
+
+                {/* Custody Chain */}
+                <div className="bg-white rounded-xl shadow-lg p-6">
+                  <h2 className="text-sm font-semibold text-gray-700 uppercase mb-4">Custody</h2>
+                  <CustodyChain custody={[...custody].reverse()} />
+                </div>
+              </div>
+
+              {/* History Timeline */}
+              <div className="bg-white rounded-xl shadow-lg p-6">
+                <h2 className="text-sm font-semibold text-gray-700 uppercase mb-4">History</h2>
+                {historyError && (
+                  <p className="mb-4 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-2">
+                    {historyError}
+                  </p>
+                )}
+                <AssetTimeline history={timeline} />
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+
+      <CustodyModal
+        isOpen={Boolean(custodyMode)}
+        mode={custodyMode}
+        asset={asset}
+        onClose={() => setCustodyMode(null)}
+        onSubmit={handleCustodySubmit}
+      />
+    </div>
+  );
+};
+
+export default AssetDetail;
@@ -0,0 +1,355 @@
+import { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import * as XLSX from "xlsx";
+import Navbar from "../components/Navbar";
+import { getUsers } from "../services/authService";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ACTION_LABELS,
+  getAuditLogs,
+} from "../services/auditService";
+import {
+  formatDateTime,
+  formatUserRef,
+  getAssetFieldLabel,
+  formatAssetFieldValue,
+} from "../utils/formatters";
+
+const PAGE_SIZE = 50;
+// Most entries one export can contain
+const EXPORT_LIMIT = 10000;
+// Delay after the last keystroke before the S.No search is applied
+const SEARCH_DELAY = 300;
+
+const emptyFilters = { actor: "", search: "", action: "", from: "", to: "" };
+
+const actionColors = {
+  [AUDIT_ACTIONS.CREATE]: "bg-emerald-100 text-emerald-700",
+  [AUDIT_ACTIONS.UPDATE]: "bg-blue-100 text-blue-700",
+  [AUDIT_ACTIONS.DELETE]: "bg-red-100 text-red-700",
+  [AUDIT_ACTIONS.RESTORE]: "bg-amber-100 text-amber-700",
+  [AUDIT_ACTIONS.PURGE]: "bg-gray-200 text-gray-700",
+  [AUDIT_ACTIONS.CHECK_OUT]: "bg-violet-100 text-violet-700",
+  [AUDIT_ACTIONS.CHECK_IN]: "bg-teal-100 text-teal-700",
+  [AUDIT_ACTIONS.STATUS_CHANGE]: "bg-amber-100 text-amber-700",
+};
+
+// Extract entries + pagination from the API response
+const extractLogs = (response) => {
+  const logs = response?.data?.logs || response?.data || response?.logs || [];
+  return Array.isArray(logs) ? logs : [];
+};
+
+const AuditLog = () => {
+  const [logs, setLogs] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  // S.No as typed; copied into filters.search once typing stops
+  const [searchInput, setSearchInput] = useState("");
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ totalPages: 1, totalItems: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchLogs = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getAuditLogs({ ...filters, page, limit: PAGE_SIZE });
+      const entries = extractLogs(response);
+      setLogs(entries);
+      setPagination({
+        totalPages: response?.data?.pagination?.totalPages || 1,
+        totalItems: response?.data?.pagination?.totalItems ?? entries.length,
+      });
+    } catch (err) {
+      console.error("Error fetching audit logs:", err);
+      setError("Failed to load audit log. Please try again.");
+      setLogs([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  // Users for the "changed by" filter
+  useEffect(() => {
+    getUsers()
+      .then((response) => {
+        const userData = response?.data?.users || response?.data || response?.users || [];
+        setUsers(Array.isArray(userData) ? userData : []);
+      })
+      .catch(() => setUsers([]));
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters((prev) => (prev.search === searchInput ? prev : { ...prev, search: searchInput }));
+      setPage(1);
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setFilters(emptyFilters);
+    setSearchInput("");
+    setPage(1);
+  };
+
+  // Export every entry matching the current filters, one row per changed field
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const response = await getAuditLogs({ ...filters, page: 1, limit: EXPORT_LIMIT });
+      const entries = extractLogs(response);
+      if (!entries.length) {
+        alert("No data to export");
+        return;
+      }
+      const total = response?.data?.pagination?.totalItems ?? entries.length;
+      if (
+        total > entries.length &&
+        !window.confirm(
+          `${total} entries match, but one export is limited to ${EXPORT_LIMIT}. ` +
+            "Export the first ones anyway? Narrow the filters or date range to export the rest.",
+        )
+      ) {
+        return;
+      }
+
+      const exportData = entries.flatMap((entry) => {
+        const base = {
+          Timestamp: formatDateTime(entry.timestamp || entry.createdAt),
+          User: formatUserRef(entry.actor),
+          Action: AUDIT_ACTION_LABELS[entry.action] || entry.action,
+          "Asset S.No": entry.entityLabel || entry.entityId || "",
+          Reason: entry.reason || "",
+        };
+        const changes = entry.changes || [];
+        if (!changes.length) {
+          return [{ ...base, Field: "", Before: "", After: "" }];
+        }
+        return changes.map((change) => ({
+          ...base,
+          Field: getAssetFieldLabel(change.field),
+          Before: change.from ?? "",
+          After: change.to ?? "",
+        }));
+      });
+
+      const worksheet = XLSX.utils.json_to_sheet(exportData);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, "Audit Log");
+      XLSX.writeFile(workbook, "IT_Assets_Audit_Log.xlsx");
+    } catch (err) {
+      console.error("Error exporting audit log:", err);
+      alert("Failed to export audit log. Please try again.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean) || Boolean(searchInput);
+  const inputClass =
+    "px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white";
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Page Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Audit Log</h1>
+            <p className="text-gray-600 mt-1">
+              Every asset change with who made it and what changed
+            </p>
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || isLoading}
+            className="inline-flex items-center px-5 py-2.5 mt-4 sm:mt-0 bg-emerald-600 text-white font-medium rounded-lg hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-colors shadow-md disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            <svg className="h-5 w-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1M8 12l4 4m0 0l4-4m-4 4V4" />
+            </svg>
+            {isExporting ? "Exporting..." : "Export"}
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-end gap-3 bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6">
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            User
+            <select name="actor" value={filters.actor} onChange={handleFilterChange} className={inputClass}>
+              <option value="">All users</option>
+              {users.map((account) => (
+                <option key={account._id} value={account._id}>
+                  {account.name || account.username}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Asset S.No
+            <input
+              type="text"
+              name="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="e.g. OMT-2024-001"
+              className={inputClass}
+            />
+          </label>
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Action
+            <select name="action" value={filters.action} onChange={handleFilterChange} className={inputClass}>
+              <option value="">All actions</option>
+              {Object.values(AUDIT_ACTIONS).map((action) => (
+                <option key={action} value={action}>
+                  {AUDIT_ACTION_LABELS[action]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            From
+            <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className={inputClass} />
+          </label>
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            To
+            <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className={inputClass} />
+          </label>
+          {hasFilters && (
+            <button
+              onClick={clearFilters}
+              className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        )}
+
+        {/* Log Table */}
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">When</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">User</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Action</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Asset</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Changes</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan={5} className="px-3 py-8 text-center">
+                      <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </td>
+                  </tr>
+                ) : logs.length > 0 ? (
+                  logs.map((entry, index) => (
+                    <tr key={entry._id || index} className="align-top hover:bg-blue-50 transition-colors">
+                      <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">
+                        {formatDateTime(entry.timestamp || entry.createdAt)}
+                      </td>
+                      <td className="px-3 py-2 text-xs text-gray-900 whitespace-nowrap">
+                        {formatUserRef(entry.actor)}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${actionColors[entry.action] || "bg-gray-100 text-gray-700"}`}>
+                          {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 text-xs whitespace-nowrap">
+                        {entry.entityId && entry.action !== AUDIT_ACTIONS.PURGE ? (
+                          <Link to={`/assets/${entry.entityId}`} className="text-blue-700 font-medium hover:underline">
+                            {entry.entityLabel || entry.entityId}
+                          </Link>
+                        ) : (
+                          <span className="text-gray-700">{entry.entityLabel || entry.entityId || "-"}</span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-xs text-gray-600">
+                        {(entry.changes || []).length > 0 ? (
+                          <ul className="space-y-0.5">
+                            {entry.changes.map((change) => (
+                              <li key={change.field}>
+                                <span className="font-medium text-gray-700">
+                                  {getAssetFieldLabel(change.field)}:
+                                </span>{" "}
+                                <span className="line-through text-gray-400">{formatAssetFieldValue(change.field, change.from)}</span>{" "}
+                                → <span className="text-gray-900">{formatAssetFieldValue(change.field, change.to)}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          "-"
+                        )}
+                        {entry.reason && <p className="mt-1 italic">"{entry.reason}"</p>}
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan={5} className="px-3 py-8 text-center text-sm text-gray-500">
+                      No audit entries found
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="px-4 py-3 bg-gray-50 border-t border-gray-200 flex items-center justify-between">
+            <p className="text-sm text-gray-600">
+              <span className="font-medium text-gray-900">{pagination.totalItems}</span> entries
+              {pagination.totalPages > 1 && (
+                <span className="text-gray-500"> (Page {page} of {pagination.totalPages})</span>
+              )}
+            </p>
+            {pagination.totalPages > 1 && (
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => setPage((p) => p - 1)}
+                  disabled={page <= 1 || isLoading}
+                  className="px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage((p) => p + 1)}
+                  disabled={page >= pagination.totalPages || isLoading}
+                  className="px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,544 @@
+import { useState, useEffect } from "react";
+import Navbar from "../components/Navbar";
+import {
+  getAllBranches,
+  renameBranch,
+  mergeBranches,
+  deleteBranch,
+} from "../services/branchService";
+import {
+  getAllDepartments,
+  renameDepartment,
+  mergeDepartments,
+  updateDepartment,
+  deleteDepartment,
+} from "../services/departmentService";
+import { countAssetsByField, getAllAssets, getFilterOptions } from "../services/assetService";
+import { branches as defaultBranches, departments as defaultDepartments } from "../data/assets";
+
+// Everything that differs between the two tabs
+const LISTS = {
+  branch: {
+    title: "Branches",
+    singular: "branch",
+    defaults: defaultBranches,
+    assetField: "branch",
+    filterOptionsKey: "branches",
+    getAll: getAllBranches,
+    rename: renameBranch,
+    merge: mergeBranches,
+    remove: deleteBranch,
+  },
+  department: {
+    title: "Departments",
+    singular: "department",
+    defaults: defaultDepartments,
+    assetField: "department",
+    filterOptionsKey: "departments",
+    getAll: getAllDepartments,
+    rename: renameDepartment,
+    merge: mergeDepartments,
+    remove: deleteDepartment,
+  },
+};
+
+// Saved records from a branch/department API response (strings or { _id, name, branch } objects)
+const extractRecords = (response) => {
+  const data = response?.data || response || [];
+  return Array.isArray(data)
+    ? data
+        .map((item) =>
+          typeof item === "string"
+            ? { name: item, branch: "" }
+            : { id: item._id || item.id, name: item.name, branch: item.branch || "" },
+        )
+        .filter((item) => item.name)
+    : [];
+};
+
+// Rows are keyed by branch and name, so the same department name can exist under several branches
+const getRowKey = (branch, name) => JSON.stringify([branch, name]);
+
+// One row per saved record, plus built-in defaults and names that only appear on assets (typos)
+// Rows without a branch are shared by all branches
+const buildRows = (list, records, assetNames) => {
+  const savedNames = new Set(records.map((record) => record.name));
+  const unsavedNames = [...new Set([...list.defaults, ...assetNames])].filter((name) => !savedNames.has(name));
+  return [
+    ...records.map((record) => ({ name: record.name, id: record.id, branch: record.branch, isSaved: true })),
+    ...unsavedNames.map((name) => ({ name, id: undefined, branch: "", isSaved: false })),
+  ]
+    .map((row) => ({ ...row, key: getRowKey(row.branch, row.name), isBuiltIn: list.defaults.includes(row.name) }))
+    .sort((a, b) => a.name.trim().localeCompare(b.name.trim()) || a.branch.localeCompare(b.branch));
+};
+
+const BranchesDepartments = () => {
+  const [kind, setKind] = useState("branch");
+  const [rows, setRows] = useState([]);
+  // Branch names a department can be assigned to (departments tab only)
+  const [branchOptions, setBranchOptions] = useState(defaultBranches);
+  // Number of assets using each row (row key -> count)
+  const [assetCounts, setAssetCounts] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  // Row being renamed ({ key, name, branch, value }) or null
+  const [renaming, setRenaming] = useState(null);
+  // Keys of the rows ticked for merging and of the row they merge into
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState("");
+  // Bumped to reload after a rename, merge or delete
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const list = LISTS[kind];
+
+  useEffect(() => {
+    const fetchRows = async () => {
+      setIsLoading(true);
+      setError(null);
+      const currentList = LISTS[kind];
+      const [records, filterOptions, branchRecords] = await Promise.all([
+        currentList.getAll().then(extractRecords),
+        getFilterOptions().catch(() => null),
+        kind === "department" ? getAllBranches().then(extractRecords) : [],
+      ]);
+      setBranchOptions([...new Set([...defaultBranches, ...branchRecords.map((record) => record.name)])]);
+      const assetNames =
+        filterOptions?.data?.[currentList.filterOptionsKey] || filterOptions?.[currentList.filterOptionsKey] || [];
+      const nextRows = buildRows(currentList, records, Array.isArray(assetNames) ? assetNames.filter(Boolean) : []);
+      setRows(nextRows);
+      setIsLoading(false);
+
+      // Asset counts load in the background so the table shows immediately
+      // An asset counts under its branch's own department if there is one, otherwise under the shared one
+      const rowKeys = new Set(nextRows.map((row) => row.key));
+      const getAssetRowKey = (asset) => {
+        const name = asset[currentList.assetField] || "";
+        const branchKey = getRowKey(asset.branch || "", name);
+        return kind === "department" && rowKeys.has(branchKey) ? branchKey : getRowKey("", name);
+      };
+      countAssetsByField(getAssetRowKey)
+        .then((counts) => setAssetCounts(Object.fromEntries(nextRows.map((row) => [row.key, counts[row.key] || 0]))))
+        .catch(() => setError("Failed to load asset counts, so nothing can be deleted. Please reload the page."));
+    };
+    fetchRows();
+  }, [kind, reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  const reload = () => {
+    setRenaming(null);
+    setSelectedKeys([]);
+    setMergeTarget("");
+    setAssetCounts({});
+    setReloadKey((key) => key + 1);
+  };
+
+  const handleKindChange = (nextKind) => {
+    if (nextKind === kind) return;
+    setKind(nextKind);
+    setRows([]);
+    reload();
+  };
+
+  const toggleSelected = (key) => {
+    setSelectedKeys((prev) =>
+      prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key],
+    );
+    if (mergeTarget === key) setMergeTarget("");
+  };
+
+  const selectedRows = rows.filter((row) => selectedKeys.includes(row.key));
+  // Departments are only merged within one branch
+  const mergeBranch = selectedRows[0]?.branch ?? "";
+  const isOtherBranch = (row) => kind === "department" && selectedRows.length > 0 && row.branch !== mergeBranch;
+
+  const handleRename = async () => {
+    const newName = renaming.value.trim();
+    if (!newName) {
+      setError(`The ${list.singular} name is required.`);
+      return;
+    }
+    if (newName === renaming.name) {
+      setRenaming(null);
+      return;
+    }
+    const existing = rows.find(
+      (row) =>
+        row.key !== renaming.key &&
+        row.branch === renaming.branch &&
+        row.name.trim().toLowerCase() === newName.toLowerCase(),
+    );
+    if (existing) {
+      setError(`"${existing.name}" already exists. Merge the two instead of renaming.`);
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      await list.rename(renaming.name, newName, renaming.branch);
+      showSuccess(
+        renaming.branch
+          ? `Renamed "${renaming.name}" to "${newName}" on all ${renaming.branch} assets.`
+          : `Renamed "${renaming.name}" to "${newName}" on all assets.`,
+      );
+      reload();
+    } catch (err) {
+      setError(err.message || `Failed to rename ${list.singular}. Please try again.`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    const targetRow = rows.find((row) => row.key === mergeTarget);
+    if (!selectedRows.length || !targetRow) return;
+    const movedCount = selectedRows.reduce((sum, row) => sum + (assetCounts[row.key] || 0), 0);
+    if (
+      !window.confirm(
+        `Merge ${selectedRows.map((row) => `"${row.name}"`).join(", ")} into "${targetRow.name}"? ` +
+          `${movedCount} asset${movedCount === 1 ? "" : "s"} will be moved.`,
+      )
+    ) {
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      await list.merge(
+        selectedRows.map((row) => row.name),
+        targetRow.name,
+        targetRow.branch,
+      );
+      showSuccess(`Merged ${selectedRows.length} ${list.title.toLowerCase()} into "${targetRow.name}".`);
+      reload();
+    } catch (err) {
+      setError(err.message || `Failed to merge ${list.title.toLowerCase()}. Please try again.`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Move a saved department to a branch ("" = shared by all branches)
+  const handleBranchChange = async (row, branch) => {
+    if (rows.some((item) => item.key === getRowKey(branch, row.name))) {
+      setError(`${branch || "All branches"} already has a "${row.name}" department - merge the two instead.`);
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      await updateDepartment(row.id, { name: row.name, branch });
+      // Reload so the asset counts follow the department to its new branch
+      reload();
+      showSuccess(branch ? `"${row.name}" now belongs to ${branch}.` : `"${row.name}" is now shared by all branches.`);
+    } catch (err) {
+      setError(err.message || "Failed to update department. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (row) => {
+    if (!window.confirm(`Delete the ${list.singular} "${row.name}"?`)) {
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      // Assets may have been given this name since the counts were loaded
+      // A shared department (no branch) is checked across all branches
+      const response = await getAllAssets({
+        page: 1,
+        limit: 1,
+        [list.assetField]: row.name,
+        branch: kind === "department" ? row.branch : "",
+      });
+      const assetCount = response?.data?.pagination?.totalItems || 0;
+      if (assetCount > 0) {
+        setAssetCounts((prev) => ({ ...prev, [row.key]: assetCount }));
+        setError(
+          `${assetCount} asset${assetCount === 1 ? " now uses" : "s now use"} "${row.name}" - merge it instead.`,
+        );
+        return;
+      }
+      await list.remove(row.id);
+      showSuccess(`"${row.name}" deleted.`);
+      reload();
+    } catch (err) {
+      setError(err.message || `Failed to delete ${list.singular}. Please try again.`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Success Message */}
+        {successMessage && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+            <span className="text-green-700 font-medium">{successMessage}</span>
+            <button
+              onClick={() => setSuccessMessage(null)}
+              className="text-green-500 hover:text-green-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
+            <span className="text-red-700">{error}</span>
+            <button
+              onClick={() => setError(null)}
+              className="text-red-500 hover:text-red-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Page Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Branches &amp; Departments</h1>
+            <p className="text-gray-600 mt-1">
+              Fix misspelt names by renaming them or merging duplicates into one
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0 inline-flex bg-white rounded-lg p-1 border border-gray-200 shadow-sm">
+            {Object.entries(LISTS).map(([key, item]) => (
+              <button
+                key={key}
+                onClick={() => handleKindChange(key)}
+                className={`px-4 py-1.5 text-sm font-medium rounded-md transition-all ${
+                  kind === key ? "bg-blue-600 text-white shadow-sm" : "text-gray-600 hover:bg-gray-100"
+                }`}
+              >
+                {item.title}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Merge Bar */}
+        <div className="flex flex-wrap items-center gap-3 bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6">
+          <span className="text-sm text-gray-600">
+            {selectedKeys.length
+              ? `${selectedKeys.length} selected - merge into`
+              : `Tick duplicate ${list.title.toLowerCase()} to merge them into one`}
+          </span>
+          {selectedKeys.length > 0 && (
+            <>
+              <select
+                value={mergeTarget}
+                onChange={(e) => setMergeTarget(e.target.value)}
+                className="px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+              >
+                <option value="">Select {list.singular}</option>
+                {rows
+                  .filter((row) => !selectedKeys.includes(row.key) && !isOtherBranch(row))
+                  .map((row) => (
+                    <option key={row.key} value={row.key}>
+                      {row.name}
+                    </option>
+                  ))}
+              </select>
+              <button
+                onClick={handleMerge}
+                disabled={isSaving || !mergeTarget}
+                className="px-4 py-2 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                Merge
+              </button>
+              <button
+                onClick={() => {
+                  setSelectedKeys([]);
+                  setMergeTarget("");
+                }}
+                className="px-4 py-2 text-sm font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Clear
+              </button>
+            </>
+          )}
+        </div>
+
+        {/* Names */}
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2.5 w-10"></th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">
+                    {list.singular}
+                  </th>
+                  {kind === "department" && (
+                    <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Branch</th>
+                  )}
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Assets</th>
+                  <th className="px-3 py-2.5 text-center text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan={kind === "department" ? 5 : 4} className="px-3 py-8 text-center">
+                      <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </td>
+                  </tr>
+                ) : rows.length > 0 ? (
+                  rows.map((row) => {
+                    const assetCount = assetCounts[row.key];
+                    const isRenaming = renaming?.key === row.key;
+                    return (
+                      <tr key={row.key} className="hover:bg-blue-50 transition-colors">
+                        <td className="px-3 py-2 text-center">
+                          <input
+                            type="checkbox"
+                            checked={selectedKeys.includes(row.key)}
+                            onChange={() => toggleSelected(row.key)}
+                            disabled={row.isBuiltIn || isOtherBranch(row)}
+                            title={
+                              row.isBuiltIn
+                                ? "Built-in names can't be merged away"
+                                : isOtherBranch(row)
+                                  ? "Only departments of the same branch can be merged"
+                                  : undefined
+                            }
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 disabled:opacity-40"
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-900 whitespace-nowrap">
+                          {isRenaming ? (
+                            <input
+                              type="text"
+                              value={renaming.value}
+                              onChange={(e) => setRenaming((prev) => ({ ...prev, value: e.target.value }))}
+                              autoFocus
+                              className="w-64 px-3 py-1.5 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+                            />
+                          ) : (
+                            <span className="whitespace-pre">{row.name}</span>
+                          )}
+                          {row.isBuiltIn && (
+                            <span className="ml-2 px-1.5 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-600">
+                              Built-in
+                            </span>
+                          )}
+                          {!row.isBuiltIn && !row.isSaved && (
+                            <span
+                              className="ml-2 px-1.5 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-700"
+                              title={`Only found on assets, not in the ${list.singular} list`}
+                            >
+                              Only on assets
+                            </span>
+                          )}
+                          {row.name !== row.name.trim() && (
+                            <span className="ml-2 px-1.5 py-0.5 rounded text-xs font-medium bg-red-100 text-red-700">
+                              Extra spaces
+                            </span>
+                          )}
+                        </td>
+                        {kind === "department" && (
+                          <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">
+                            {row.id ? (
+                              <select
+                                value={row.branch}
+                                onChange={(e) => handleBranchChange(row, e.target.value)}
+                                disabled={isSaving}
+                                className="px-2 py-1 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+                              >
+                                <option value="">All branches</option>
+                                {branchOptions.map((branch) => (
+                                  <option key={branch} value={branch}>
+                                    {branch}
+                                  </option>
+                                ))}
+                              </select>
+                            ) : (
+                              "All branches"
+                            )}
+                          </td>
+                        )}
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">
+                          {assetCount ?? "…"}
+                        </td>
+                        <td className="px-3 py-2 text-center whitespace-nowrap">
+                          {isRenaming ? (
+                            <>
+                              <button
+                                onClick={handleRename}
+                                disabled={isSaving}
+                                className="px-3 py-1 text-xs font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 mr-2"
+                              >
+                                Save
+                              </button>
+                              <button
+                                onClick={() => setRenaming(null)}
+                                className="px-3 py-1 text-xs font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+                              >
+                                Cancel
+                              </button>
+                            </>
+                          ) : (
+                            <>
+                              <button
+                                onClick={() => setRenaming({ key: row.key, name: row.name, branch: row.branch, value: row.name.trim() })}
+                                disabled={isSaving || row.isBuiltIn}
+                                title={row.isBuiltIn ? "Built-in names can't be renamed" : undefined}
+                                className="px-3 py-1 text-xs font-medium bg-blue-50 text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed mr-2"
+                              >
+                                Rename
+                              </button>
+                              <button
+                                onClick={() => handleDelete(row)}
+                                disabled={isSaving || !row.id || assetCount === undefined || assetCount > 0}
+                                title={
+                                  assetCount > 0
+                                    ? `${assetCount} asset${assetCount === 1 ? "" : "s"} still use this ${list.singular} - merge it instead`
+                                    : !row.id
+                                      ? `Not in the saved ${list.singular} list`
+                                      : undefined
+                                }
+                                className="px-3 py-1 text-xs font-medium bg-red-50 text-red-600 border border-red-200 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                Delete
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                ) : (
+                  <tr>
+                    <td colSpan={kind === "department" ? 5 : 4} className="px-3 py-8 text-center text-sm text-gray-500">
+                      No {list.title.toLowerCase()} found
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default BranchesDepartments;
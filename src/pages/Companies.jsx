@@ -0,0 +1,387 @@
+import { useState, useEffect, useCallback } from "react";
+import Navbar from "../components/Navbar";
+import { useCompanies } from "../context/useCompanies";
+import {
+  getAllCompanies,
+  createCompany,
+  updateCompany,
+  deleteCompany,
+} from "../services/companyService";
+import { countAssetsByField, getAllAssets } from "../services/assetService";
+import { defaultCompanies } from "../data/assets";
+import { catalogueColors, getCatalogueColor, getCatalogueStyle } from "../utils/assetStyles";
+
+const emptyForm = { name: "", color: catalogueColors[0] };
+
+const Companies = () => {
+  const { refreshCompanies } = useCompanies();
+  const [companies, setCompanies] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // Whether the company list loaded - a failed load must not look like an empty company list
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [newCompany, setNewCompany] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+  // Entry being edited inline ({ _id, name, color }) or null
+  const [editing, setEditing] = useState(null);
+  // Number of assets of each company (name -> count); companies in use can't be renamed or deleted
+  const [assetCounts, setAssetCounts] = useState({});
+
+  const fetchCompanies = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setIsLoaded(false);
+      setError(null);
+      const response = await getAllCompanies();
+      const data = response?.data?.companies || response?.data || response?.companies || [];
+      const list = Array.isArray(data) ? data.filter((company) => company?.name) : [];
+      setCompanies(list);
+      setIsLoaded(true);
+
+      // Asset counts load in the background so the table shows immediately
+      // Until they have loaded (or if they fail) nothing can be renamed or deleted
+      setAssetCounts({});
+      countAssetsByField("companyName")
+        .then((counts) => setAssetCounts(Object.fromEntries(list.map((entry) => [entry.name, counts[entry.name] || 0]))))
+        .catch(() => setError("Failed to load asset counts, so nothing can be renamed or deleted. Please reload the page."));
+    } catch (err) {
+      console.error("Error fetching companies:", err);
+      setError("Failed to load companies. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCompanies();
+  }, [fetchCompanies]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  // Reload this page and the company list used by the rest of the app
+  const reload = async () => {
+    await fetchCompanies();
+    refreshCompanies();
+  };
+
+  const isDuplicateName = (name, id) =>
+    companies.some(
+      (company) => company.name.toLowerCase() === name.toLowerCase() && (company._id || company.id) !== id,
+    );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = newCompany.name.trim();
+    if (!name) {
+      setError("Company name is required.");
+      return;
+    }
+    if (isDuplicateName(name)) {
+      setError(`${name} is already in the company list.`);
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      await createCompany({ name, color: newCompany.color });
+      setNewCompany(emptyForm);
+      showSuccess(`${name} added.`);
+      await reload();
+    } catch (err) {
+      setError(err.message || "Failed to add company. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Copy the built-in OmTrans/TGL/OmTrax companies into an empty list
+  const handleAddBuiltIn = async () => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      for (const company of defaultCompanies) {
+        await createCompany(company);
+      }
+      showSuccess("Built-in companies added to the list.");
+      await reload();
+    } catch (err) {
+      setError(err.message || "Failed to add companies. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    const name = editing.name.trim();
+    if (!name) {
+      setError("Company name is required.");
+      return;
+    }
+    if (isDuplicateName(name, editing._id)) {
+      setError(`${name} is already in the company list.`);
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      await updateCompany(editing._id, { name, color: editing.color });
+      setEditing(null);
+      showSuccess(`${name} updated.`);
+      await reload();
+    } catch (err) {
+      setError(err.message || "Failed to update company. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (company) => {
+    if (!window.confirm(`Remove ${company.name} from the company list?`)) {
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      // Assets may have been given this company since the counts were loaded
+      const response = await getAllAssets({ page: 1, limit: 1, companyName: company.name });
+      const assetCount = response?.data?.pagination?.totalItems || 0;
+      if (assetCount > 0) {
+        setAssetCounts((prev) => ({ ...prev, [company.name]: assetCount }));
+        setError(`${assetCount} asset${assetCount === 1 ? " now uses" : "s now use"} ${company.name}, so it can't be removed.`);
+        return;
+      }
+      await deleteCompany(company._id || company.id);
+      showSuccess(`${company.name} removed.`);
+      await reload();
+    } catch (err) {
+      setError(err.message || "Failed to remove company. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const colorSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white capitalize"
+    >
+      {catalogueColors.map((color) => (
+        <option key={color} value={color}>
+          {color}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Success Message */}
+        {successMessage && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+            <span className="text-green-700 font-medium">{successMessage}</span>
+            <button
+              onClick={() => setSuccessMessage(null)}
+              className="text-green-500 hover:text-green-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
+            <span className="text-red-700">{error}</span>
+            <button
+              onClick={() => setError(null)}
+              className="text-red-500 hover:text-red-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Page Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Companies</h1>
+          <p className="text-gray-600 mt-1">
+            Group companies used in the asset form, filters and exports
+          </p>
+        </div>
+
+        {/* Add Company */}
+        <form
+          onSubmit={handleAdd}
+          className="flex flex-wrap items-end gap-3 bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6"
+        >
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Name
+            <input
+              type="text"
+              value={newCompany.name}
+              onChange={(e) => setNewCompany((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g., OmLogistics"
+              className="w-56 px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+            />
+          </label>
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Color
+            {colorSelect(newCompany.color, (color) => setNewCompany((prev) => ({ ...prev, color })))}
+          </label>
+          <span className={`mb-2 px-1.5 py-0.5 rounded text-xs font-medium ${getCatalogueStyle(newCompany).badge}`}>
+            {newCompany.name.trim() || "Preview"}
+          </span>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Add Company
+          </button>
+        </form>
+
+        {/* Empty list - the app falls back to the built-in companies */}
+        {!isLoading && isLoaded && companies.length === 0 && (
+          <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <p className="text-sm text-amber-800">
+              The company list is empty, so the built-in companies (
+              {defaultCompanies.map((company) => company.name).join(", ")}) are in use. Adding a
+              company replaces them, so add the built-in companies first if you still need them.
+            </p>
+            <button
+              onClick={handleAddBuiltIn}
+              disabled={isSaving}
+              className="px-4 py-2 text-sm font-medium bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors disabled:opacity-50 whitespace-nowrap"
+            >
+              Add Built-in Companies
+            </button>
+          </div>
+        )}
+
+        {/* Catalogue */}
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Company</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Color</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Assets</th>
+                  <th className="px-3 py-2.5 text-center text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan={4} className="px-3 py-8 text-center">
+                      <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </td>
+                  </tr>
+                ) : companies.length > 0 ? (
+                  companies.map((company) => {
+                    const companyId = company._id || company.id;
+                    const assetCount = assetCounts[company.name];
+                    const inUse = assetCount > 0;
+                    const isEditing = editing?._id === companyId;
+                    return (
+                      <tr key={companyId} className="hover:bg-blue-50 transition-colors">
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          {isEditing && assetCount === 0 ? (
+                            <input
+                              type="text"
+                              value={editing.name}
+                              onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))}
+                              className="w-48 px-3 py-1.5 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+                            />
+                          ) : (
+                            <span
+                              className={`px-1.5 py-0.5 rounded text-xs font-medium ${getCatalogueStyle(isEditing ? editing : company).badge}`}
+                              title={isEditing ? (inUse ? "Companies with assets can't be renamed" : "Asset counts haven't loaded") : undefined}
+                            >
+                              {company.name}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap capitalize">
+                          {isEditing
+                            ? colorSelect(editing.color, (color) => setEditing((prev) => ({ ...prev, color })))
+                            : getCatalogueColor(company)}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">
+                          {assetCount ?? "…"}
+                        </td>
+                        <td className="px-3 py-2 text-center whitespace-nowrap">
+                          {isEditing ? (
+                            <>
+                              <button
+                                onClick={handleSaveEdit}
+                                disabled={isSaving}
+                                className="px-3 py-1 text-xs font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 mr-2"
+                              >
+                                Save
+                              </button>
+                              <button
+                                onClick={() => setEditing(null)}
+                                className="px-3 py-1 text-xs font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+                              >
+                                Cancel
+                              </button>
+                            </>
+                          ) : (
+                            <>
+                              <button
+                                onClick={() =>
+                                  setEditing({
+                                    _id: companyId,
+                                    name: company.name,
+                                    color: getCatalogueColor(company),
+                                  })
+                                }
+                                disabled={isSaving}
+                                className="px-3 py-1 text-xs font-medium bg-blue-50 text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50 mr-2"
+                              >
+                                Edit
+                              </button>
+                              <button
+                                onClick={() => handleDelete(company)}
+                                disabled={isSaving || assetCount === undefined || inUse}
+                                title={inUse ? `${assetCount} asset${assetCount === 1 ? "" : "s"} still belong to this company` : undefined}
+                                className="px-3 py-1 text-xs font-medium bg-red-50 text-red-600 border border-red-200 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                Delete
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                ) : (
+                  <tr>
+                    <td colSpan={4} className="px-3 py-8 text-center text-sm text-gray-500">
+                      {isLoaded ? "No companies in the list yet" : "The company list couldn't be loaded"}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Companies;
@@ -1,22 +1,36 @@
 import { useState, useEffect, useCallback, useRef } from "react";
 import * as XLSX from "xlsx";
 import Navbar from "../components/Navbar";
+import AuditErrorBanner from "../components/AuditErrorBanner";
 import AssetTable from "../components/AssetTable";
 import AssetFormModal from "../components/AssetFormModal";
-import { companies, branches } from "../data/assets";
+import ExpiryAlertsPanel from "../components/ExpiryAlertsPanel";
+import ImportWizard from "../components/ImportWizard";
+import ExportBuilder from "../components/ExportBuilder";
+import { branches } from "../data/assets";
 import { useAuth } from "../context/AuthContext";
+import { useAuditErrors } from "../hooks/useAuditErrors";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+import { useCompanies } from "../context/useCompanies";
 import {
   getAllAssets,
   createAsset,
   updateAsset,
   deleteAsset,
-  uploadExcel,
   getFilterOptions,
   getAssetCounts,
+  changeAssetStatus,
 } from "../services/assetService";
+import { AUDIT_ACTIONS, recordAssetChange } from "../services/auditService";
+import { PERMISSIONS, hasPermission } from "../utils/permissions";
+import { assetStatuses, getAssetStatus } from "../utils/assetStatus";
+import { getStatusColor, getCatalogueStyle } from "../utils/assetStyles";
+import { formatDateForExport } from "../utils/formatters";
 
 const Dashboard = () => {
   const { user } = useAuth();
+  const { deviceTypes, deviceTypeNames } = useDeviceTypes();
+  const { companyNames } = useCompanies();
   const [assets, setAssets] = useState([]);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingAsset, setEditingAsset] = useState(null);
@@ -25,8 +39,10 @@ const Dashboard = () => {
   const [selectedCompany, setSelectedCompany] = useState("");
   const [selectedBranch, setSelectedBranch] = useState("");
   const [selectedDeviceType, setSelectedDeviceType] = useState("");
+  const [selectedStatus, setSelectedStatus] = useState("");
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { auditErrors, reportAuditError, clearAuditErrors } = useAuditErrors();
   const [successMessage, setSuccessMessage] = useState(null);
 
   // Search state (moved from AssetTable for server-side search)
@@ -42,32 +58,17 @@ const Dashboard = () => {
     hasPrevPage: false,
   });
 
-  // Excel Import states
+  // Excel Import state
   const [showImportModal, setShowImportModal] = useState(false);
-  const [importProgress, setImportProgress] = useState({
-    current: 0,
-    total: 0,
-    status: "",
-  });
-  const [importError, setImportError] = useState(null);
-  const [isImporting, setIsImporting] = useState(false);
 
   // Export modal state
   const [showExportModal, setShowExportModal] = useState(false);
-  const [exportCounts, setExportCounts] = useState({
-    total: 0,
-    laptops: 0,
-    desktops: 0,
-    printers: 0,
-    tgl: 0,
-    omtrax: 0,
-    omtrans: 0,
-  });
-  const [isExporting, setIsExporting] = useState(false);
-  const [isLoadingExportCounts, setIsLoadingExportCounts] = useState(false);
 
-  // Check if user is admin
-  const isAdmin = user?.role === "admin";
+  // Permission checks (roles are mapped to permissions in utils/permissions)
+  const canViewAll = hasPermission(user, PERMISSIONS.ASSET_VIEW_ALL);
+  const canCreate = hasPermission(user, PERMISSIONS.ASSET_CREATE);
+  const canExport = hasPermission(user, PERMISSIONS.ASSET_EXPORT);
+  const canEditSerial = hasPermission(user, PERMISSIONS.ASSET_EDIT_SERIAL);
 
   // Track myAssetCount separately (from server when querying user's assets)
   const [myAssetCount, setMyAssetCount] = useState(0);
@@ -75,29 +76,16 @@ const Dashboard = () => {
   // Device counts from server (for summary cards)
   const [deviceCounts, setDeviceCounts] = useState({
     total: 0,
-    laptops: 0,
-    desktops: 0,
-    printers: 0,
+    byDevice: {},
+    byStatus: {},
   });
 
+  // Bumped whenever counts are refreshed so the expiry panel reloads too
+  const [expiryRefreshKey, setExpiryRefreshKey] = useState(0);
+
   // Ref for debounce timer
   const searchDebounceRef = useRef(null);
 
-  // Format date to DD-MM-YYYY format
-  const formatDateForExport = (dateString) => {
-    if (!dateString) return "";
-    try {
-      const date = new Date(dateString);
-      if (isNaN(date.getTime())) return dateString;
-      const day = String(date.getDate()).padStart(2, "0");
-      const month = String(date.getMonth() + 1).padStart(2, "0");
-      const year = date.getFullYear();
-      return `${day}-${month}-${year}`;
-    } catch {
-      return dateString;
-    }
-  };
-
   // Sort assets by createdAt descending (newest first)
   const sortAssetsByCreatedAt = (assets) => {
     return [...assets].sort((a, b) => {
@@ -116,6 +104,7 @@ const Dashboard = () => {
         companyName = selectedCompany,
         branch = selectedBranch,
         device = selectedDeviceType,
+        status = selectedStatus,
         createdBy = "",
         showLoading = true,
       } = options;
@@ -132,6 +121,7 @@ const Dashboard = () => {
           companyName,
           branch,
           device,
+          status,
           createdBy,
         });
 
@@ -175,16 +165,16 @@ const Dashboard = () => {
         if (showLoading) setIsLoading(false);
       }
     },
-    [searchTerm, selectedCompany, selectedBranch, selectedDeviceType],
+    [searchTerm, selectedCompany, selectedBranch, selectedDeviceType, selectedStatus],
   );
 
   // Handle page change (maintain current filters including createdBy for Mine view)
   const handlePageChange = useCallback(
     (newPage) => {
-      const createdByFilter = (!isAdmin || viewMode === "my") ? user?._id : "";
+      const createdByFilter = (!canViewAll || viewMode === "my") ? user?._id : "";
       fetchAssets({ page: newPage, createdBy: createdByFilter });
     },
-    [fetchAssets, viewMode, user?._id, isAdmin],
+    [fetchAssets, viewMode, user?._id, canViewAll],
   );
 
   // Handle search change - server-side search with debounce
@@ -199,11 +189,11 @@ const Dashboard = () => {
       
       // Debounce the API call - wait 400ms after user stops typing
       searchDebounceRef.current = setTimeout(() => {
-        const createdByFilter = (!isAdmin || viewMode === "my") ? user?._id : "";
+        const createdByFilter = (!canViewAll || viewMode === "my") ? user?._id : "";
         fetchAssets({ page: 1, search: term, createdBy: createdByFilter });
       }, 400);
     },
-    [fetchAssets, viewMode, user?._id, isAdmin],
+    [fetchAssets, viewMode, user?._id, canViewAll],
   );
 
   // Cleanup debounce timer on unmount
@@ -219,38 +209,48 @@ const Dashboard = () => {
   const handleCompanyFilter = useCallback(
     (company) => {
       setSelectedCompany(company);
-      const createdByFilter = (!isAdmin || viewMode === "my") ? user?._id : "";
+      const createdByFilter = (!canViewAll || viewMode === "my") ? user?._id : "";
       fetchAssets({
         page: 1,
         companyName: company,
         createdBy: createdByFilter,
       });
     },
-    [fetchAssets, viewMode, user?._id, isAdmin],
+    [fetchAssets, viewMode, user?._id, canViewAll],
   );
 
   // Handle device type filter change
   const handleDeviceTypeFilter = useCallback(
     (device) => {
       setSelectedDeviceType(device);
-      const createdByFilter = (!isAdmin || viewMode === "my") ? user?._id : "";
+      const createdByFilter = (!canViewAll || viewMode === "my") ? user?._id : "";
       fetchAssets({ page: 1, device: device, createdBy: createdByFilter });
     },
-    [fetchAssets, viewMode, user?._id, isAdmin],
+    [fetchAssets, viewMode, user?._id, canViewAll],
   );
 
   // Handle branch filter change
   const handleBranchFilter = useCallback(
     (branch) => {
       setSelectedBranch(branch);
-      const createdByFilter = (!isAdmin || viewMode === "my") ? user?._id : "";
+      const createdByFilter = (!canViewAll || viewMode === "my") ? user?._id : "";
       fetchAssets({
         page: 1,
         branch: branch,
         createdBy: createdByFilter,
       });
     },
-    [fetchAssets, viewMode, user?._id, isAdmin],
+    [fetchAssets, viewMode, user?._id, canViewAll],
+  );
+
+  // Handle status filter change
+  const handleStatusFilter = useCallback(
+    (status) => {
+      setSelectedStatus(status);
+      const createdByFilter = (!canViewAll || viewMode === "my") ? user?._id : "";
+      fetchAssets({ page: 1, status, createdBy: createdByFilter });
+    },
+    [fetchAssets, viewMode, user?._id, canViewAll],
   );
 
   // Initial fetch of user's asset count for "Mine" badge
@@ -280,20 +280,20 @@ const Dashboard = () => {
   useEffect(() => {
     const fetchDeviceCounts = async () => {
       try {
-        const createdByFilter = !isAdmin ? user?._id : "";
-        const counts = await getAssetCounts(selectedCompany, createdByFilter);
+        const createdByFilter = !canViewAll ? user?._id : "";
+        const counts = await getAssetCounts(selectedCompany, createdByFilter, deviceTypeNames);
         setDeviceCounts(counts);
       } catch (err) {
         console.error("Error fetching device counts:", err);
       }
     };
     fetchDeviceCounts();
-  }, [selectedCompany, isAdmin, user?._id]);
+  }, [selectedCompany, canViewAll, user?._id, deviceTypeNames]);
 
   // Handle viewMode change - refetch with appropriate filter
   // Regular users always see only their own entries
   useEffect(() => {
-    if (!isAdmin) {
+    if (!canViewAll) {
       // Regular users always filter by their own createdBy
       if (user?._id) {
         fetchAssets({ page: 1, createdBy: user._id });
@@ -303,7 +303,7 @@ const Dashboard = () => {
     } else if (viewMode === "all") {
       fetchAssets({ page: 1, createdBy: "" });
     }
-  }, [viewMode, user?._id, isAdmin]);
+  }, [viewMode, user?._id, canViewAll]);
 
   // Get filtered assets based on role and view mode
   // Note: With server-side pagination, filtering should ideally be done on the backend
@@ -329,170 +329,42 @@ const Dashboard = () => {
   // Use server-side counts (already fetched via getAssetCounts)
   const counts = deviceCounts;
 
-  // Fetch export counts when export modal opens
-  // Regular users see only their own counts
-  const fetchExportCounts = async () => {
-    setIsLoadingExportCounts(true);
-    try {
-      const API_BASE_URL = "https://it-assets-backend.onrender.com/api/v1/assets";
-      const createdByFilter = !isAdmin ? user?._id : "";
-      const buildParams = (filters = {}) => {
-        const params = new URLSearchParams({
-          page: "1",
-          limit: "1",
-          sortBy: "createdAt",
-          order: "desc",
-          _t: Date.now().toString(),
-        });
-        if (filters.device) params.append("device", filters.device);
-        if (filters.companyName) params.append("companyName", filters.companyName);
-        if (createdByFilter) params.append("createdBy", createdByFilter);
-        return params;
-      };
-
-      const extractCount = async (response) => {
-        if (!response.ok) return 0;
-        const data = await response.json();
-        return data?.data?.pagination?.totalItems || 0;
-      };
-
-      const [totalRes, laptopRes, desktopRes, printerRes, tglRes, omtraxRes, omtransRes] = await Promise.all([
-        fetch(`${API_BASE_URL}?${buildParams()}`),
-        fetch(`${API_BASE_URL}?${buildParams({ device: "Laptop" })}`),
-        fetch(`${API_BASE_URL}?${buildParams({ device: "Desktop" })}`),
-        fetch(`${API_BASE_URL}?${buildParams({ device: "Printer" })}`),
-        fetch(`${API_BASE_URL}?${buildParams({ companyName: "TGL" })}`),
-        fetch(`${API_BASE_URL}?${buildParams({ companyName: "OmTrax" })}`),
-        fetch(`${API_BASE_URL}?${buildParams({ companyName: "OmTrans" })}`),
-      ]);
-
-      const [total, laptops, desktops, printers, tgl, omtrax, omtrans] = await Promise.all([
-        extractCount(totalRes),
-        extractCount(laptopRes),
-        extractCount(desktopRes),
-        extractCount(printerRes),
-        extractCount(tglRes),
-        extractCount(omtraxRes),
-        extractCount(omtransRes),
-      ]);
-
-      setExportCounts({ total, laptops, desktops, printers, tgl, omtrax, omtrans });
-    } catch (error) {
-      console.error("Error fetching export counts:", error);
-    } finally {
-      setIsLoadingExportCounts(false);
-    }
-  };
-
-  // Open export modal and fetch counts
+  // Open the export builder (it starts from the dashboard's current filters)
   const handleOpenExportModal = () => {
     setShowExportModal(true);
-    fetchExportCounts();
   };
 
-  // Export data based on selection
-  // Regular users export only their own data
-  const handleExportData = async (exportType) => {
-    setIsExporting(true);
-    try {
-      const API_BASE_URL = "https://it-assets-backend.onrender.com/api/v1/assets";
-      const params = new URLSearchParams({
-        page: "1",
-        limit: "10000", // Fetch all records
-        sortBy: "createdAt",
-        order: "desc",
-        _t: Date.now().toString(),
-      });
-
-      // Regular users can only export their own data
-      if (!isAdmin && user?._id) {
-        params.append("createdBy", user._id);
-      }
-
-      let fileName = "IT_Assets";
-      switch (exportType) {
-        case "laptops":
-          params.append("device", "Laptop");
-          fileName = "IT_Assets_Laptops";
-          break;
-        case "desktops":
-          params.append("device", "Desktop");
-          fileName = "IT_Assets_Desktops";
-          break;
-        case "printers":
-          params.append("device", "Printer");
-          fileName = "IT_Assets_Printers";
-          break;
-        case "tgl":
-          params.append("companyName", "TGL");
-          fileName = "IT_Assets_TGL";
-          break;
-        case "omtrax":
-          params.append("companyName", "OmTrax");
-          fileName = "IT_Assets_OmTrax";
-          break;
-        case "omtrans":
-          params.append("companyName", "OmTrans");
-          fileName = "IT_Assets_OmTrans";
-          break;
-        default:
-          fileName = "IT_Assets_All";
-      }
-
-      const response = await fetch(`${API_BASE_URL}?${params}`);
-      if (!response.ok) throw new Error("Failed to fetch assets");
-      
-      const data = await response.json();
-      let assetData = data?.data?.assets || data?.data || data || [];
-
-      if (!assetData.length) {
-        alert("No data to export");
-        return;
-      }
-
-      const exportData = assetData.map((asset) => ({
-        "Serial Number": asset.serialNumber || "",
-        Company: asset.companyName || "",
-        Branch: asset.branch || "",
-        Department: asset.department || "",
-        User: asset.userName || "",
-        Brand: asset.brand || "",
-        Device: asset.device || "",
-        "Device S.No": asset.deviceSerialNo || "",
-        "Operating System": asset.operatingSystem || "",
-        "Purchase Date": formatDateForExport(asset.dateOfPurchase),
-        Remark: asset.remark || "",
-      }));
-
-      const worksheet = XLSX.utils.json_to_sheet(exportData);
-      const workbook = XLSX.utils.book_new();
-      XLSX.utils.book_append_sheet(workbook, worksheet, "IT Assets");
-      XLSX.writeFile(workbook, `${fileName}.xlsx`);
-
-      setShowExportModal(false);
-    } catch (error) {
-      console.error("Error exporting data:", error);
-      alert("Failed to export data. Please try again.");
-    } finally {
-      setIsExporting(false);
-    }
-  };
-
-  // Export currently displayed assets to Excel (admin only)
+  // Export currently displayed assets to Excel
   const handleExportToExcel = () => {
-    if (!isAdmin || !displayedAssets.length) return;
+    if (!canExport || !displayedAssets.length) return;
 
     const exportData = displayedAssets.map((asset) => ({
       Company: asset.companyName || "",
       Branch: asset.branch || "",
       Department: asset.department || "",
+      Location: asset.location || "",
       User: asset.userName || "",
+      Status: getAssetStatus(asset),
       Brand: asset.brand || "",
       Device: asset.device || "",
       "Device S.No": asset.deviceSerialNo || "",
+      Model: asset.model || "",
+      CPU: asset.cpu || "",
+      RAM: asset.ram || "",
+      Storage: asset.storage || "",
+      "MAC Address": asset.macAddress || "",
+      "IP Address": asset.ipAddress || "",
+      "Toner Model": asset.tonerModel || "",
       "Operating System": asset.operatingSystem || "",
       "Purchase Date": formatDateForExport(asset.dateOfPurchase),
       Remark: asset.remark || "",
+      "Warranty End": formatDateForExport(asset.warrantyEndDate),
+      Vendor: asset.vendor || "",
+      "AMC Contract No": asset.amcContractNo || "",
+      "AMC Expiry": formatDateForExport(asset.amcExpiryDate),
+      "Purchase Cost": asset.purchaseCost ?? "",
+      Currency: asset.currency || "",
+      "Depreciation Method": asset.depreciationMethod || "",
     }));
 
     const worksheet = XLSX.utils.json_to_sheet(exportData);
@@ -501,168 +373,12 @@ const Dashboard = () => {
     XLSX.writeFile(workbook, "IT_Assets.xlsx");
   };
 
-  // Handle Excel file import - Server-side processing
-  const handleImportFromExcel = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
-
-    // Validate file type
-    const validTypes = [
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", // .xlsx
-      "application/vnd.ms-excel", // .xls
-      "text/csv", // .csv
-    ];
-    const validExtensions = [".xlsx", ".xls", ".csv"];
-    const fileExtension = file.name
-      .substring(file.name.lastIndexOf("."))
-      .toLowerCase();
-
-    if (
-      !validTypes.includes(file.type) &&
-      !validExtensions.includes(fileExtension)
-    ) {
-      setImportError(
-        "Invalid file type. Please upload an Excel file (.xlsx, .xls) or CSV file.",
-      );
-      return;
-    }
-
-    // Validate file size (max 10MB)
-    const maxSize = 10 * 1024 * 1024; // 10MB
-    if (file.size > maxSize) {
-      setImportError("File too large. Maximum file size is 10MB.");
-      return;
-    }
-
-    setIsImporting(true);
-    setImportError(null);
-    setImportProgress({ current: 0, total: 100, status: "Reading file..." });
-
-    try {
-      // First, let's read and preview the Excel file to debug
-      const arrayBuffer = await file.arrayBuffer();
-      const workbook = XLSX.read(arrayBuffer);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { defval: "" });
-
-      console.log("Excel sheet name:", sheetName);
-      console.log(
-        "Excel columns:",
-        jsonData.length > 0 ? Object.keys(jsonData[0]) : "No data",
-      );
-      console.log("First row data:", jsonData[0]);
-      console.log("Total rows:", jsonData.length);
-
-      if (jsonData.length === 0) {
-        throw new Error("Excel file is empty or has no data rows");
-      }
-
-      setImportProgress({
-        current: 0,
-        total: 100,
-        status: "Uploading file to server...",
-      });
-      console.log(`Uploading file: ${file.name}, size: ${file.size} bytes`);
-
-      // Upload file to server for processing
-      const result = await uploadExcel(file, user?._id);
-
-      console.log("Upload result:", result);
-
-      if (result.success) {
-        const imported = result.data?.imported || result.data?.created || 0;
-        const failed = result.data?.failed || 0;
-        const total = imported + failed;
-
-        setImportProgress({
-          current: imported,
-          total: total,
-          status: `Complete! ${imported} records imported${failed > 0 ? `, ${failed} failed` : ""}.`,
-        });
-
-        // Show errors if any
-        if (result.data?.errors && result.data.errors.length > 0) {
-          console.log("Import errors:", result.data.errors);
-        }
-
-        // Refresh the assets list from page 1 (respecting current view mode)
-        const createdByFilter = (!isAdmin || viewMode === "my") ? user?._id : "";
-        await fetchAssets({ page: 1, createdBy: createdByFilter });
-
-        // Update myAssetCount with imported records
-        if (imported > 0) {
-          setMyAssetCount((prev) => prev + imported);
-        }
-
-        // Refresh server-side counts
-        const updatedCounts = await getAssetCounts(selectedCompany);
-        setDeviceCounts(updatedCounts);
-      } else {
-        throw new Error(result.message || "Upload failed");
-      }
-
-      // Close modal after short delay to show completion
-      setTimeout(() => {
-        setShowImportModal(false);
-        setIsImporting(false);
-        setImportProgress({ current: 0, total: 0, status: "" });
-      }, 2000);
-    } catch (err) {
-      console.error("Error importing Excel:", err);
-      setImportError(err.message || "Failed to import Excel file");
-      setIsImporting(false);
-    }
-
-    // Reset file input
-    event.target.value = "";
-  };
-
-  // Download sample Excel template
-  const downloadSampleTemplate = () => {
-    const sampleData = [
-      {
-        Company: "OmTrans",
-        Branch: "Delhi H.O",
-        Department: "IT",
-        User: "John Doe",
-        Brand: "Dell",
-        Device: "Laptop",
-        "Device S.No": "ABC123XYZ",
-        "Operating System": "Windows 11",
-        "Purchase Date": "2024-01-15",
-        Remark: "New device",
-      },
-      {
-        Company: "TGL",
-        Branch: "Mumbai",
-        Department: "Finance",
-        User: "Jane Smith",
-        Brand: "HP",
-        Device: "Desktop",
-        "Device S.No": "HP456DEF",
-        "Operating System": "Windows 10",
-        "Purchase Date": "2023-06-20",
-        Remark: "",
-      },
-      {
-        Company: "OmTrax",
-        Branch: "Kolkata",
-        Department: "Operations",
-        User: "Mike Wilson",
-        Brand: "Lenovo",
-        Device: "Laptop",
-        "Device S.No": "LN789GHI",
-        "Operating System": "Windows 11",
-        "Purchase Date": "2024-12-05",
-        Remark: "Upgraded model",
-      },
-    ];
-
-    const worksheet = XLSX.utils.json_to_sheet(sampleData);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, "Sample Assets");
-    XLSX.writeFile(workbook, "IT_Assets_Import_Template.xlsx");
+  // Refresh the list and counts after the import wizard has created assets
+  const handleImportComplete = async (imported) => {
+    const createdByFilter = (!canViewAll || viewMode === "my") ? user?._id : "";
+    await fetchAssets({ page: 1, createdBy: createdByFilter });
+    setMyAssetCount((prev) => prev + imported);
+    await refreshCounts();
   };
 
   const deviceTabs = [
@@ -676,36 +392,13 @@ const Dashboard = () => {
       text: "text-blue-700",
       ring: "ring-blue-500",
     },
-    {
-      id: "Laptop",
-      label: "Laptops",
-      count: counts.laptops,
-      icon: "laptop",
-      gradient: "from-emerald-500 to-emerald-600",
-      bg: "bg-emerald-50",
-      text: "text-emerald-700",
-      ring: "ring-emerald-500",
-    },
-    {
-      id: "Desktop",
-      label: "Desktops",
-      count: counts.desktops,
-      icon: "desktop",
-      gradient: "from-violet-500 to-violet-600",
-      bg: "bg-violet-50",
-      text: "text-violet-700",
-      ring: "ring-violet-500",
-    },
-    {
-      id: "Printer",
-      label: "Printers",
-      count: counts.printers,
-      icon: "printer",
-      gradient: "from-amber-500 to-amber-600",
-      bg: "bg-amber-50",
-      text: "text-amber-700",
-      ring: "ring-amber-500",
-    },
+    ...deviceTypes.map((type) => ({
+      id: type.name,
+      label: type.name,
+      count: counts.byDevice?.[type.name] ?? 0,
+      icon: type.name.toLowerCase(),
+      ...getCatalogueStyle(type),
+    })),
   ];
 
   // Icon components for tabs
@@ -776,8 +469,23 @@ const Dashboard = () => {
             />
           </svg>
         );
+      // Generic chip icon for catalogue types without a dedicated one
       default:
-        return null;
+        return (
+          <svg
+            className={iconClass}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M9 3v2m6-2v2M9 19v2m6-2v2M5 9H3m2 6H3m18-6h-2m2 6h-2M7 19h10a2 2 0 002-2V7a2 2 0 00-2-2H7a2 2 0 00-2 2v10a2 2 0 002 2zM9 9h6v6H9V9z"
+            />
+          </svg>
+        );
     }
   };
 
@@ -785,13 +493,14 @@ const Dashboard = () => {
   // Regular users see only their own counts
   const refreshCounts = useCallback(async () => {
     try {
-      const createdByFilter = !isAdmin ? user?._id : "";
-      const counts = await getAssetCounts(selectedCompany, createdByFilter);
+      const createdByFilter = !canViewAll ? user?._id : "";
+      const counts = await getAssetCounts(selectedCompany, createdByFilter, deviceTypeNames);
       setDeviceCounts(counts);
+      setExpiryRefreshKey((key) => key + 1);
     } catch (err) {
       console.error("Error refreshing counts:", err);
     }
-  }, [selectedCompany, isAdmin, user?._id]);
+  }, [selectedCompany, canViewAll, user?._id, deviceTypeNames]);
 
   // Handle adding new asset
   const handleAddAsset = async (formData) => {
@@ -812,7 +521,12 @@ const Dashboard = () => {
         delete assetData.serialNumber;
       }
       const response = await createAsset(assetData);
-      const createdByFilter = (!isAdmin || viewMode === "my") ? user?._id : "";
+      await recordAssetChange({
+        action: AUDIT_ACTIONS.CREATE,
+        actor: user?._id,
+        after: response?.data || assetData,
+      }).catch(reportAuditError);
+      const createdByFilter = (!canViewAll || viewMode === "my") ? user?._id : "";
       await fetchAssets({ page: 1, createdBy: createdByFilter });
       setIsModalOpen(false);
 
@@ -840,15 +554,48 @@ const Dashboard = () => {
     try {
       setError(null);
       const assetId = editingAsset._id || editingAsset.id;
-      await updateAsset(assetId, formData);
+      // Status changes go through their own endpoint so transitions are enforced
+      const { status, statusReason, ...assetData } = formData;
+      const previousStatus = getAssetStatus(editingAsset);
+      await updateAsset(assetId, assetData);
+      await recordAssetChange({
+        action: AUDIT_ACTIONS.UPDATE,
+        actor: user?._id,
+        before: editingAsset,
+        after: { ...editingAsset, ...assetData },
+      }).catch(reportAuditError);
+      // The edits above are saved even if the status change fails, so that is reported on its own
+      let statusError = null;
+      if (status !== previousStatus) {
+        try {
+          await changeAssetStatus(assetId, {
+            status,
+            reason: statusReason,
+            performedBy: user?._id,
+          });
+          await recordAssetChange({
+            action: AUDIT_ACTIONS.STATUS_CHANGE,
+            actor: user?._id,
+            before: { ...editingAsset, ...assetData, status: previousStatus },
+            after: { ...editingAsset, ...assetData, status },
+            reason: statusReason,
+          }).catch(reportAuditError);
+        } catch (statusErr) {
+          console.error("Error changing asset status:", statusErr);
+          statusError =
+            `Changes to ${editingAsset.serialNumber} were saved, but its status could not be changed to ${status}` +
+            ` (${statusErr.message || "unknown error"}). Please try the status change again.`;
+        }
+      }
       // Refresh the asset list from API to ensure we have the correct data
-      const createdByFilter = (!isAdmin || viewMode === "my") ? user?._id : "";
+      const createdByFilter = (!canViewAll || viewMode === "my") ? user?._id : "";
       await fetchAssets({
         page: pagination.currentPage,
         createdBy: createdByFilter,
       });
       setEditingAsset(null);
       setIsModalOpen(false);
+      setError(statusError);
       // Refresh server-side counts (device type might have changed)
       refreshCounts();
     } catch (err) {
@@ -861,8 +608,14 @@ const Dashboard = () => {
   const handleDeleteAsset = async (assetId) => {
     try {
       setError(null);
+      const deletedAsset = assets.find((a) => (a._id || a.id) === assetId);
       await deleteAsset(assetId);
-      const createdByFilter = (!isAdmin || viewMode === "my") ? user?._id : "";
+      await recordAssetChange({
+        action: AUDIT_ACTIONS.DELETE,
+        actor: user?._id,
+        before: deletedAsset || { _id: assetId },
+      }).catch(reportAuditError);
+      const createdByFilter = (!canViewAll || viewMode === "my") ? user?._id : "";
       await fetchAssets({
         page: pagination.currentPage,
         createdBy: createdByFilter,
@@ -943,6 +696,8 @@ const Dashboard = () => {
           </div>
         )}
 
+        <AuditErrorBanner messages={auditErrors} onDismiss={clearAuditErrors} />
+
         {/* Error Message */}
         {error && (
           <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
@@ -995,15 +750,15 @@ const Dashboard = () => {
             <button
               onClick={async () => {
                 setSearchTerm("");
-                const createdByFilter = !isAdmin ? user?._id : (viewMode === "my" ? user?._id : "");
+                const createdByFilter = !canViewAll ? user?._id : (viewMode === "my" ? user?._id : "");
                 await fetchAssets({
                   page: 1,
                   search: "",
                   createdBy: createdByFilter,
                 });
                 // Also refresh counts
-                const countsFilter = !isAdmin ? user?._id : "";
-                const counts = await getAssetCounts(selectedCompany, countsFilter);
+                const countsFilter = !canViewAll ? user?._id : "";
+                const counts = await getAssetCounts(selectedCompany, countsFilter, deviceTypeNames);
                 setDeviceCounts(counts);
               }}
               disabled={isLoading}
@@ -1024,31 +779,34 @@ const Dashboard = () => {
                 />
               </svg>
             </button>
-            <button
-              onClick={openAddModal}
-              className="inline-flex items-center px-5 py-2.5 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors shadow-md"
-            >
-              <svg
-                className="h-5 w-5 mr-2"
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
+            {canCreate && (
+              <button
+                onClick={openAddModal}
+                className="inline-flex items-center px-5 py-2.5 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors shadow-md"
+              >
+                <svg
+                  className="h-5 w-5 mr-2"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M12 4v16m8-8H4"
+                  />
+                </svg>
+                Add Entry
+              </button>
+            )}
+            {canExport && (
+              <button
+                onClick={handleOpenExportModal}
+                disabled={isLoading}
+                className="inline-flex items-center px-5 py-2.5 bg-emerald-600 text-white font-medium rounded-lg hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-colors shadow-md disabled:opacity-60 disabled:cursor-not-allowed"
+                title="Export assets"
               >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={2}
-                  d="M12 4v16m8-8H4"
-                />
-              </svg>
-              Add Entry
-            </button>
-            <button
-              onClick={handleOpenExportModal}
-              disabled={isLoading}
-              className="inline-flex items-center px-5 py-2.5 bg-emerald-600 text-white font-medium rounded-lg hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-colors shadow-md disabled:opacity-60 disabled:cursor-not-allowed"
-              title="Export assets to Excel"
-            >
                 <svg
                   className="h-5 w-5 mr-2"
                   fill="none"
@@ -1064,8 +822,8 @@ const Dashboard = () => {
                 </svg>
                 Export
               </button>
-            {/* Import Button Hide
-            {isAdmin && (
+            )}
+            {hasPermission(user, PERMISSIONS.ASSET_IMPORT) && (
               <button
                 onClick={() => setShowImportModal(true)}
                 disabled={isLoading}
@@ -1087,14 +845,14 @@ const Dashboard = () => {
                 </svg>
                 Import
               </button>
-            )}  */}
+            )}
           </div>
         </div>
 
         {/* Asset Summary Cards & Filters */}
         <div className="mb-6">
           {/* Device Type Cards */}
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4 mb-4">
             {deviceTabs.map((tab) => {
               const isActive = selectedDeviceType === tab.id;
               return (
@@ -1151,6 +909,30 @@ const Dashboard = () => {
             })}
           </div>
 
+          {/* Status Chips - click to filter, click again to clear */}
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            {assetStatuses.map((status) => {
+              const isActive = selectedStatus === status;
+              return (
+                <button
+                  key={status}
+                  onClick={() => handleStatusFilter(isActive ? "" : status)}
+                  className={`inline-flex items-center gap-2 pl-1.5 pr-3 py-1 text-sm font-medium rounded-full border bg-white transition-all ${
+                    isActive
+                      ? "border-blue-500 ring-2 ring-blue-200 shadow-sm"
+                      : "border-gray-200 hover:border-gray-300 hover:shadow-sm"
+                  }`}
+                  title={isActive ? "Clear status filter" : `Show ${status} assets`}
+                >
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(status)}`}>
+                    {status}
+                  </span>
+                  <span className="text-gray-900">{counts.byStatus?.[status] ?? 0}</span>
+                </button>
+              );
+            })}
+          </div>
+
           {/* Filters Row */}
           <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 bg-white rounded-xl shadow-sm border border-gray-200 p-4">
             {/* Company Filter */}
@@ -1178,7 +960,7 @@ const Dashboard = () => {
                   className="appearance-none pl-4 pr-10 py-2 text-sm font-medium bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white transition-all cursor-pointer hover:bg-gray-100"
                 >
                   <option value="">All Companies</option>
-                  {companies.map((company) => (
+                  {companyNames.map((company) => (
                     <option key={company} value={company}>
                       {company}
                     </option>
@@ -1297,8 +1079,8 @@ const Dashboard = () => {
               )}
             </div>
 
-            {/* View Mode Toggle - Only for admin users */}
-            {isAdmin ? (
+            {/* View Mode Toggle - Only for users who can see all assets */}
+            {canViewAll ? (
               <div className="flex items-center gap-3">
                 <span className="text-sm font-medium text-gray-600">View</span>
                 <div className="inline-flex bg-gray-100 rounded-lg p-1">
@@ -1392,6 +1174,13 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Warranty & AMC Expiry Alerts */}
+        <ExpiryAlertsPanel
+          companyName={selectedCompany}
+          createdBy={!canViewAll ? user?._id : ""}
+          refreshKey={expiryRefreshKey}
+        />
+
         {/* Asset Table Section */}
         {isLoading ? (
           <div className="flex items-center justify-center py-12">
@@ -1421,11 +1210,10 @@ const Dashboard = () => {
         ) : (
           <AssetTable
             assets={displayedAssets}
-            currentUser={user?._id}
+            user={user}
             onEdit={openEditModal}
             onDelete={(asset) => setShowDeleteConfirm(asset._id || asset.id)}
             viewMode={viewMode}
-            isAdmin={isAdmin}
             pagination={pagination}
             onPageChange={handlePageChange}
             searchTerm={searchTerm}
@@ -1449,8 +1237,7 @@ const Dashboard = () => {
         onClose={closeModal}
         onSubmit={editingAsset ? handleEditAsset : handleAddAsset}
         editingAsset={editingAsset}
-        currentUser={user?._id}
-        isAdmin={isAdmin}
+        canEditSerial={canEditSerial}
       />
 
       {/* Delete Confirmation Modal */}
@@ -1481,8 +1268,8 @@ const Dashboard = () => {
                 Delete Asset
               </h3>
               <p className="text-gray-600 text-center mb-6">
-                Are you sure you want to delete this asset? This action cannot
-                be undone.
+                Are you sure you want to delete this asset? It will be moved to
+                the recycle bin, where an administrator can restore it.
               </p>
               <div className="flex space-x-4">
                 <button
@@ -1503,333 +1290,26 @@ const Dashboard = () => {
         </div>
       )}
 
-      {/* Export Modal */}
+      {/* Export Builder */}
       {showExportModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg shadow-xl w-full max-w-sm mx-4 overflow-hidden">
-            <div className="flex items-center justify-between px-4 py-3 bg-emerald-600">
-              <h2 className="text-lg font-semibold text-white">Export Data</h2>
-              <button
-                onClick={() => setShowExportModal(false)}
-                className="text-white/80 hover:text-white"
-              >
-                <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12"/>
-                </svg>
-              </button>
-            </div>
-            
-            <div className="p-4">
-              {isLoadingExportCounts ? (
-                <div className="flex items-center justify-center py-6">
-                  <svg className="animate-spin h-6 w-6 text-emerald-600" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"/>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"/>
-                  </svg>
-                </div>
-              ) : (
-                <>
-                  {/* All/My Assets - Full width */}
-                  <button
-                    onClick={() => handleExportData("total")}
-                    disabled={isExporting || exportCounts.total === 0}
-                    className="w-full flex items-center justify-between px-3 py-2.5 mb-3 bg-blue-50 hover:bg-blue-100 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed border border-blue-200"
-                  >
-                    <span className="font-medium text-blue-700">{isAdmin ? "All Assets" : "My Assets"}</span>
-                    <span className="text-xs font-bold text-blue-600 bg-blue-200 px-2 py-0.5 rounded-full">{exportCounts.total}</span>
-                  </button>
-
-                  {/* Device Types Grid */}
-                  <p className="text-xs text-gray-500 mb-2 font-medium">By Device</p>
-                  <div className="grid grid-cols-3 gap-2 mb-3">
-                    <button
-                      onClick={() => handleExportData("laptops")}
-                      disabled={isExporting || exportCounts.laptops === 0}
-                      className="flex flex-col items-center px-2 py-2.5 bg-gray-50 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed border"
-                    >
-                      <span className="text-xs font-medium text-gray-700">Laptops</span>
-                      <span className="text-xs text-gray-500 mt-0.5">{exportCounts.laptops}</span>
-                    </button>
-                    <button
-                      onClick={() => handleExportData("desktops")}
-                      disabled={isExporting || exportCounts.desktops === 0}
-                      className="flex flex-col items-center px-2 py-2.5 bg-gray-50 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed border"
-                    >
-                      <span className="text-xs font-medium text-gray-700">Desktops</span>
-                      <span className="text-xs text-gray-500 mt-0.5">{exportCounts.desktops}</span>
-                    </button>
-                    <button
-                      onClick={() => handleExportData("printers")}
-                      disabled={isExporting || exportCounts.printers === 0}
-                      className="flex flex-col items-center px-2 py-2.5 bg-gray-50 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed border"
-                    >
-                      <span className="text-xs font-medium text-gray-700">Printers</span>
-                      <span className="text-xs text-gray-500 mt-0.5">{exportCounts.printers}</span>
-                    </button>
-                  </div>
-
-                  {/* Company Grid */}
-                  <p className="text-xs text-gray-500 mb-2 font-medium">By Company</p>
-                  <div className="grid grid-cols-3 gap-2">
-                    <button
-                      onClick={() => handleExportData("tgl")}
-                      disabled={isExporting || exportCounts.tgl === 0}
-                      className="flex flex-col items-center px-2 py-2.5 bg-orange-50 hover:bg-orange-100 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed border border-orange-200"
-                    >
-                      <span className="text-xs font-medium text-orange-700">TGL</span>
-                      <span className="text-xs text-orange-500 mt-0.5">{exportCounts.tgl}</span>
-                    </button>
-                    <button
-                      onClick={() => handleExportData("omtrax")}
-                      disabled={isExporting || exportCounts.omtrax === 0}
-                      className="flex flex-col items-center px-2 py-2.5 bg-teal-50 hover:bg-teal-100 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed border border-teal-200"
-                    >
-                      <span className="text-xs font-medium text-teal-700">OmTrax</span>
-                      <span className="text-xs text-teal-500 mt-0.5">{exportCounts.omtrax}</span>
-                    </button>
-                    <button
-                      onClick={() => handleExportData("omtrans")}
-                      disabled={isExporting || exportCounts.omtrans === 0}
-                      className="flex flex-col items-center px-2 py-2.5 bg-cyan-50 hover:bg-cyan-100 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed border border-cyan-200"
-                    >
-                      <span className="text-xs font-medium text-cyan-700">OmTrans</span>
-                      <span className="text-xs text-cyan-500 mt-0.5">{exportCounts.omtrans}</span>
-                    </button>
-                  </div>
-
-                  {isExporting && (
-                    <div className="flex items-center justify-center mt-3 py-2 text-emerald-600">
-                      <svg className="animate-spin h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24">
-                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"/>
-                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"/>
-                      </svg>
-                      <span className="text-sm font-medium">Exporting...</span>
-                    </div>
-                  )}
-                </>
-              )}
-            </div>
-          </div>
-        </div>
+        <ExportBuilder
+          onClose={() => setShowExportModal(false)}
+          initialFilters={{
+            companyName: selectedCompany,
+            branch: selectedBranch,
+            device: selectedDeviceType,
+            status: selectedStatus,
+          }}
+        />
       )}
 
-      {/* Excel Import Modal */}
-      {showImportModal && (
-        <div className="fixed inset-0 z-50 overflow-y-auto">
-          <div
-            className="fixed inset-0 bg-black bg-opacity-50 transition-opacity"
-            onClick={() => !isImporting && setShowImportModal(false)}
-          ></div>
-          <div className="flex min-h-full items-center justify-center p-4">
-            <div className="relative bg-white rounded-xl shadow-2xl w-full max-w-lg p-6">
-              {/* Header */}
-              <div className="flex items-center justify-between mb-6">
-                <div className="flex items-center space-x-3">
-                  <div className="p-2 bg-violet-100 rounded-lg">
-                    <svg
-                      className="h-6 w-6 text-violet-600"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
-                      />
-                    </svg>
-                  </div>
-                  <div>
-                    <h3 className="text-lg font-semibold text-gray-900">
-                      Import from Excel
-                    </h3>
-                    <p className="text-sm text-gray-500">
-                      Upload an Excel file to import assets
-                    </p>
-                  </div>
-                </div>
-                {!isImporting && (
-                  <button
-                    onClick={() => setShowImportModal(false)}
-                    className="text-gray-400 hover:text-gray-600 transition-colors"
-                  >
-                    <svg
-                      className="h-5 w-5"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M6 18L18 6M6 6l12 12"
-                      />
-                    </svg>
-                  </button>
-                )}
-              </div>
-
-              {/* Error Message */}
-              {importError && (
-                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center space-x-2">
-                  <svg
-                    className="h-5 w-5 text-red-500 flex-shrink-0"
-                    fill="none"
-                    stroke="currentColor"
-                    viewBox="0 0 24 24"
-                  >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth={2}
-                      d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
-                    />
-                  </svg>
-                  <span className="text-red-600 text-sm">{importError}</span>
-                </div>
-              )}
-
-              {/* Import Progress */}
-              {isImporting ? (
-                <div className="space-y-4">
-                  <div className="flex items-center justify-center">
-                    <svg
-                      className="animate-spin h-10 w-10 text-violet-600"
-                      fill="none"
-                      viewBox="0 0 24 24"
-                    >
-                      <circle
-                        className="opacity-25"
-                        cx="12"
-                        cy="12"
-                        r="10"
-                        stroke="currentColor"
-                        strokeWidth="4"
-                      ></circle>
-                      <path
-                        className="opacity-75"
-                        fill="currentColor"
-                        d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                      ></path>
-                    </svg>
-                  </div>
-                  <div className="text-center">
-                    <p className="text-sm font-medium text-gray-700">
-                      {importProgress.status}
-                    </p>
-                    {importProgress.total > 0 && (
-                      <p className="text-xs text-gray-500 mt-1">
-                        {importProgress.current} of {importProgress.total}{" "}
-                        records
-                      </p>
-                    )}
-                  </div>
-                  {importProgress.total > 0 && (
-                    <div className="w-full bg-gray-200 rounded-full h-2">
-                      <div
-                        className="bg-violet-600 h-2 rounded-full transition-all duration-300"
-                        style={{
-                          width: `${(importProgress.current / importProgress.total) * 100}%`,
-                        }}
-                      ></div>
-                    </div>
-                  )}
-                </div>
-              ) : (
-                <div className="space-y-4">
-                  {/* Expected Columns Info */}
-                  <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
-                    <p className="text-sm font-medium text-gray-700 mb-2">
-                      Required Excel column headers:
-                    </p>
-                    <div className="flex flex-wrap gap-2">
-                      {[
-                        "Company",
-                        "Branch",
-                        "Department",
-                        "User",
-                        "Brand",
-                        "Device",
-                        "Device S.No",
-                        "Operating System",
-                        "Purchase Date",
-                        "Remark",
-                      ].map((col) => (
-                        <span
-                          key={col}
-                          className="px-2 py-1 bg-white text-xs text-gray-600 rounded border border-gray-300"
-                        >
-                          {col}
-                        </span>
-                      ))}
-                    </div>
-                    <p className="text-xs text-gray-500 mt-3">
-                      <strong>Note:</strong> Serial Number (S.No) will be
-                      auto-generated. Date format: YYYY-MM-DD or DD-MM-YYYY
-                    </p>
-                  </div>
-
-                  {/* Download Template */}
-                  <button
-                    onClick={downloadSampleTemplate}
-                    className="w-full flex items-center justify-center space-x-2 px-4 py-2.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors border border-gray-300"
-                  >
-                    <svg
-                      className="h-5 w-5"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1M8 12l4 4m0 0l4-4m-4 4V4"
-                      />
-                    </svg>
-                    <span>Download Sample Template</span>
-                  </button>
-
-                  {/* File Upload */}
-                  <label className="block">
-                    <div className="flex items-center justify-center w-full h-32 px-4 border-2 border-dashed border-violet-300 rounded-lg cursor-pointer bg-violet-50 hover:bg-violet-100 transition-colors">
-                      <div className="text-center">
-                        <svg
-                          className="mx-auto h-10 w-10 text-violet-400"
-                          fill="none"
-                          stroke="currentColor"
-                          viewBox="0 0 24 24"
-                        >
-                          <path
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                            strokeWidth={2}
-                            d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"
-                          />
-                        </svg>
-                        <p className="mt-2 text-sm text-violet-600 font-medium">
-                          Click to upload file
-                        </p>
-                        <p className="text-xs text-gray-500">
-                          .xlsx, .xls, .csv files supported
-                        </p>
-                      </div>
-                    </div>
-                    <input
-                      type="file"
-                      accept=".xlsx,.xls,.csv"
-                      onChange={handleImportFromExcel}
-                      className="hidden"
-                    />
-                  </label>
-                </div>
-              )}
-            </div>
-          </div>
-        </div>
-      )}
+      {/* Excel Import Wizard */}
+      <ImportWizard
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImported={handleImportComplete}
+        createdBy={user?._id}
+      />
     </div>
   );
 };
@@ -0,0 +1,317 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import * as XLSX from "xlsx";
+import Navbar from "../components/Navbar";
+import { useAuth } from "../context/AuthContext";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+import { getAllAssets } from "../services/assetService";
+import { calculateDepreciation } from "../utils/depreciation";
+import { formatCurrency, formatDate, formatDateForExport, toDateInputValue } from "../utils/formatters";
+import { PERMISSIONS, hasPermission } from "../utils/permissions";
+
+// Ways the totals can be grouped
+// Multi-level options roll up along the branch > department > location hierarchy
+const groupByOptions = [
+  { key: "companyName", label: "Company", levels: [{ field: "companyName", label: "Company" }] },
+  { key: "branch", label: "Branch", levels: [{ field: "branch", label: "Branch" }] },
+  {
+    key: "department",
+    label: "Branch › Department",
+    levels: [
+      { field: "branch", label: "Branch" },
+      { field: "department", label: "Department" },
+    ],
+  },
+  {
+    key: "location",
+    label: "Branch › Department › Location",
+    levels: [
+      { field: "branch", label: "Branch" },
+      { field: "department", label: "Department" },
+      { field: "location", label: "Location" },
+    ],
+  },
+];
+
+// Group names of an asset from the top level down to `depth`
+const getGroupPath = (asset, levels, depth = levels.length) =>
+  levels.slice(0, depth).map((level) => asset[level.field] || "Unspecified");
+
+// Parents sort before their children, then by currency
+const comparePaths = (a, b) => {
+  for (let i = 0; i < Math.min(a.path.length, b.path.length); i++) {
+    const order = a.path[i].localeCompare(b.path[i]);
+    if (order) return order;
+  }
+  return a.path.length - b.path.length || a.currency.localeCompare(b.currency);
+};
+
+// Totals per group (and every parent group) and currency
+// Amounts in different currencies are never added together
+const buildTotals = (rows, levels) => {
+  const totals = {};
+  rows.forEach(({ asset, value }) => {
+    levels.forEach((_, index) => {
+      const path = getGroupPath(asset, levels, index + 1);
+      const id = `${path.join("|")}|${value.currency}`;
+      if (!totals[id]) {
+        totals[id] = { path, currency: value.currency, count: 0, cost: 0, depreciation: 0, currentValue: 0 };
+      }
+      totals[id].count += 1;
+      totals[id].cost += value.cost;
+      totals[id].depreciation += value.accumulatedDepreciation;
+      totals[id].currentValue += value.currentValue;
+    });
+  });
+  return Object.values(totals).sort(comparePaths);
+};
+
+const DepreciationReport = () => {
+  const { user } = useAuth();
+  const { deviceTypes } = useDeviceTypes();
+  const [assets, setAssets] = useState([]);
+  const [asOfDate, setAsOfDate] = useState(toDateInputValue(new Date()));
+  const [groupBy, setGroupBy] = useState(groupByOptions[0].key);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const canViewAll = hasPermission(user, PERMISSIONS.ASSET_VIEW_ALL);
+
+  useEffect(() => {
+    const fetchAssets = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const response = await getAllAssets({
+          page: 1,
+          limit: 10000, // Fetch all records
+          createdBy: !canViewAll ? user?._id : "",
+        });
+        const assetData = response?.data?.assets || response?.data || response || [];
+        setAssets(Array.isArray(assetData) ? assetData : []);
+      } catch (err) {
+        console.error("Error fetching assets for depreciation report:", err);
+        setError("Failed to load assets. Please try again.");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchAssets();
+  }, [canViewAll, user?._id]);
+
+  const asOf = asOfDate ? new Date(`${asOfDate}T23:59:59`) : new Date();
+  const rows = assets
+    .map((asset) => ({ asset, value: calculateDepreciation(asset, asOf, deviceTypes) }))
+    .filter((row) => row.value);
+  const missingCount = assets.length - rows.length;
+  const groupOption = groupByOptions.find((option) => option.key === groupBy);
+  const groupLabel = groupOption.label;
+  const levels = groupOption.levels;
+  const totals = buildTotals(rows, levels);
+
+  const handleExport = () => {
+    if (!rows.length) {
+      alert("No data to export");
+      return;
+    }
+
+    const assetSheet = rows.map(({ asset, value }) => ({
+      "Serial Number": asset.serialNumber || "",
+      Company: asset.companyName || "",
+      Branch: asset.branch || "",
+      Department: asset.department || "",
+      Location: asset.location || "",
+      Device: asset.device || "",
+      "Purchase Date": formatDateForExport(asset.dateOfPurchase),
+      Currency: value.currency,
+      "Purchase Cost": value.cost,
+      Method: value.method,
+      "Useful Life (Years)": value.usefulLife,
+      "Accumulated Depreciation": value.accumulatedDepreciation,
+      "Current Value": value.currentValue,
+    }));
+    // One column per level; subtotal rows leave the deeper levels empty
+    const totalsSheet = totals.map((total) => ({
+      ...Object.fromEntries(levels.map((level, index) => [level.label, total.path[index] || ""])),
+      Currency: total.currency,
+      Assets: total.count,
+      "Purchase Cost": Math.round(total.cost * 100) / 100,
+      "Accumulated Depreciation": Math.round(total.depreciation * 100) / 100,
+      "Current Value": Math.round(total.currentValue * 100) / 100,
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.json_to_sheet(totalsSheet),
+      `By ${levels[levels.length - 1].label}`,
+    );
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(assetSheet), "Assets");
+    XLSX.writeFile(workbook, `IT_Assets_Depreciation_${formatDateForExport(asOf)}.xlsx`);
+  };
+
+  const inputClass =
+    "px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white";
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Page Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Depreciation Report</h1>
+            <p className="text-gray-600 mt-1">Current book value of assets with a purchase cost</p>
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={isLoading}
+            className="inline-flex items-center px-5 py-2.5 mt-4 sm:mt-0 bg-emerald-600 text-white font-medium rounded-lg hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-colors shadow-md disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            <svg className="h-5 w-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1M8 12l4 4m0 0l4-4m-4 4V4" />
+            </svg>
+            Export
+          </button>
+        </div>
+
+        {/* Options */}
+        <div className="flex flex-wrap items-end gap-3 bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6">
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Value as of
+            <input type="date" value={asOfDate} onChange={(e) => setAsOfDate(e.target.value)} className={inputClass} />
+          </label>
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Totals by
+            <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={inputClass}>
+              {groupByOptions.map((option) => (
+                <option key={option.key} value={option.key}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {!isLoading && missingCount > 0 && (
+            <p className="text-xs text-amber-700 pb-2">
+              {missingCount} asset{missingCount === 1 ? " has" : "s have"} no purchase cost or purchase date and
+              {missingCount === 1 ? " is" : " are"} not included.
+            </p>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <>
+            {/* Totals */}
+            <div className="bg-white rounded-xl shadow-lg overflow-hidden mb-8">
+              <div className="px-4 py-3 border-b border-gray-200 bg-gray-50">
+                <h2 className="text-sm font-semibold text-gray-700 uppercase">Totals by {groupLabel}</h2>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">{groupLabel}</th>
+                      <th className="px-3 py-2.5 text-right text-xs font-semibold text-gray-600 uppercase">Assets</th>
+                      <th className="px-3 py-2.5 text-right text-xs font-semibold text-gray-600 uppercase">Purchase Cost</th>
+                      <th className="px-3 py-2.5 text-right text-xs font-semibold text-gray-600 uppercase">Depreciation</th>
+                      <th className="px-3 py-2.5 text-right text-xs font-semibold text-gray-600 uppercase">Current Value</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {totals.length > 0 ? (
+                      totals.map((total) => {
+                        // Parent rows are subtotals of the indented rows below them
+                        const isSubtotal = total.path.length < levels.length;
+                        return (
+                          <tr
+                            key={`${total.path.join("|")}|${total.currency}`}
+                            className={`hover:bg-blue-50 transition-colors ${isSubtotal ? "bg-gray-50 font-semibold" : ""}`}
+                          >
+                            <td
+                              className="px-3 py-2 text-sm text-gray-900"
+                              style={{ paddingLeft: `${0.75 + (total.path.length - 1) * 1.5}rem` }}
+                            >
+                              {total.path[total.path.length - 1]}
+                            </td>
+                            <td className="px-3 py-2 text-sm text-gray-600 text-right">{total.count}</td>
+                            <td className="px-3 py-2 text-sm text-gray-600 text-right">{formatCurrency(total.cost, total.currency)}</td>
+                            <td className="px-3 py-2 text-sm text-gray-600 text-right">{formatCurrency(total.depreciation, total.currency)}</td>
+                            <td className="px-3 py-2 text-sm text-gray-900 font-medium text-right">{formatCurrency(total.currentValue, total.currency)}</td>
+                          </tr>
+                        );
+                      })
+                    ) : (
+                      <tr>
+                        <td colSpan={5} className="px-3 py-6 text-center text-sm text-gray-500">
+                          No assets with a purchase cost yet
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Per Asset */}
+            <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+              <div className="px-4 py-3 border-b border-gray-200 bg-gray-50">
+                <h2 className="text-sm font-semibold text-gray-700 uppercase">Assets</h2>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">S.No</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Device</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">{groupLabel}</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Purchased</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Method</th>
+                      <th className="px-3 py-2.5 text-right text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Cost</th>
+                      <th className="px-3 py-2.5 text-right text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Current Value</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {rows.map(({ asset, value }) => (
+                      <tr key={asset._id || asset.id} className="hover:bg-blue-50 transition-colors">
+                        <td className="px-3 py-2 text-xs font-medium whitespace-nowrap">
+                          <Link to={`/assets/${asset._id || asset.id}`} className="text-blue-700 hover:underline">
+                            {asset.serialNumber}
+                          </Link>
+                        </td>
+                        <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{asset.device}</td>
+                        <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">
+                          {getGroupPath(asset, levels).join(" › ")}
+                        </td>
+                        <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{formatDate(asset.dateOfPurchase)}</td>
+                        <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">
+                          {value.method} · {value.usefulLife} yrs
+                        </td>
+                        <td className="px-3 py-2 text-xs text-gray-600 text-right whitespace-nowrap">
+                          {formatCurrency(value.cost, value.currency)}
+                        </td>
+                        <td className="px-3 py-2 text-xs text-gray-900 font-medium text-right whitespace-nowrap">
+                          {formatCurrency(value.currentValue, value.currency)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default DepreciationReport;
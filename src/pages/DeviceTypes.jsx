@@ -0,0 +1,485 @@
+import { useState, useEffect, useCallback } from "react";
+import Navbar from "../components/Navbar";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+import {
+  getAllDeviceTypes,
+  createDeviceType,
+  updateDeviceType,
+  deleteDeviceType,
+} from "../services/deviceTypeService";
+import { countAssetsByField, getAllAssets } from "../services/assetService";
+import { defaultDeviceTypes, specFields } from "../data/assets";
+import { catalogueColors, getCatalogueColor, getCatalogueStyle } from "../utils/assetStyles";
+import { getDeviceSpecFields, getUsefulLife } from "../utils/deviceTypes";
+
+// Longest useful life that can be set, in years
+const MAX_USEFUL_LIFE_YEARS = 50;
+
+const emptyForm = { name: "", color: catalogueColors[0], usefulLifeYears: "", specFields: [] };
+
+// Problem with the useful life typed in (empty uses the default), or null
+const getUsefulLifeError = (value) => {
+  const input = String(value).trim();
+  if (!input) return null;
+  return /^\d+$/.test(input) && Number(input) >= 1 && Number(input) <= MAX_USEFUL_LIFE_YEARS
+    ? null
+    : `Useful life must be a whole number of years from 1 to ${MAX_USEFUL_LIFE_YEARS}.`;
+};
+
+// Catalogue entry to save from the add / edit form
+const toDeviceType = (form) => ({
+  name: form.name.trim(),
+  color: form.color,
+  usefulLifeYears: String(form.usefulLifeYears).trim() ? Number(form.usefulLifeYears) : null,
+  // Kept in the order the asset form shows them
+  specFields: Object.keys(specFields).filter((key) => form.specFields.includes(key)),
+});
+
+const DeviceTypes = () => {
+  const { refreshDeviceTypes } = useDeviceTypes();
+  const [catalogue, setCatalogue] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // Whether the catalogue loaded - a failed load must not look like an empty catalogue
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [newType, setNewType] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+  // Entry being edited inline ({ _id, name, color, usefulLifeYears, specFields }) or null
+  const [editing, setEditing] = useState(null);
+  // Number of assets of each type (name -> count); types in use can't be renamed or deleted
+  const [assetCounts, setAssetCounts] = useState({});
+
+  const fetchCatalogue = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setIsLoaded(false);
+      setError(null);
+      const response = await getAllDeviceTypes();
+      const data = response?.data?.deviceTypes || response?.data || response?.deviceTypes || [];
+      const types = Array.isArray(data) ? data.filter((type) => type?.name) : [];
+      setCatalogue(types);
+      setIsLoaded(true);
+
+      // Asset counts load in the background so the table shows immediately
+      // Until they have loaded (or if they fail) nothing can be renamed or deleted
+      setAssetCounts({});
+      countAssetsByField("device")
+        .then((counts) => setAssetCounts(Object.fromEntries(types.map((entry) => [entry.name, counts[entry.name] || 0]))))
+        .catch(() => setError("Failed to load asset counts, so nothing can be renamed or deleted. Please reload the page."));
+    } catch (err) {
+      console.error("Error fetching device types:", err);
+      setError("Failed to load device types. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCatalogue();
+  }, [fetchCatalogue]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  // Reload this page and the catalogue used by the rest of the app
+  const reload = async () => {
+    await fetchCatalogue();
+    refreshDeviceTypes();
+  };
+
+  const isDuplicateName = (name, id) =>
+    catalogue.some(
+      (type) => type.name.toLowerCase() === name.toLowerCase() && (type._id || type.id) !== id,
+    );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = newType.name.trim();
+    if (!name) {
+      setError("Device type name is required.");
+      return;
+    }
+    if (isDuplicateName(name)) {
+      setError(`${name} is already in the catalogue.`);
+      return;
+    }
+    const usefulLifeError = getUsefulLifeError(newType.usefulLifeYears);
+    if (usefulLifeError) {
+      setError(usefulLifeError);
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      await createDeviceType(toDeviceType(newType));
+      setNewType(emptyForm);
+      showSuccess(`${name} added.`);
+      await reload();
+    } catch (err) {
+      setError(err.message || "Failed to add device type. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Copy the built-in Laptop/Desktop/Printer types into an empty catalogue
+  const handleAddBuiltIn = async () => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      for (const type of defaultDeviceTypes) {
+        await createDeviceType(type);
+      }
+      showSuccess("Built-in device types added to the catalogue.");
+      await reload();
+    } catch (err) {
+      setError(err.message || "Failed to add device types. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    const name = editing.name.trim();
+    if (!name) {
+      setError("Device type name is required.");
+      return;
+    }
+    if (isDuplicateName(name, editing._id)) {
+      setError(`${name} is already in the catalogue.`);
+      return;
+    }
+    const usefulLifeError = getUsefulLifeError(editing.usefulLifeYears);
+    if (usefulLifeError) {
+      setError(usefulLifeError);
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      await updateDeviceType(editing._id, toDeviceType(editing));
+      setEditing(null);
+      showSuccess(`${name} updated.`);
+      await reload();
+    } catch (err) {
+      setError(err.message || "Failed to update device type. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (type) => {
+    if (!window.confirm(`Remove ${type.name} from the device type catalogue?`)) {
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      // Assets may have been given this type since the counts were loaded
+      const response = await getAllAssets({ page: 1, limit: 1, device: type.name });
+      const assetCount = response?.data?.pagination?.totalItems || 0;
+      if (assetCount > 0) {
+        setAssetCounts((prev) => ({ ...prev, [type.name]: assetCount }));
+        setError(`${assetCount} asset${assetCount === 1 ? " now uses" : "s now use"} ${type.name}, so it can't be removed.`);
+        return;
+      }
+      await deleteDeviceType(type._id || type.id);
+      showSuccess(`${type.name} removed.`);
+      await reload();
+    } catch (err) {
+      setError(err.message || "Failed to remove device type. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const colorSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white capitalize"
+    >
+      {catalogueColors.map((color) => (
+        <option key={color} value={color}>
+          {color}
+        </option>
+      ))}
+    </select>
+  );
+
+  const usefulLifeInput = (value, onChange, className) => (
+    <input
+      type="number"
+      min="1"
+      max={MAX_USEFUL_LIFE_YEARS}
+      step="1"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder="Default"
+      className={`${className} px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white`}
+    />
+  );
+
+  // Checkboxes for the spec fields the asset form shows for the type
+  const specFieldsPicker = (selected, onChange) => (
+    <div className="flex flex-wrap gap-x-3 gap-y-1">
+      {Object.entries(specFields).map(([key, { label }]) => (
+        <label key={key} className="flex items-center gap-1.5 text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={selected.includes(key)}
+            onChange={(e) =>
+              onChange(e.target.checked ? [...selected, key] : selected.filter((field) => field !== key))
+            }
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          {label}
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Success Message */}
+        {successMessage && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+            <span className="text-green-700 font-medium">{successMessage}</span>
+            <button
+              onClick={() => setSuccessMessage(null)}
+              className="text-green-500 hover:text-green-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
+            <span className="text-red-700">{error}</span>
+            <button
+              onClick={() => setError(null)}
+              className="text-red-500 hover:text-red-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Page Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Device Types</h1>
+          <p className="text-gray-600 mt-1">
+            Device types drive the dashboard cards, counts, exports, depreciation and the asset form
+          </p>
+        </div>
+
+        {/* Add Device Type */}
+        <form
+          onSubmit={handleAdd}
+          className="flex flex-wrap items-end gap-3 bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6"
+        >
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Name
+            <input
+              type="text"
+              value={newType.name}
+              onChange={(e) => setNewType((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g., Monitor"
+              className="w-56 px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+            />
+          </label>
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Color
+            {colorSelect(newType.color, (color) => setNewType((prev) => ({ ...prev, color })))}
+          </label>
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Useful life (years)
+            {usefulLifeInput(
+              newType.usefulLifeYears,
+              (usefulLifeYears) => setNewType((prev) => ({ ...prev, usefulLifeYears })),
+              "w-32",
+            )}
+          </label>
+          <span className={`mb-2 px-1.5 py-0.5 rounded text-xs font-medium ${getCatalogueStyle(newType).badge}`}>
+            {newType.name.trim() || "Preview"}
+          </span>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Add Device Type
+          </button>
+          <div className="basis-full flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Spec fields
+            {specFieldsPicker(newType.specFields, (fields) => setNewType((prev) => ({ ...prev, specFields: fields })))}
+          </div>
+        </form>
+
+        {/* Empty catalogue - the app falls back to the built-in types */}
+        {!isLoading && isLoaded && catalogue.length === 0 && (
+          <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <p className="text-sm text-amber-800">
+              The catalogue is empty, so the built-in types (
+              {defaultDeviceTypes.map((type) => type.name).join(", ")}) are in use. Adding a type
+              replaces them, so add the built-in types first if you still need them.
+            </p>
+            <button
+              onClick={handleAddBuiltIn}
+              disabled={isSaving}
+              className="px-4 py-2 text-sm font-medium bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors disabled:opacity-50 whitespace-nowrap"
+            >
+              Add Built-in Types
+            </button>
+          </div>
+        )}
+
+        {/* Catalogue */}
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Device Type</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Color</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Useful Life</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">Spec Fields</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Assets</th>
+                  <th className="px-3 py-2.5 text-center text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan={6} className="px-3 py-8 text-center">
+                      <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </td>
+                  </tr>
+                ) : catalogue.length > 0 ? (
+                  catalogue.map((type) => {
+                    const typeId = type._id || type.id;
+                    const assetCount = assetCounts[type.name];
+                    const inUse = assetCount > 0;
+                    const isEditing = editing?._id === typeId;
+                    const usefulLife = getUsefulLife(type.name, catalogue);
+                    const typeSpecFields = getDeviceSpecFields(type.name, catalogue);
+                    return (
+                      <tr key={typeId} className="hover:bg-blue-50 transition-colors">
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          {isEditing && assetCount === 0 ? (
+                            <input
+                              type="text"
+                              value={editing.name}
+                              onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))}
+                              className="w-48 px-3 py-1.5 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+                            />
+                          ) : (
+                            <span
+                              className={`px-1.5 py-0.5 rounded text-xs font-medium ${getCatalogueStyle(isEditing ? editing : type).badge}`}
+                              title={isEditing ? (inUse ? "Types with assets can't be renamed" : "Asset counts haven't loaded") : undefined}
+                            >
+                              {type.name}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap capitalize">
+                          {isEditing
+                            ? colorSelect(editing.color, (color) => setEditing((prev) => ({ ...prev, color })))
+                            : getCatalogueColor(type)}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">
+                          {isEditing
+                            ? usefulLifeInput(
+                                editing.usefulLifeYears,
+                                (usefulLifeYears) => setEditing((prev) => ({ ...prev, usefulLifeYears })),
+                                "w-24",
+                              )
+                            : `${usefulLife} year${usefulLife === 1 ? "" : "s"}`}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-600">
+                          {isEditing
+                            ? specFieldsPicker(editing.specFields, (fields) =>
+                                setEditing((prev) => ({ ...prev, specFields: fields })),
+                              )
+                            : typeSpecFields.map((key) => specFields[key]?.label || key).join(", ") || "—"}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">
+                          {assetCount ?? "…"}
+                        </td>
+                        <td className="px-3 py-2 text-center whitespace-nowrap">
+                          {isEditing ? (
+                            <>
+                              <button
+                                onClick={handleSaveEdit}
+                                disabled={isSaving}
+                                className="px-3 py-1 text-xs font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 mr-2"
+                              >
+                                Save
+                              </button>
+                              <button
+                                onClick={() => setEditing(null)}
+                                className="px-3 py-1 text-xs font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+                              >
+                                Cancel
+                              </button>
+                            </>
+                          ) : (
+                            <>
+                              <button
+                                onClick={() =>
+                                  setEditing({
+                                    _id: typeId,
+                                    name: type.name,
+                                    color: getCatalogueColor(type),
+                                    usefulLifeYears: String(usefulLife),
+                                    specFields: typeSpecFields,
+                                  })
+                                }
+                                disabled={isSaving}
+                                className="px-3 py-1 text-xs font-medium bg-blue-50 text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50 mr-2"
+                              >
+                                Edit
+                              </button>
+                              <button
+                                onClick={() => handleDelete(type)}
+                                disabled={isSaving || assetCount === undefined || inUse}
+                                title={inUse ? `${assetCount} asset${assetCount === 1 ? "" : "s"} still use this type` : undefined}
+                                className="px-3 py-1 text-xs font-medium bg-red-50 text-red-600 border border-red-200 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                Delete
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                ) : (
+                  <tr>
+                    <td colSpan={6} className="px-3 py-8 text-center text-sm text-gray-500">
+                      {isLoaded ? "No device types in the catalogue yet" : "The catalogue couldn't be loaded"}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default DeviceTypes;
@@ -0,0 +1,315 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import Navbar from "../components/Navbar";
+import AuditErrorBanner from "../components/AuditErrorBanner";
+import { useAuth } from "../context/AuthContext";
+import { useAuditErrors } from "../hooks/useAuditErrors";
+import { getAllAssets, updateAsset, deleteAsset } from "../services/assetService";
+import { AUDIT_ACTIONS, recordAssetChange } from "../services/auditService";
+import { getAssetStatus } from "../utils/assetStatus";
+import { getStatusColor } from "../utils/assetStyles";
+import { formatDate } from "../utils/formatters";
+import {
+  groupDuplicateSerials,
+  suggestMergeTarget,
+  getMergeChanges,
+  getHeldDuplicates,
+} from "../utils/assetDuplicates";
+import { useCompanies } from "../context/useCompanies";
+
+const getAssetKey = (asset) => asset._id || asset.id;
+
+// Assets that share a device serial number, and merging them into one record
+const DuplicateAssets = () => {
+  const { user } = useAuth();
+  const { getCompanyColor } = useCompanies();
+  const [clusters, setClusters] = useState([]);
+  const [placeholderAssets, setPlaceholderAssets] = useState([]);
+  // Asset kept in each cluster (serial -> asset key)
+  const [targets, setTargets] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  // Serial of the cluster being merged
+  const [mergingSerial, setMergingSerial] = useState(null);
+  const [error, setError] = useState(null);
+  const { auditErrors, reportAuditError, clearAuditErrors } = useAuditErrors();
+  const [successMessage, setSuccessMessage] = useState(null);
+  // Bumped to reload after merging
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const response = await getAllAssets({ page: 1, limit: 10000 }); // Fetch all records
+        const assetData = response?.data?.assets || response?.data || response || [];
+        const grouped = groupDuplicateSerials(Array.isArray(assetData) ? assetData : []);
+        setClusters(grouped.clusters);
+        setPlaceholderAssets(grouped.placeholderAssets);
+        setTargets(
+          Object.fromEntries(
+            grouped.clusters.map((cluster) => [cluster.serial, getAssetKey(suggestMergeTarget(cluster))]),
+          ),
+        );
+      } catch (err) {
+        console.error("Error loading assets for duplicate check:", err);
+        setError("Failed to load assets. Please try again.");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchData();
+  }, [reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  // Split a cluster into the asset kept and the ones that go to the recycle bin
+  const getMergePlan = (cluster) => {
+    const target = cluster.assets.find((asset) => getAssetKey(asset) === targets[cluster.serial]);
+    const duplicates = cluster.assets.filter((asset) => asset !== target);
+    return {
+      target,
+      duplicates,
+      changes: getMergeChanges(target, duplicates),
+      held: getHeldDuplicates(duplicates),
+    };
+  };
+
+  const handleMerge = async (cluster) => {
+    const { target, duplicates, changes } = getMergePlan(cluster);
+    const duplicateLabels = duplicates.map((asset) => asset.serialNumber).join(", ");
+    if (
+      !window.confirm(
+        `Merge ${duplicateLabels} into ${target.serialNumber}? The duplicates will be moved to the Recycle Bin.`,
+      )
+    ) {
+      return;
+    }
+    try {
+      setMergingSerial(cluster.serial);
+      setError(null);
+      if (changes.length > 0) {
+        const updates = Object.fromEntries(changes.map(({ field, value }) => [field, value]));
+        await updateAsset(getAssetKey(target), updates);
+        await recordAssetChange({
+          action: AUDIT_ACTIONS.UPDATE,
+          actor: user?._id,
+          before: target,
+          after: { ...target, ...updates },
+          reason: `Merged details from duplicate ${duplicateLabels}`,
+        }).catch(reportAuditError);
+      }
+      for (const asset of duplicates) {
+        await deleteAsset(getAssetKey(asset));
+        await recordAssetChange({
+          action: AUDIT_ACTIONS.DELETE,
+          actor: user?._id,
+          before: asset,
+          reason: `Duplicate of ${target.serialNumber}`,
+        }).catch(reportAuditError);
+      }
+      showSuccess(`${duplicateLabels} merged into ${target.serialNumber}.`);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setError(err.message || "Failed to merge assets. Please try again.");
+      // Part of the merge may already be done
+      setReloadKey((key) => key + 1);
+    } finally {
+      setMergingSerial(null);
+    }
+  };
+
+  const duplicateCount = clusters.reduce((sum, cluster) => sum + cluster.assets.length, 0);
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Success Message */}
+        {successMessage && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+            <span className="text-green-700 font-medium">{successMessage}</span>
+            <button
+              onClick={() => setSuccessMessage(null)}
+              className="text-green-500 hover:text-green-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        <AuditErrorBanner messages={auditErrors} onDismiss={clearAuditErrors} />
+
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
+            <span className="text-red-700">{error}</span>
+            <button
+              onClick={() => setError(null)}
+              className="text-red-500 hover:text-red-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Page Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Duplicate Serials</h1>
+          <p className="text-gray-600 mt-1">
+            Assets that share a device serial number. Pick the record to keep; empty fields on it are
+            filled from the duplicates, which are moved to the Recycle Bin.
+          </p>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <p className="text-sm text-gray-600">
+              {clusters.length === 0
+                ? "No device serial number is used more than once."
+                : `${clusters.length} serial number${clusters.length === 1 ? "" : "s"} shared by ${duplicateCount} assets.`}
+            </p>
+
+            {clusters.map((cluster) => {
+              const { target, changes, held } = getMergePlan(cluster);
+              return (
+                <div key={cluster.serial} className="bg-white rounded-xl shadow-lg overflow-hidden">
+                  <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center gap-3">
+                    <h2 className="text-lg font-semibold text-gray-900 font-mono">{cluster.serial}</h2>
+                    <span className="px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-700">
+                      {cluster.assets.length} assets
+                    </span>
+                    <button
+                      onClick={() => handleMerge(cluster)}
+                      disabled={mergingSerial !== null || held.length > 0}
+                      className="ml-auto px-3 py-1.5 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                    >
+                      {mergingSerial === cluster.serial ? "Merging..." : `Merge into ${target.serialNumber}`}
+                    </button>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-3 py-2.5 text-center text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Keep</th>
+                          <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">S.No</th>
+                          <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Company</th>
+                          <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Branch</th>
+                          <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Department</th>
+                          <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Device</th>
+                          <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">User</th>
+                          <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Status</th>
+                          <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Added</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {cluster.assets.map((asset) => {
+                          const isTarget = asset === target;
+                          return (
+                            <tr
+                              key={getAssetKey(asset)}
+                              className={isTarget ? "bg-blue-50" : "hover:bg-gray-50 transition-colors"}
+                            >
+                              <td className="px-3 py-2 text-center">
+                                <input
+                                  type="radio"
+                                  name={`keep-${cluster.serial}`}
+                                  checked={isTarget}
+                                  onChange={() =>
+                                    setTargets((prev) => ({ ...prev, [cluster.serial]: getAssetKey(asset) }))
+                                  }
+                                  className="text-blue-600 focus:ring-blue-500"
+                                />
+                              </td>
+                              <td className="px-3 py-2 text-xs font-medium whitespace-nowrap">
+                                <Link to={`/assets/${getAssetKey(asset)}`} className="text-blue-700 hover:underline">
+                                  {asset.serialNumber}
+                                </Link>
+                              </td>
+                              <td className="px-3 py-2 whitespace-nowrap">
+                                <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getCompanyColor(asset.companyName)}`}>
+                                  {asset.companyName}
+                                </span>
+                              </td>
+                              <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{asset.branch || "-"}</td>
+                              <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{asset.department || "-"}</td>
+                              <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">
+                                {[asset.brand, asset.device].filter(Boolean).join(" ") || "-"}
+                              </td>
+                              <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{asset.userName || "-"}</td>
+                              <td className="px-3 py-2 whitespace-nowrap">
+                                <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getStatusColor(getAssetStatus(asset))}`}>
+                                  {getAssetStatus(asset)}
+                                </span>
+                              </td>
+                              <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{formatDate(asset.createdAt)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="px-6 py-3 border-t border-gray-200 bg-gray-50 text-xs text-gray-600 space-y-1">
+                    {held.length > 0 ? (
+                      <p className="text-amber-700">
+                        {held.map((asset) => `${asset.serialNumber} (${asset.userName})`).join(", ")}{" "}
+                        {held.length === 1 ? "is" : "are"} still assigned. Keep that record or check it in
+                        before merging.
+                      </p>
+                    ) : changes.length > 0 ? (
+                      <p>
+                        Fills on {target.serialNumber}:{" "}
+                        {changes.map(({ field, label, value, from }) => (
+                          <span key={field} className="inline-block mr-3">
+                            <span className="font-medium text-gray-700">{label}</span> = {String(value)}{" "}
+                            <span className="text-gray-400">(from {from})</span>
+                          </span>
+                        ))}
+                      </p>
+                    ) : (
+                      <p>{target.serialNumber} already has every detail the duplicates have.</p>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+
+            {/* Placeholder serials can't be compared, so they're listed for fixing by hand */}
+            {placeholderAssets.length > 0 && (
+              <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+                <p className="font-medium">
+                  {placeholderAssets.length} asset{placeholderAssets.length === 1 ? " has" : "s have"} no
+                  real device serial number (e.g. "N/A") and can't be checked for duplicates:
+                </p>
+                <p className="mt-1 text-xs">
+                  {placeholderAssets.map((asset, index) => (
+                    <span key={getAssetKey(asset)}>
+                      {index > 0 && ", "}
+                      <Link to={`/assets/${getAssetKey(asset)}`} className="underline hover:text-amber-900">
+                        {asset.serialNumber}
+                      </Link>
+                    </span>
+                  ))}
+                </p>
+              </div>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default DuplicateAssets;
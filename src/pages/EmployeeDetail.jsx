@@ -0,0 +1,187 @@
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import Navbar from "../components/Navbar";
+import { useAuth } from "../context/AuthContext";
+import { getEmployeeById } from "../services/employeeService";
+import { getAllAssets } from "../services/assetService";
+import { getAssetStatus, canCheckIn } from "../utils/assetStatus";
+import { PERMISSIONS, hasPermission } from "../utils/permissions";
+import { formatDate, formatSpecSummary } from "../utils/formatters";
+import { getStatusColor } from "../utils/assetStyles";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+import { useCompanies } from "../context/useCompanies";
+
+// One employee's details and every asset linked to them
+const EmployeeDetail = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const { deviceTypes, getDeviceColor } = useDeviceTypes();
+  const { getCompanyColor } = useCompanies();
+  const [employee, setEmployee] = useState(null);
+  const [assets, setAssets] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [assetsError, setAssetsError] = useState(null);
+
+  useEffect(() => {
+    const fetchEmployee = async () => {
+      setIsLoading(true);
+      setError(null);
+      setAssetsError(null);
+
+      const [employeeResult, assetsResult] = await Promise.allSettled([
+        getEmployeeById(id),
+        getAllAssets({ page: 1, limit: 10000, employeeId: id }),
+      ]);
+
+      if (employeeResult.status === "fulfilled") {
+        const response = employeeResult.value;
+        setEmployee(response?.data?.employee || response?.data || response);
+      } else {
+        setError(
+          employeeResult.reason?.status === 404
+            ? "Employee not found."
+            : "Failed to load employee. Please try again.",
+        );
+      }
+
+      if (assetsResult.status === "fulfilled") {
+        const response = assetsResult.value;
+        const assetData = response?.data?.assets || response?.data || response?.assets || [];
+        setAssets(Array.isArray(assetData) ? assetData : []);
+      } else {
+        setAssets([]);
+        setAssetsError("Assets for this employee could not be loaded.");
+      }
+
+      setIsLoading(false);
+    };
+    fetchEmployee();
+  }, [id]);
+
+  const canOffboard = hasPermission(user, PERMISSIONS.ASSET_EDIT_ANY);
+  const assignedCount = assets.filter(canCheckIn).length;
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Link
+          to="/employees"
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-6"
+        >
+          <svg className="h-4 w-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back to Employees
+        </Link>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        ) : error ? (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        ) : (
+          <div className="space-y-6">
+            {/* Employee Details */}
+            <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center gap-3">
+                <h1 className="text-2xl font-bold text-gray-900">{employee.name}</h1>
+                {employee.employeeId && (
+                  <span className="px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">
+                    {employee.employeeId}
+                  </span>
+                )}
+                {canOffboard && (
+                  <Link
+                    to={`/employees/${id}/offboarding`}
+                    className="ml-auto px-3 py-1.5 text-sm font-medium bg-red-50 text-red-600 border border-red-200 rounded-lg hover:bg-red-100 transition-colors"
+                  >
+                    Offboard{assignedCount > 0 && ` (${assignedCount} to recover)`}
+                  </Link>
+                )}
+              </div>
+              <dl className="grid grid-cols-1 sm:grid-cols-3 gap-x-6 gap-y-4 p-6">
+                {[
+                  { key: "email", label: "Email" },
+                  { key: "branch", label: "Branch" },
+                  { key: "department", label: "Department" },
+                ].map((field) => (
+                  <div key={field.key}>
+                    <dt className="text-xs font-medium text-gray-500 uppercase">{field.label}</dt>
+                    <dd className="mt-0.5 text-sm text-gray-900 break-words">{employee[field.key] || "-"}</dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+
+            {/* Assets held */}
+            <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Assets <span className="text-sm font-normal text-gray-500">({assets.length})</span>
+                </h2>
+              </div>
+              {assetsError ? (
+                <p className="px-6 py-4 text-sm text-gray-500">{assetsError}</p>
+              ) : assets.length === 0 ? (
+                <p className="px-6 py-4 text-sm text-gray-500">No assets are linked to this employee.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">S.No</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Device</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Company</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Brand</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Device Serial</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Specs</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Status</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Purchased</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {assets.map((asset) => (
+                        <tr key={asset._id || asset.id} className="hover:bg-blue-50 transition-colors">
+                          <td className="px-3 py-2 text-xs font-medium whitespace-nowrap">
+                            <Link to={`/assets/${asset._id || asset.id}`} className="text-blue-700 hover:underline">
+                              {asset.serialNumber}
+                            </Link>
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getDeviceColor(asset.device)}`}>
+                              {asset.device}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getCompanyColor(asset.companyName)}`}>
+                              {asset.companyName}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{asset.brand || "-"}</td>
+                          <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{asset.deviceSerialNo || "-"}</td>
+                          <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{formatSpecSummary(asset, deviceTypes) || "-"}</td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getStatusColor(getAssetStatus(asset))}`}>
+                              {getAssetStatus(asset)}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{formatDate(asset.dateOfPurchase)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default EmployeeDetail;
@@ -0,0 +1,318 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import Navbar from "../components/Navbar";
+import AuditErrorBanner from "../components/AuditErrorBanner";
+import { useAuth } from "../context/AuthContext";
+import { useAuditErrors } from "../hooks/useAuditErrors";
+import { getAllAssets } from "../services/assetService";
+import { AUDIT_ACTIONS, recordAssetChange } from "../services/auditService";
+import { getAllEmployees, linkAssetsToEmployee } from "../services/employeeService";
+import {
+  extractEmployees,
+  findEmployeeMatches,
+  getEmployeeKey,
+  normalizePersonName,
+} from "../utils/employees";
+
+// Unlinked assets grouped by user name, so "Vikram sir " and "vikram" are matched together
+const groupUnlinkedAssets = (assets) => {
+  const groups = {};
+  assets
+    .filter((asset) => !asset.employeeId && normalizePersonName(asset.userName))
+    .forEach((asset) => {
+      const key = normalizePersonName(asset.userName);
+      if (!groups[key]) {
+        groups[key] = { key, spellings: [], assets: [] };
+      }
+      if (!groups[key].spellings.includes(asset.userName)) {
+        groups[key].spellings.push(asset.userName);
+      }
+      groups[key].assets.push(asset);
+    });
+  return Object.values(groups).sort((a, b) => a.key.localeCompare(b.key));
+};
+
+// One-time tool that links assets with a free-text user name to employees in the directory
+const EmployeeMatch = () => {
+  const { user } = useAuth();
+  const [groups, setGroups] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  // Chosen employee per group (group key -> employee key)
+  const [selections, setSelections] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const { auditErrors, reportAuditError, clearAuditErrors } = useAuditErrors();
+  // Bumped to reload after linking
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const [assetResponse, employeeResponse] = await Promise.all([
+          getAllAssets({ page: 1, limit: 10000 }), // Fetch all records
+          getAllEmployees(),
+        ]);
+        const assetData = assetResponse?.data?.assets || assetResponse?.data || assetResponse || [];
+        const employeeList = extractEmployees(employeeResponse).sort((a, b) => a.name.localeCompare(b.name));
+        const groupList = groupUnlinkedAssets(Array.isArray(assetData) ? assetData : []);
+
+        setEmployees(employeeList);
+        setGroups(groupList);
+        // Pre-select the employee when exactly one name matches
+        setSelections(
+          Object.fromEntries(
+            groupList
+              .map((group) => [group.key, findEmployeeMatches(group.key, employeeList)])
+              .filter(([, matches]) => matches.length === 1)
+              .map(([key, matches]) => [key, getEmployeeKey(matches[0])]),
+          ),
+        );
+      } catch (err) {
+        console.error("Error loading assets for matching:", err);
+        setError("Failed to load assets. Please try again.");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchData();
+  }, [reloadKey]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  const getEmployeeName = (key) => employees.find((employee) => getEmployeeKey(employee) === key)?.name;
+
+  const linkGroups = async (groupsToLink) => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      let assetCount = 0;
+      for (const group of groupsToLink) {
+        const employeeKey = selections[group.key];
+        await linkAssetsToEmployee(
+          employeeKey,
+          group.assets.map((asset) => asset._id || asset.id),
+        );
+        assetCount += group.assets.length;
+        // The backend replaces each asset's user name with the employee's name
+        for (const asset of group.assets) {
+          await recordAssetChange({
+            action: AUDIT_ACTIONS.UPDATE,
+            actor: user?._id,
+            before: asset,
+            after: { ...asset, employeeId: employeeKey, userName: getEmployeeName(employeeKey) },
+            reason: "Linked to employee",
+          }).catch(reportAuditError);
+        }
+      }
+      showSuccess(
+        groupsToLink.length === 1
+          ? `${assetCount} asset${assetCount === 1 ? "" : "s"} linked to ${getEmployeeName(selections[groupsToLink[0].key])}.`
+          : `${assetCount} assets linked across ${groupsToLink.length} employees.`,
+      );
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setError(err.message || "Failed to link assets. Please try again.");
+      // Some groups may already be linked
+      setReloadKey((key) => key + 1);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const selectedGroups = groups.filter((group) => selections[group.key]);
+  const unlinkedAssetCount = groups.reduce((sum, group) => sum + group.assets.length, 0);
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Link
+          to="/employees"
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-6"
+        >
+          <svg className="h-4 w-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back to Employees
+        </Link>
+
+        {/* Success Message */}
+        {successMessage && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+            <span className="text-green-700 font-medium">{successMessage}</span>
+            <button
+              onClick={() => setSuccessMessage(null)}
+              className="text-green-500 hover:text-green-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        <AuditErrorBanner messages={auditErrors} onDismiss={clearAuditErrors} />
+
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
+            <span className="text-red-700">{error}</span>
+            <button
+              onClick={() => setError(null)}
+              className="text-red-500 hover:text-red-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Page Header */}
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Match User Names</h1>
+            <p className="text-gray-600 mt-1">
+              Link assets with a typed-in user name to the employee directory. Spellings that only
+              differ by case, spacing or "sir"/"ji" are grouped together.
+            </p>
+          </div>
+          <button
+            onClick={() => linkGroups(selectedGroups)}
+            disabled={isSaving || selectedGroups.length === 0}
+            className="px-4 py-2 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 whitespace-nowrap"
+          >
+            Link All Selected ({selectedGroups.length})
+          </button>
+        </div>
+
+        {!isLoading && employees.length === 0 && (
+          <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+            The employee directory is empty. Add employees on the{" "}
+            <Link to="/employees" className="font-medium underline">
+              Employees
+            </Link>{" "}
+            page before matching.
+          </div>
+        )}
+
+        {!isLoading && groups.length > 0 && (
+          <p className="mb-4 text-sm text-gray-600">
+            {groups.length} user name{groups.length === 1 ? "" : "s"} on {unlinkedAssetCount} asset
+            {unlinkedAssetCount === 1 ? "" : "s"} not linked yet. Names that match one employee are
+            pre-selected; check them before linking.
+          </p>
+        )}
+
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">User Name</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Assets</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Employee</th>
+                  <th className="px-3 py-2.5 text-center text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan={4} className="px-3 py-8 text-center">
+                      <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </td>
+                  </tr>
+                ) : groups.length > 0 ? (
+                  groups.map((group) => {
+                    const matches = findEmployeeMatches(group.key, employees);
+                    const matchKeys = matches.map(getEmployeeKey);
+                    return (
+                      <tr key={group.key} className="hover:bg-blue-50 transition-colors">
+                        <td className="px-3 py-2 text-sm text-gray-900">
+                          <div className="flex flex-wrap gap-1">
+                            {group.spellings.map((spelling) => (
+                              <span key={spelling} className="px-1.5 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700 whitespace-pre">
+                                {spelling}
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                        <td className="px-3 py-2 text-xs text-gray-600">
+                          {group.assets.map((asset, index) => (
+                            <span key={asset._id || asset.id}>
+                              {index > 0 && ", "}
+                              <Link to={`/assets/${asset._id || asset.id}`} className="text-blue-700 hover:underline">
+                                {asset.serialNumber}
+                              </Link>
+                            </span>
+                          ))}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          <select
+                            value={selections[group.key] || ""}
+                            onChange={(e) => setSelections((prev) => ({ ...prev, [group.key]: e.target.value }))}
+                            className="w-56 px-3 py-1.5 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+                          >
+                            <option value="">Not linked</option>
+                            {matches.length > 0 && (
+                              <optgroup label="Suggested">
+                                {matches.map((employee) => (
+                                  <option key={getEmployeeKey(employee)} value={getEmployeeKey(employee)}>
+                                    {employee.name}
+                                    {employee.employeeId ? ` (${employee.employeeId})` : ""}
+                                  </option>
+                                ))}
+                              </optgroup>
+                            )}
+                            <optgroup label="All employees">
+                              {employees
+                                .filter((employee) => !matchKeys.includes(getEmployeeKey(employee)))
+                                .map((employee) => (
+                                  <option key={getEmployeeKey(employee)} value={getEmployeeKey(employee)}>
+                                    {employee.name}
+                                    {employee.employeeId ? ` (${employee.employeeId})` : ""}
+                                  </option>
+                                ))}
+                            </optgroup>
+                          </select>
+                          {matches.length > 1 && (
+                            <p className="mt-0.5 text-xs text-amber-600">{matches.length} employees share this name</p>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-center whitespace-nowrap">
+                          <button
+                            onClick={() => linkGroups([group])}
+                            disabled={isSaving || !selections[group.key]}
+                            className="px-3 py-1 text-xs font-medium bg-blue-50 text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50"
+                          >
+                            Link
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })
+                ) : (
+                  <tr>
+                    <td colSpan={4} className="px-3 py-8 text-center text-sm text-gray-500">
+                      Every assigned asset is linked to an employee
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default EmployeeMatch;
@@ -0,0 +1,529 @@
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import Navbar from "../components/Navbar";
+import AuditErrorBanner from "../components/AuditErrorBanner";
+import { useAuth } from "../context/AuthContext";
+import { useAuditErrors } from "../hooks/useAuditErrors";
+import {
+  getEmployeeById,
+  getOffboardingOutcomes,
+  recordOffboardingOutcome,
+  linkAssetsToEmployee,
+} from "../services/employeeService";
+import { getAllAssets, checkInAsset, changeAssetStatus } from "../services/assetService";
+import { AUDIT_ACTIONS, recordAssetChange } from "../services/auditService";
+import { returnConditions } from "../data/assets";
+import { ASSET_STATUS, canCheckIn } from "../utils/assetStatus";
+import { formatDate, toDateInputValue } from "../utils/formatters";
+import { findEmployeeMatches } from "../utils/employees";
+import { PERMISSIONS, hasPermission } from "../utils/permissions";
+
+// Outcome of each asset on the checklist
+const OUTCOMES = {
+  RETURNED: "returned",
+  LOST: "lost",
+};
+
+const getAssetId = (asset) => asset._id || asset.id;
+
+// Outcomes from an offboarding API response
+const extractOutcomes = (response) => {
+  const data = response?.data?.outcomes || response?.outcomes || response?.data || [];
+  return Array.isArray(data) ? data.filter((outcome) => outcome?.assetId && outcome.asset) : [];
+};
+
+// Assets still with someone whose typed-in user name matches the employee but aren't linked to them
+const findUnlinkedAssets = (assets, employee) =>
+  assets.filter(
+    (asset) =>
+      !asset.employeeId &&
+      canCheckIn(asset) &&
+      findEmployeeMatches(asset.userName, [employee]).length > 0,
+  );
+
+// Checklist of every asset an employee holds, with a printable clearance sheet
+// Returned assets are checked in (back to stock); unrecovered ones are marked Lost
+// Each outcome is saved with the employee, so the sheet can be printed again later
+const EmployeeOffboarding = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const canLink = hasPermission(user, PERMISSIONS.EMPLOYEE_MANAGE);
+  const [employee, setEmployee] = useState(null);
+  // Assets assigned to the employee when the checklist was opened, then those already dealt with
+  const [assets, setAssets] = useState([]);
+  // Assets whose user name matches the employee but that aren't linked to them
+  const [unlinkedAssets, setUnlinkedAssets] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const { auditErrors, reportAuditError, clearAuditErrors } = useAuditErrors();
+  const [returnDate, setReturnDate] = useState(toDateInputValue(new Date()));
+  // Condition and notes typed in per asset (asset id -> { condition, notes })
+  const [entries, setEntries] = useState({});
+  // What happened to each asset (asset id -> { assetId, asset, outcome, condition, notes, date })
+  const [outcomes, setOutcomes] = useState({});
+  // Asset currently being saved
+  const [savingId, setSavingId] = useState(null);
+  const [isLinking, setIsLinking] = useState(false);
+  // Bumped to reload after linking assets
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchChecklist = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const [employeeResponse, outcomeResponse, assetResponse, allAssetResponse] = await Promise.all([
+          getEmployeeById(id),
+          getOffboardingOutcomes(id),
+          getAllAssets({ page: 1, limit: 10000, employeeId: id }),
+          getAllAssets({ page: 1, limit: 10000 }), // Fetch all records
+        ]);
+        const employeeData = employeeResponse?.data?.employee || employeeResponse?.data || employeeResponse;
+        const assetData = assetResponse?.data?.assets || assetResponse?.data || assetResponse?.assets || [];
+        const allAssetData = allAssetResponse?.data?.assets || allAssetResponse?.data || allAssetResponse?.assets || [];
+        const heldAssets = Array.isArray(assetData) ? assetData.filter(canCheckIn) : [];
+        const heldIds = heldAssets.map(getAssetId);
+        // An asset handed back and checked out to the employee again is back on the checklist
+        const recorded = extractOutcomes(outcomeResponse).filter((outcome) => !heldIds.includes(outcome.assetId));
+
+        setEmployee(employeeData);
+        setAssets([...heldAssets, ...recorded.map((outcome) => ({ ...outcome.asset, _id: outcome.assetId }))]);
+        setOutcomes(Object.fromEntries(recorded.map((outcome) => [outcome.assetId, outcome])));
+        setUnlinkedAssets(findUnlinkedAssets(Array.isArray(allAssetData) ? allAssetData : [], employeeData));
+      } catch (err) {
+        setError(err.status === 404 ? "Employee not found." : "Failed to load the checklist. Please try again.");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchChecklist();
+  }, [id, reloadKey]);
+
+  const getEntry = (asset) => ({ condition: returnConditions[0], notes: "", ...entries[getAssetId(asset)] });
+
+  const handleEntryChange = (asset, name, value) => {
+    setEntries((prev) => ({ ...prev, [getAssetId(asset)]: { ...getEntry(asset), [name]: value } }));
+  };
+
+  // Keep the outcome on the checklist and save it with the employee
+  // The asset has already been updated, so a failed save is reported rather than undone
+  const saveOutcome = async (asset, details) => {
+    const assetId = getAssetId(asset);
+    const outcome = {
+      assetId,
+      asset: {
+        serialNumber: asset.serialNumber,
+        brand: asset.brand || "",
+        device: asset.device || "",
+        deviceSerialNo: asset.deviceSerialNo || "",
+      },
+      ...details,
+    };
+    setOutcomes((prev) => ({ ...prev, [assetId]: outcome }));
+    try {
+      await recordOffboardingOutcome(id, outcome);
+    } catch (err) {
+      setActionError(
+        `${asset.serialNumber} was updated, but the outcome couldn't be saved for a later clearance sheet (${
+          err.message || "unknown error"
+        }). Print the sheet before leaving this page.`,
+      );
+    }
+  };
+
+  // Link the unlinked assets to the employee so they join the checklist
+  const handleLinkUnlinked = async () => {
+    try {
+      setIsLinking(true);
+      setActionError(null);
+      await linkAssetsToEmployee(id, unlinkedAssets.map(getAssetId));
+      // The backend replaces each asset's user name with the employee's name
+      for (const asset of unlinkedAssets) {
+        await recordAssetChange({
+          action: AUDIT_ACTIONS.UPDATE,
+          actor: user?._id,
+          before: asset,
+          after: { ...asset, employeeId: id, userName: employee.name },
+          reason: "Offboarding: linked to employee",
+        }).catch(reportAuditError);
+      }
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setActionError(err.message || "Failed to link assets. Please try again.");
+    } finally {
+      setIsLinking(false);
+    }
+  };
+
+  // Check the asset in with its condition - it goes back to stock
+  const handleReturned = async (asset) => {
+    const assetId = getAssetId(asset);
+    const { condition, notes } = getEntry(asset);
+    const conditionNotes = notes.trim() ? `${condition} - ${notes.trim()}` : condition;
+    try {
+      setSavingId(assetId);
+      setActionError(null);
+      await checkInAsset(assetId, { returnDate, condition, conditionNotes, performedBy: user?._id });
+      await recordAssetChange({
+        action: AUDIT_ACTIONS.CHECK_IN,
+        actor: user?._id,
+        before: asset,
+        after: { ...asset, userName: "", employeeId: "", status: ASSET_STATUS.IN_STOCK },
+        reason: `Offboarding: ${conditionNotes}`,
+      }).catch(reportAuditError);
+      await saveOutcome(asset, { outcome: OUTCOMES.RETURNED, condition, notes: notes.trim(), date: returnDate });
+    } catch (err) {
+      setActionError(err.message || `Failed to check in ${asset.serialNumber}. Please try again.`);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  // The employee couldn't hand the asset back
+  const handleLost = async (asset) => {
+    const assetId = getAssetId(asset);
+    const notes = getEntry(asset).notes.trim();
+    const reason = `Not returned by ${employee.name} at offboarding${notes ? ` - ${notes}` : ""}`;
+    if (!window.confirm(`Mark ${asset.serialNumber} as Lost?`)) {
+      return;
+    }
+    try {
+      setSavingId(assetId);
+      setActionError(null);
+      await changeAssetStatus(assetId, { status: ASSET_STATUS.LOST, reason, performedBy: user?._id });
+      await recordAssetChange({
+        action: AUDIT_ACTIONS.STATUS_CHANGE,
+        actor: user?._id,
+        before: asset,
+        after: { ...asset, status: ASSET_STATUS.LOST },
+        reason,
+      }).catch(reportAuditError);
+      await saveOutcome(asset, { outcome: OUTCOMES.LOST, condition: "", notes, date: returnDate });
+    } catch (err) {
+      setActionError(err.message || `Failed to update ${asset.serialNumber}. Please try again.`);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const pendingCount = assets.filter((asset) => !outcomes[getAssetId(asset)]).length;
+  const lostCount = assets.filter((asset) => outcomes[getAssetId(asset)]?.outcome === OUTCOMES.LOST).length;
+  const isCleared = pendingCount === 0 && lostCount === 0;
+
+  const getOutcomeLabel = (asset) => {
+    const outcome = outcomes[getAssetId(asset)];
+    if (!outcome) return "Pending";
+    return outcome.outcome === OUTCOMES.LOST ? "Not returned (Lost)" : `Returned - ${outcome.condition}`;
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white">
+      <div className="print:hidden">
+        <Navbar />
+      </div>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 print:p-0">
+        <Link
+          to={`/employees/${id}`}
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-6 print:hidden"
+        >
+          <svg className="h-4 w-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back to Employee
+        </Link>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        ) : error ? (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        ) : (
+          <>
+            {/* Checklist */}
+            <div className="print:hidden">
+              <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+                <div>
+                  <h1 className="text-3xl font-bold text-gray-900">Offboarding: {employee.name}</h1>
+                  <p className="text-gray-600 mt-1">
+                    Mark each asset returned with its condition, then print the clearance sheet
+                  </p>
+                </div>
+                <div className="flex items-end gap-3">
+                  <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+                    Return Date
+                    <input
+                      type="date"
+                      value={returnDate}
+                      onChange={(e) => setReturnDate(e.target.value)}
+                      className="px-3 py-2 text-sm bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </label>
+                  <button
+                    onClick={() => window.print()}
+                    className="px-4 py-2 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+                  >
+                    Print Clearance Sheet
+                  </button>
+                </div>
+              </div>
+
+              <AuditErrorBanner messages={auditErrors} onDismiss={clearAuditErrors} />
+
+              {actionError && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
+                  <span className="text-red-700">{actionError}</span>
+                  <button
+                    onClick={() => setActionError(null)}
+                    className="text-red-500 hover:text-red-700"
+                  >
+                    <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              )}
+
+              <p className="mb-4 text-sm text-gray-600">
+                {assets.length === 0
+                  ? "No assets are assigned to this employee."
+                  : pendingCount > 0
+                    ? `${pendingCount} of ${assets.length} asset${assets.length === 1 ? "" : "s"} still to recover.`
+                    : isCleared
+                      ? "All assets recovered."
+                      : `${lostCount} asset${lostCount === 1 ? " was" : "s were"} not returned.`}
+              </p>
+
+              {/* Assets that may be the employee's but aren't linked, so aren't on the checklist */}
+              {unlinkedAssets.length > 0 && (
+                <div className="mb-6 p-4 bg-amber-50 border border-amber-300 rounded-lg flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div className="text-sm text-amber-800">
+                    <p className="font-medium">
+                      {unlinkedAssets.length} asset{unlinkedAssets.length === 1 ? " has" : "s have"} a user name
+                      matching {employee.name} but {unlinkedAssets.length === 1 ? "isn't" : "aren't"} linked to
+                      them, so {unlinkedAssets.length === 1 ? "it is" : "they are"} not on the checklist:
+                    </p>
+                    <p className="mt-1">
+                      {unlinkedAssets.map((asset, index) => (
+                        <span key={getAssetId(asset)}>
+                          {index > 0 && ", "}
+                          <Link to={`/assets/${getAssetId(asset)}`} className="text-amber-900 hover:underline">
+                            {asset.serialNumber}
+                          </Link>{" "}
+                          ({asset.userName})
+                        </span>
+                      ))}
+                    </p>
+                    <p className="mt-1 text-xs">
+                      {canLink ? (
+                        <>
+                          Link them if they are this employee's, or use the{" "}
+                          <Link to="/employees/match" className="text-amber-900 hover:underline">
+                            matching tool
+                          </Link>{" "}
+                          if they belong to someone else.
+                        </>
+                      ) : (
+                        "Ask an administrator to link them to the right employee."
+                      )}
+                    </p>
+                  </div>
+                  {canLink && (
+                    <button
+                      onClick={handleLinkUnlinked}
+                      disabled={isLinking || savingId !== null}
+                      className="px-4 py-2 text-sm font-medium bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors disabled:opacity-50 whitespace-nowrap"
+                    >
+                      {isLinking ? "Linking..." : `Link to ${employee.name}`}
+                    </button>
+                  )}
+                </div>
+              )}
+
+              <div className="bg-white rounded-xl shadow-lg overflow-hidden mb-8">
+                <div className="overflow-x-auto">
+                  <table className="w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">S.No</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Device</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Device Serial</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Condition</th>
+                        <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Notes</th>
+                        <th className="px-3 py-2.5 text-center text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {assets.length > 0 ? (
+                        assets.map((asset) => {
+                          const assetId = getAssetId(asset);
+                          const entry = getEntry(asset);
+                          const outcome = outcomes[assetId];
+                          return (
+                            <tr key={assetId} className={outcome ? "bg-gray-50" : "hover:bg-blue-50 transition-colors"}>
+                              <td className="px-3 py-2 text-xs font-medium whitespace-nowrap">
+                                <Link to={`/assets/${assetId}`} className="text-blue-700 hover:underline">
+                                  {asset.serialNumber}
+                                </Link>
+                              </td>
+                              <td className="px-3 py-2 text-xs text-gray-900 whitespace-nowrap">
+                                {[asset.brand, asset.device].filter(Boolean).join(" ")}
+                              </td>
+                              <td className="px-3 py-2 text-xs text-gray-600 whitespace-nowrap">{asset.deviceSerialNo || "-"}</td>
+                              {outcome ? (
+                                <>
+                                  <td
+                                    className={`px-3 py-2 text-xs font-medium whitespace-nowrap ${
+                                      outcome.outcome === OUTCOMES.LOST ? "text-red-600" : "text-green-700"
+                                    }`}
+                                  >
+                                    {getOutcomeLabel(asset)}
+                                  </td>
+                                  <td className="px-3 py-2 text-xs text-gray-600">{outcome.notes || "-"}</td>
+                                  <td className="px-3 py-2 text-center text-xs text-gray-500 whitespace-nowrap">Done</td>
+                                </>
+                              ) : (
+                                <>
+                                  <td className="px-3 py-2 whitespace-nowrap">
+                                    <select
+                                      value={entry.condition}
+                                      onChange={(e) => handleEntryChange(asset, "condition", e.target.value)}
+                                      className="px-2 py-1.5 text-xs bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+                                    >
+                                      {returnConditions.map((condition) => (
+                                        <option key={condition} value={condition}>
+                                          {condition}
+                                        </option>
+                                      ))}
+                                    </select>
+                                  </td>
+                                  <td className="px-3 py-2">
+                                    <input
+                                      type="text"
+                                      value={entry.notes}
+                                      onChange={(e) => handleEntryChange(asset, "notes", e.target.value)}
+                                      placeholder="e.g., Charger missing"
+                                      className="w-full min-w-[12rem] px-2 py-1.5 text-xs bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+                                    />
+                                  </td>
+                                  <td className="px-3 py-2 text-center whitespace-nowrap">
+                                    <button
+                                      onClick={() => handleReturned(asset)}
+                                      disabled={savingId !== null || !returnDate}
+                                      className="px-3 py-1 text-xs font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 mr-2"
+                                    >
+                                      {savingId === assetId ? "Saving..." : "Mark Returned"}
+                                    </button>
+                                    <button
+                                      onClick={() => handleLost(asset)}
+                                      disabled={savingId !== null}
+                                      className="px-3 py-1 text-xs font-medium bg-red-50 text-red-600 border border-red-200 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50"
+                                    >
+                                      Not Returned
+                                    </button>
+                                  </td>
+                                </>
+                              )}
+                            </tr>
+                          );
+                        })
+                      ) : (
+                        <tr>
+                          <td colSpan={6} className="px-3 py-8 text-center text-sm text-gray-500">
+                            Nothing to recover
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+
+            {/* Clearance Sheet - the only part of the page that prints */}
+            <div className="bg-white rounded-xl shadow-lg p-8 print:shadow-none print:rounded-none print:p-0">
+              <div className="flex items-start justify-between border-b border-gray-300 pb-4 mb-6">
+                <div>
+                  <h2 className="text-xl font-bold text-gray-900">IT Asset Clearance</h2>
+                  <p className="text-sm text-gray-600">OmTrans Logisitcs Ltd.</p>
+                </div>
+                <span
+                  className={`px-3 py-1 rounded text-sm font-semibold ${
+                    isCleared ? "bg-green-100 text-green-800" : "bg-amber-100 text-amber-800"
+                  }`}
+                >
+                  {isCleared ? "Cleared" : "Not Cleared"}
+                </span>
+              </div>
+
+              <dl className="grid grid-cols-2 sm:grid-cols-3 gap-x-6 gap-y-3 mb-6 text-sm">
+                {[
+                  ["Employee", employee.name],
+                  ["Employee ID", employee.employeeId],
+                  ["Email", employee.email],
+                  ["Branch", employee.branch],
+                  ["Department", employee.department],
+                  ["Return Date", formatDate(returnDate)],
+                ].map(([label, value]) => (
+                  <div key={label}>
+                    <dt className="text-xs font-medium text-gray-500 uppercase">{label}</dt>
+                    <dd className="text-gray-900">{value || "-"}</dd>
+                  </div>
+                ))}
+              </dl>
+
+              <table className="w-full border border-gray-300 text-sm mb-10">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="border border-gray-300 px-2 py-1.5 text-left text-xs font-semibold text-gray-600 uppercase">#</th>
+                    <th className="border border-gray-300 px-2 py-1.5 text-left text-xs font-semibold text-gray-600 uppercase">S.No</th>
+                    <th className="border border-gray-300 px-2 py-1.5 text-left text-xs font-semibold text-gray-600 uppercase">Device</th>
+                    <th className="border border-gray-300 px-2 py-1.5 text-left text-xs font-semibold text-gray-600 uppercase">Device Serial</th>
+                    <th className="border border-gray-300 px-2 py-1.5 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
+                    <th className="border border-gray-300 px-2 py-1.5 text-left text-xs font-semibold text-gray-600 uppercase">Notes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {assets.length > 0 ? (
+                    assets.map((asset, index) => (
+                      <tr key={getAssetId(asset)}>
+                        <td className="border border-gray-300 px-2 py-1.5">{index + 1}</td>
+                        <td className="border border-gray-300 px-2 py-1.5">{asset.serialNumber}</td>
+                        <td className="border border-gray-300 px-2 py-1.5">
+                          {[asset.brand, asset.device].filter(Boolean).join(" ")}
+                        </td>
+                        <td className="border border-gray-300 px-2 py-1.5">{asset.deviceSerialNo || "-"}</td>
+                        <td className="border border-gray-300 px-2 py-1.5">{getOutcomeLabel(asset)}</td>
+                        <td className="border border-gray-300 px-2 py-1.5">{outcomes[getAssetId(asset)]?.notes || ""}</td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan={6} className="border border-gray-300 px-2 py-3 text-center text-gray-500">
+                        No IT assets were assigned to this employee
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+
+              <div className="grid grid-cols-3 gap-8 text-sm text-gray-700">
+                {["Employee", "IT Department", "HR Department"].map((signatory) => (
+                  <div key={signatory}>
+                    <div className="border-b border-gray-400 h-12"></div>
+                    <p className="mt-1">{signatory}</p>
+                    <p className="text-xs text-gray-500">Signature &amp; Date</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default EmployeeOffboarding;
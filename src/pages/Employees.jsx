@@ -0,0 +1,410 @@
+import { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import Navbar from "../components/Navbar";
+import { useAuth } from "../context/AuthContext";
+import {
+  getAllEmployees,
+  createEmployee,
+  updateEmployee,
+  deleteEmployee,
+} from "../services/employeeService";
+import { countAssets } from "../services/assetService";
+import { getAllBranches } from "../services/branchService";
+import { getAllDepartments } from "../services/departmentService";
+import { branches as defaultBranches } from "../data/assets";
+import { extractEmployees, filterEmployees, getEmployeeKey } from "../utils/employees";
+import { extractDepartmentRecords, getBranchDepartments } from "../utils/orgStructure";
+import { PERMISSIONS, hasAllPermissions, hasPermission } from "../utils/permissions";
+
+const emptyForm = { employeeId: "", name: "", email: "", branch: "", department: "" };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Names from a branch API response (strings or { name } objects)
+const extractNames = (response) => {
+  const data = response?.data || response || [];
+  return Array.isArray(data)
+    ? data.map((item) => (typeof item === "string" ? item : item.name)).filter(Boolean)
+    : [];
+};
+
+const inputClass =
+  "px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white";
+
+const Employees = () => {
+  const { user } = useAuth();
+  const [employees, setEmployees] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [search, setSearch] = useState("");
+  const [form, setForm] = useState(emptyForm);
+  // Employee being edited in the form, or null when adding
+  const [editingKey, setEditingKey] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [branchOptions, setBranchOptions] = useState(defaultBranches);
+  const [departmentRecords, setDepartmentRecords] = useState([]);
+  // Number of assets linked to each employee (key -> count); employees with assets can't be deleted
+  const [assetCounts, setAssetCounts] = useState({});
+
+  const canManage = hasPermission(user, PERMISSIONS.EMPLOYEE_MANAGE);
+  const canMatch = hasAllPermissions(user, [PERMISSIONS.EMPLOYEE_MANAGE, PERMISSIONS.ASSET_EDIT_ANY]);
+
+  const fetchEmployees = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getAllEmployees();
+      const list = extractEmployees(response).sort((a, b) => a.name.localeCompare(b.name));
+      setEmployees(list);
+
+      // Asset counts load in the background so the table shows immediately
+      Promise.all(
+        list.map(async (employee) => [
+          getEmployeeKey(employee),
+          await countAssets({ employeeId: getEmployeeKey(employee) }),
+        ]),
+      ).then((entries) => setAssetCounts(Object.fromEntries(entries)));
+    } catch (err) {
+      console.error("Error fetching employees:", err);
+      setError("Failed to load employees. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEmployees();
+  }, [fetchEmployees]);
+
+  useEffect(() => {
+    if (!canManage) return;
+    getAllBranches().then((response) =>
+      setBranchOptions([...new Set([...defaultBranches, ...extractNames(response)])]),
+    );
+    getAllDepartments().then((response) => setDepartmentRecords(extractDepartmentRecords(response)));
+  }, [canManage]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  // Only departments that exist at the chosen branch (plus the employee's current one)
+  const branchDepartments = getBranchDepartments(departmentRecords, form.branch);
+  const departmentOptions =
+    form.department && !branchDepartments.includes(form.department)
+      ? [...branchDepartments, form.department]
+      : branchDepartments;
+
+  const handleFormChange = (name, value) => {
+    setForm((prev) => ({
+      ...prev,
+      [name]: value,
+      // Clear a department that doesn't exist at the newly selected branch
+      ...(name === "branch" &&
+        !getBranchDepartments(departmentRecords, value).includes(prev.department) && { department: "" }),
+    }));
+  };
+
+  const validateForm = (employee) => {
+    if (!employee.name) return "Employee name is required.";
+    if (employee.email && !EMAIL_PATTERN.test(employee.email)) return "Enter a valid email address.";
+    const others = employees.filter((existing) => getEmployeeKey(existing) !== editingKey);
+    if (employee.employeeId && others.some((existing) => existing.employeeId?.toLowerCase() === employee.employeeId.toLowerCase())) {
+      return `Employee ID ${employee.employeeId} is already in use.`;
+    }
+    if (employee.email && others.some((existing) => existing.email?.toLowerCase() === employee.email.toLowerCase())) {
+      return `${employee.email} already belongs to another employee.`;
+    }
+    return null;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const employee = Object.fromEntries(Object.entries(form).map(([key, value]) => [key, value.trim()]));
+    const validationError = validateForm(employee);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      if (editingKey) {
+        await updateEmployee(editingKey, employee);
+        showSuccess(`${employee.name} updated.`);
+      } else {
+        await createEmployee(employee);
+        showSuccess(`${employee.name} added.`);
+      }
+      setForm(emptyForm);
+      setEditingKey(null);
+      await fetchEmployees();
+    } catch (err) {
+      setError(err.message || "Failed to save employee. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleEdit = (employee) => {
+    setEditingKey(getEmployeeKey(employee));
+    setForm(Object.fromEntries(Object.keys(emptyForm).map((key) => [key, employee[key] || ""])));
+    setError(null);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingKey(null);
+    setForm(emptyForm);
+  };
+
+  const handleDelete = async (employee) => {
+    if (!window.confirm(`Remove ${employee.name} from the employee directory?`)) {
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setError(null);
+      await deleteEmployee(getEmployeeKey(employee));
+      showSuccess(`${employee.name} removed.`);
+      await fetchEmployees();
+    } catch (err) {
+      setError(err.message || "Failed to remove employee. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const visibleEmployees = filterEmployees(employees, search);
+  const columnCount = canManage ? 7 : 6;
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Success Message */}
+        {successMessage && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+            <span className="text-green-700 font-medium">{successMessage}</span>
+            <button
+              onClick={() => setSuccessMessage(null)}
+              className="text-green-500 hover:text-green-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
+            <span className="text-red-700">{error}</span>
+            <button
+              onClick={() => setError(null)}
+              className="text-red-500 hover:text-red-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Page Header */}
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Employees</h1>
+            <p className="text-gray-600 mt-1">
+              People assets are assigned to, with everything each of them holds
+            </p>
+          </div>
+          {canMatch && (
+            <Link
+              to="/employees/match"
+              className="px-4 py-2 text-sm font-medium bg-blue-50 text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-100 transition-colors text-center"
+            >
+              Match Existing User Names
+            </Link>
+          )}
+        </div>
+
+        {/* Add / Edit Employee */}
+        {canManage && (
+          <form
+            onSubmit={handleSubmit}
+            className="flex flex-wrap items-end gap-3 bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6"
+          >
+            <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+              Employee ID
+              <input
+                type="text"
+                value={form.employeeId}
+                onChange={(e) => handleFormChange("employeeId", e.target.value)}
+                placeholder="e.g., EMP0042"
+                className={`w-32 ${inputClass}`}
+              />
+            </label>
+            <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+              Name
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => handleFormChange("name", e.target.value)}
+                placeholder="e.g., Vikram Singh"
+                className={`w-48 ${inputClass}`}
+              />
+            </label>
+            <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+              Email
+              <input
+                type="email"
+                value={form.email}
+                onChange={(e) => handleFormChange("email", e.target.value)}
+                placeholder="e.g., vikram@omtrans.in"
+                className={`w-56 ${inputClass}`}
+              />
+            </label>
+            <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+              Branch
+              <select
+                value={form.branch}
+                onChange={(e) => handleFormChange("branch", e.target.value)}
+                className={`w-40 ${inputClass}`}
+              >
+                <option value="">Select branch</option>
+                {branchOptions.map((branch) => (
+                  <option key={branch} value={branch}>
+                    {branch}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+              Department
+              <select
+                value={form.department}
+                onChange={(e) => handleFormChange("department", e.target.value)}
+                className={`w-40 ${inputClass}`}
+              >
+                <option value="">Select department</option>
+                {departmentOptions.map((department) => (
+                  <option key={department} value={department}>
+                    {department}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {editingKey ? "Save Employee" : "Add Employee"}
+            </button>
+            {editingKey && (
+              <button
+                type="button"
+                onClick={handleCancelEdit}
+                className="px-4 py-2 text-sm font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+          </form>
+        )}
+
+        {/* Search */}
+        <div className="mb-4">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name, ID or email"
+            className={`w-full sm:w-80 ${inputClass}`}
+          />
+        </div>
+
+        {/* Directory */}
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Employee ID</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Name</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Email</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Branch</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Department</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Assets</th>
+                  {canManage && (
+                    <th className="px-3 py-2.5 text-center text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Actions</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan={columnCount} className="px-3 py-8 text-center">
+                      <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </td>
+                  </tr>
+                ) : visibleEmployees.length > 0 ? (
+                  visibleEmployees.map((employee) => {
+                    const key = getEmployeeKey(employee);
+                    const assetCount = assetCounts[key];
+                    const holdsAssets = assetCount > 0;
+                    return (
+                      <tr key={key} className={`hover:bg-blue-50 transition-colors ${editingKey === key ? "bg-blue-50" : ""}`}>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">{employee.employeeId || "-"}</td>
+                        <td className="px-3 py-2 text-sm font-medium whitespace-nowrap">
+                          <Link to={`/employees/${key}`} className="text-blue-700 hover:underline">
+                            {employee.name}
+                          </Link>
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">{employee.email || "-"}</td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">{employee.branch || "-"}</td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">{employee.department || "-"}</td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">{assetCount ?? "…"}</td>
+                        {canManage && (
+                          <td className="px-3 py-2 text-center whitespace-nowrap">
+                            <button
+                              onClick={() => handleEdit(employee)}
+                              disabled={isSaving}
+                              className="px-3 py-1 text-xs font-medium bg-blue-50 text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50 mr-2"
+                            >
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => handleDelete(employee)}
+                              disabled={isSaving || assetCount === undefined || holdsAssets}
+                              title={holdsAssets ? `${assetCount} asset${assetCount === 1 ? " is" : "s are"} still linked to this employee` : undefined}
+                              className="px-3 py-1 text-xs font-medium bg-red-50 text-red-600 border border-red-200 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              Delete
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })
+                ) : (
+                  <tr>
+                    <td colSpan={columnCount} className="px-3 py-8 text-center text-sm text-gray-500">
+                      {search.trim() ? `No employees match "${search.trim()}"` : "No employees in the directory yet"}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Employees;
@@ -1,5 +1,5 @@
 import { useState } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import { useNavigate, useLocation, Link } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { loginUser } from "../services/authService";
 import OmTransLogo from "../assets/OmTrans.png";
@@ -12,6 +12,14 @@ const Login = () => {
 
   const { login } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+
+  // Why the user was sent back here (expired token or inactivity), if at all
+  const logoutMessages = {
+    expired: "Your session has expired. Please sign in again.",
+    idle: "You were logged out due to inactivity. Please sign in again.",
+  };
+  const logoutMessage = !error && logoutMessages[location.state?.logoutReason];
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -68,6 +76,16 @@ const Login = () => {
             <div className="flex-1 bg-gray-400"></div>
           </div>
 
+          {/* Session Ended Message */}
+          {logoutMessage && (
+            <div className="mb-5 p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-center space-x-2">
+              <svg className="h-5 w-5 text-amber-500 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/>
+              </svg>
+              <span className="text-amber-700 text-sm">{logoutMessage}</span>
+            </div>
+          )}
+
           {/* Error Message */}
           {error && (
             <div className="mb-5 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center space-x-2">
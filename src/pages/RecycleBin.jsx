@@ -0,0 +1,360 @@
+import { useState, useEffect, useCallback } from "react";
+import Navbar from "../components/Navbar";
+import AuditErrorBanner from "../components/AuditErrorBanner";
+import { useAuth } from "../context/AuthContext";
+import { useAuditErrors } from "../hooks/useAuditErrors";
+import {
+  getRecycleBin,
+  restoreAsset,
+  purgeAsset,
+  getRecycleBinSettings,
+  updateRecycleBinSettings,
+} from "../services/assetService";
+import { AUDIT_ACTIONS, recordAssetChange } from "../services/auditService";
+import { formatDate, formatDateTime, formatUserRef } from "../utils/formatters";
+import { useDeviceTypes } from "../context/useDeviceTypes";
+import { useCompanies } from "../context/useCompanies";
+
+const PAGE_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest auto purge period that can be set (10 years)
+const MAX_AUTO_PURGE_DAYS = 3650;
+
+// Date an asset will be purged automatically (null if auto purge is off)
+const getPurgeDate = (asset, autoPurgeDays) => {
+  if (!autoPurgeDays || !asset.deletedAt) return null;
+  return new Date(new Date(asset.deletedAt).getTime() + autoPurgeDays * DAY_MS);
+};
+
+const RecycleBin = () => {
+  const { user } = useAuth();
+  const { getDeviceColor } = useDeviceTypes();
+  const { getCompanyColor } = useCompanies();
+  const [assets, setAssets] = useState([]);
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ totalPages: 1, totalItems: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { auditErrors, reportAuditError, clearAuditErrors } = useAuditErrors();
+  const [successMessage, setSuccessMessage] = useState(null);
+  // Id of the asset currently being restored/purged (disables its buttons)
+  const [busyAssetId, setBusyAssetId] = useState(null);
+  // Saved auto purge setting and the value being edited ("" = never)
+  const [autoPurgeDays, setAutoPurgeDays] = useState(null);
+  const [autoPurgeInput, setAutoPurgeInput] = useState("");
+  const [isSavingSettings, setIsSavingSettings] = useState(false);
+
+  const fetchBin = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getRecycleBin({ page, limit: PAGE_SIZE, search });
+      const assetData = response?.data?.assets || response?.data || response?.assets || [];
+      const binned = Array.isArray(assetData) ? assetData : [];
+      setAssets(binned);
+      setPagination({
+        totalPages: response?.data?.pagination?.totalPages || 1,
+        totalItems: response?.data?.pagination?.totalItems ?? binned.length,
+      });
+    } catch (err) {
+      console.error("Error fetching recycle bin:", err);
+      setError("Failed to load the recycle bin. Please try again.");
+      setAssets([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page, search]);
+
+  useEffect(() => {
+    fetchBin();
+  }, [fetchBin]);
+
+  useEffect(() => {
+    getRecycleBinSettings()
+      .then((response) => {
+        const days = response?.data?.autoPurgeDays ?? response?.autoPurgeDays ?? null;
+        setAutoPurgeDays(days || null);
+        setAutoPurgeInput(days ? String(days) : "");
+      })
+      .catch(() => setAutoPurgeDays(null));
+  }, []);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  const handleSearch = (e) => {
+    setSearch(e.target.value);
+    setPage(1);
+  };
+
+  const handleRestore = async (asset) => {
+    const assetId = asset._id || asset.id;
+    try {
+      setBusyAssetId(assetId);
+      setError(null);
+      await restoreAsset(assetId);
+      await recordAssetChange({ action: AUDIT_ACTIONS.RESTORE, actor: user?._id, after: asset }).catch(reportAuditError);
+      showSuccess(`${asset.serialNumber} restored.`);
+      await fetchBin();
+    } catch (err) {
+      setError(err.message || "Failed to restore asset. Please try again.");
+    } finally {
+      setBusyAssetId(null);
+    }
+  };
+
+  const handlePurge = async (asset) => {
+    if (
+      !window.confirm(
+        `Permanently delete ${asset.serialNumber}? This action cannot be undone.`,
+      )
+    ) {
+      return;
+    }
+    const assetId = asset._id || asset.id;
+    try {
+      setBusyAssetId(assetId);
+      setError(null);
+      await purgeAsset(assetId);
+      await recordAssetChange({ action: AUDIT_ACTIONS.PURGE, actor: user?._id, before: asset }).catch(reportAuditError);
+      showSuccess(`${asset.serialNumber} permanently deleted.`);
+      await fetchBin();
+    } catch (err) {
+      setError(err.message || "Failed to delete asset. Please try again.");
+    } finally {
+      setBusyAssetId(null);
+    }
+  };
+
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    const input = autoPurgeInput.trim();
+    const days = input ? Number(input) : null;
+    if (input && (!/^\d+$/.test(input) || days < 1 || days > MAX_AUTO_PURGE_DAYS)) {
+      setError(
+        `Auto purge must be a whole number of days from 1 to ${MAX_AUTO_PURGE_DAYS} (or empty to keep items forever).`,
+      );
+      return;
+    }
+    try {
+      setIsSavingSettings(true);
+      setError(null);
+      await updateRecycleBinSettings({ autoPurgeDays: days });
+      setAutoPurgeDays(days);
+      showSuccess(
+        days
+          ? `Deleted assets will be purged automatically after ${days} day${days === 1 ? "" : "s"}.`
+          : "Automatic purge turned off.",
+      );
+    } catch (err) {
+      setError(err.message || "Failed to save settings. Please try again.");
+    } finally {
+      setIsSavingSettings(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Success Message */}
+        {successMessage && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+            <span className="text-green-700 font-medium">{successMessage}</span>
+            <button
+              onClick={() => setSuccessMessage(null)}
+              className="text-green-500 hover:text-green-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        <AuditErrorBanner messages={auditErrors} onDismiss={clearAuditErrors} />
+
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
+            <span className="text-red-700">{error}</span>
+            <button
+              onClick={() => setError(null)}
+              className="text-red-500 hover:text-red-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Page Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Recycle Bin</h1>
+            <p className="text-gray-600 mt-1">
+              Restore deleted assets or remove them permanently
+            </p>
+          </div>
+          <input
+            type="text"
+            value={search}
+            onChange={handleSearch}
+            placeholder="Search deleted assets..."
+            className="mt-4 sm:mt-0 w-full sm:w-72 px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+
+        {/* Auto Purge Setting */}
+        <form
+          onSubmit={handleSaveSettings}
+          className="flex flex-wrap items-end gap-3 bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6"
+        >
+          <label className="flex flex-col text-xs font-medium text-gray-600 gap-1">
+            Purge automatically after (days)
+            <input
+              type="number"
+              min="1"
+              max={MAX_AUTO_PURGE_DAYS}
+              step="1"
+              value={autoPurgeInput}
+              onChange={(e) => setAutoPurgeInput(e.target.value)}
+              placeholder="Never"
+              className="w-40 px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 focus:bg-white"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={isSavingSettings}
+            className="px-4 py-2 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {isSavingSettings ? "Saving..." : "Save"}
+          </button>
+          <p className="text-xs text-gray-500 pb-2">
+            {autoPurgeDays
+              ? `Assets are permanently deleted ${autoPurgeDays} day${autoPurgeDays === 1 ? "" : "s"} after they were moved to the bin.`
+              : "Deleted assets stay in the bin until purged manually."}
+          </p>
+        </form>
+
+        {/* Binned Assets */}
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">S.No</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Device</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Company</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">User</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Deleted By</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Deleted On</th>
+                  <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Purge On</th>
+                  <th className="px-3 py-2.5 text-center text-xs font-semibold text-gray-600 uppercase whitespace-nowrap">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan={8} className="px-3 py-8 text-center">
+                      <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </td>
+                  </tr>
+                ) : assets.length > 0 ? (
+                  assets.map((asset) => {
+                    const assetId = asset._id || asset.id;
+                    const purgeDate = getPurgeDate(asset, autoPurgeDays);
+                    return (
+                      <tr key={assetId} className="hover:bg-blue-50 transition-colors">
+                        <td className="px-3 py-2 text-sm font-medium text-gray-900 whitespace-nowrap">
+                          {asset.serialNumber}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getDeviceColor(asset.device)}`}>
+                            {asset.device}
+                          </span>
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getCompanyColor(asset.companyName)}`}>
+                            {asset.companyName}
+                          </span>
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-600">{asset.userName || "-"}</td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">
+                          {formatUserRef(asset.deletedBy)}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">
+                          {formatDateTime(asset.deletedAt)}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">
+                          {purgeDate ? formatDate(purgeDate) : "Never"}
+                        </td>
+                        <td className="px-3 py-2 text-center whitespace-nowrap">
+                          <button
+                            onClick={() => handleRestore(asset)}
+                            disabled={busyAssetId === assetId}
+                            className="px-3 py-1 text-xs font-medium bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50 mr-2"
+                          >
+                            Restore
+                          </button>
+                          <button
+                            onClick={() => handlePurge(asset)}
+                            disabled={busyAssetId === assetId}
+                            className="px-3 py-1 text-xs font-medium bg-red-50 text-red-600 border border-red-200 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50"
+                          >
+                            Delete Forever
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })
+                ) : (
+                  <tr>
+                    <td colSpan={8} className="px-3 py-8 text-center text-sm text-gray-500">
+                      {search ? "No deleted assets match your search" : "The recycle bin is empty"}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="px-4 py-3 bg-gray-50 border-t border-gray-200 flex items-center justify-between">
+            <p className="text-sm text-gray-600">
+              <span className="font-medium text-gray-900">{pagination.totalItems}</span> deleted assets
+              {pagination.totalPages > 1 && (
+                <span className="text-gray-500"> (Page {page} of {pagination.totalPages})</span>
+              )}
+            </p>
+            {pagination.totalPages > 1 && (
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => setPage((p) => p - 1)}
+                  disabled={page <= 1 || isLoading}
+                  className="px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage((p) => p + 1)}
+                  disabled={page >= pagination.totalPages || isLoading}
+                  className="px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default RecycleBin;
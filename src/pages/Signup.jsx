@@ -7,7 +7,6 @@ const Signup = () => {
   const [formData, setFormData] = useState({
     username: "",
     name: "",
-    role: "user",
     password: "",
     confirmPassword: "",
   });
@@ -41,17 +40,20 @@ const Signup = () => {
     setIsLoading(true);
 
     try {
+      // Role is never sent - new accounts are created as pending "user"
+      // accounts and an admin assigns the role when approving them
       await signupUser({
         username: formData.username,
         name: formData.name,
-        role: formData.role,
         password: formData.password,
       });
 
-      setSuccess("Account created successfully! Redirecting to login...");
+      setSuccess(
+        "Account created! An administrator must approve it before you can sign in. Redirecting to login...",
+      );
       setTimeout(() => {
         navigate("/login");
-      }, 2000);
+      }, 4000);
     } catch (err) {
       setError(err.message || "Failed to create account. Please try again.");
     } finally {
@@ -143,23 +145,6 @@ const Signup = () => {
               />
             </div>
 
-            {/* Role Field */}
-            <div>
-              <label htmlFor="role" className="block text-sm font-medium text-gray-700 mb-1">
-                Role
-              </label>
-              <select
-                id="role"
-                name="role"
-                value={formData.role}
-                onChange={handleChange}
-                className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all text-gray-900 bg-white"
-              >
-                <option value="user">User</option>
-                <option value="admin">Admin</option>
-              </select>
-            </div>
-
             {/* Password Field */}
             <div>
               <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
@@ -0,0 +1,394 @@
+import { useState, useEffect, useCallback } from "react";
+import Navbar from "../components/Navbar";
+import { useAuth } from "../context/AuthContext";
+import {
+  getUsers,
+  approveUser,
+  rejectUser,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+} from "../services/authService";
+import { countAssets } from "../services/assetService";
+import { ROLES, ROLE_LABELS, USER_STATUS } from "../utils/permissions";
+import { formatDate, formatDateTime } from "../utils/formatters";
+
+const statusStyles = {
+  [USER_STATUS.ACTIVE]: "bg-emerald-100 text-emerald-700",
+  [USER_STATUS.INACTIVE]: "bg-gray-200 text-gray-600",
+};
+
+const UserManagement = () => {
+  const { user } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  // Role chosen for each pending account before approval (id -> role)
+  const [pendingRoles, setPendingRoles] = useState({});
+  // Id of the account currently being updated (disables its buttons)
+  const [busyUserId, setBusyUserId] = useState(null);
+  // Number of assets each user created (id -> count), via the createdBy filter
+  const [assetCounts, setAssetCounts] = useState({});
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getUsers();
+      const userData = response?.data?.users || response?.data || response?.users || [];
+      const userList = Array.isArray(userData) ? userData : [];
+      setUsers(userList);
+
+      // Asset counts load in the background so the table shows immediately
+      Promise.all(
+        userList.map(async (account) => [account._id, await countAssets({ createdBy: account._id })]),
+      ).then((entries) => setAssetCounts(Object.fromEntries(entries)));
+    } catch (err) {
+      console.error("Error fetching users:", err);
+      setError("Failed to load users. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  const pendingUsers = users.filter((u) => u.status === USER_STATUS.PENDING);
+  const activeUsers = users.filter((u) => u.status !== USER_STATUS.PENDING);
+
+  const handleApprove = async (account) => {
+    const role = pendingRoles[account._id] || ROLES.USER;
+    try {
+      setBusyUserId(account._id);
+      setError(null);
+      await approveUser(account._id, role);
+      showSuccess(`${account.name || account.username} approved as ${ROLE_LABELS[role]}.`);
+      await fetchUsers();
+    } catch (err) {
+      setError(err.message || "Failed to approve user. Please try again.");
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleReject = async (account) => {
+    if (!window.confirm(`Reject the signup request from ${account.username}?`)) return;
+    try {
+      setBusyUserId(account._id);
+      setError(null);
+      await rejectUser(account._id);
+      showSuccess(`Signup request from ${account.username} rejected.`);
+      await fetchUsers();
+    } catch (err) {
+      setError(err.message || "Failed to reject user. Please try again.");
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleRoleChange = async (account, role) => {
+    try {
+      setBusyUserId(account._id);
+      setError(null);
+      await updateUserRole(account._id, role);
+      setUsers((prev) => prev.map((u) => (u._id === account._id ? { ...u, role } : u)));
+      showSuccess(`${account.name || account.username} is now ${ROLE_LABELS[role]}.`);
+    } catch (err) {
+      setError(err.message || "Failed to update role. Please try again.");
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleToggleStatus = async (account) => {
+    const isActive = account.status !== USER_STATUS.INACTIVE;
+    const status = isActive ? USER_STATUS.INACTIVE : USER_STATUS.ACTIVE;
+    if (
+      isActive &&
+      !window.confirm(`Deactivate ${account.username}? They will no longer be able to sign in.`)
+    ) {
+      return;
+    }
+    try {
+      setBusyUserId(account._id);
+      setError(null);
+      await updateUserStatus(account._id, status);
+      setUsers((prev) => prev.map((u) => (u._id === account._id ? { ...u, status } : u)));
+      showSuccess(
+        `${account.name || account.username} ${isActive ? "deactivated" : "reactivated"}.`,
+      );
+    } catch (err) {
+      setError(err.message || "Failed to update account status. Please try again.");
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleForcePasswordReset = async (account) => {
+    if (!window.confirm(`Force ${account.username} to set a new password at next login?`)) return;
+    try {
+      setBusyUserId(account._id);
+      setError(null);
+      const response = await forcePasswordReset(account._id);
+      const temporaryPassword = response?.data?.temporaryPassword;
+      if (temporaryPassword) {
+        // Keep the temporary password on screen until the admin dismisses it
+        setSuccessMessage(
+          `Password reset for ${account.username}. Temporary password: ${temporaryPassword}`,
+        );
+      } else {
+        showSuccess(`${account.username} will be asked to set a new password at next login.`);
+      }
+    } catch (err) {
+      setError(err.message || "Failed to reset password. Please try again.");
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const roleOptions = Object.values(ROLES).map((role) => (
+    <option key={role} value={role}>
+      {ROLE_LABELS[role]}
+    </option>
+  ));
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Success Message */}
+        {successMessage && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+            <span className="text-green-700 font-medium">{successMessage}</span>
+            <button
+              onClick={() => setSuccessMessage(null)}
+              className="text-green-500 hover:text-green-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
+            <span className="text-red-700">{error}</span>
+            <button
+              onClick={() => setError(null)}
+              className="text-red-500 hover:text-red-700"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Page Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">User Management</h1>
+            <p className="text-gray-600 mt-1">
+              Approve signup requests and manage user accounts
+            </p>
+          </div>
+          <button
+            onClick={fetchUsers}
+            disabled={isLoading}
+            className="inline-flex items-center px-4 py-2.5 mt-4 sm:mt-0 bg-gray-100 text-gray-700 font-medium rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 transition-colors border border-gray-300"
+            title="Refresh users"
+          >
+            <svg
+              className={`h-5 w-5 ${isLoading ? "animate-spin" : ""}`}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+            </svg>
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <>
+            {/* Pending Approvals */}
+            <div className="bg-white rounded-xl shadow-lg overflow-hidden mb-8">
+              <div className="px-4 py-3 border-b border-gray-200 bg-amber-50 flex items-center justify-between">
+                <h2 className="text-sm font-semibold text-amber-800 uppercase">
+                  Pending Approval
+                </h2>
+                <span className="px-2 py-0.5 text-xs font-bold rounded-full bg-amber-200 text-amber-800">
+                  {pendingUsers.length}
+                </span>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">Name</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">Username</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">Requested</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">Role</th>
+                      <th className="px-3 py-2.5 text-center text-xs font-semibold text-gray-600 uppercase">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {pendingUsers.length > 0 ? (
+                      pendingUsers.map((account) => (
+                        <tr key={account._id} className="hover:bg-blue-50 transition-colors">
+                          <td className="px-3 py-2 text-sm text-gray-900">{account.name}</td>
+                          <td className="px-3 py-2 text-sm text-gray-600">{account.username}</td>
+                          <td className="px-3 py-2 text-sm text-gray-600">{formatDate(account.createdAt)}</td>
+                          <td className="px-3 py-2">
+                            <select
+                              value={pendingRoles[account._id] || ROLES.USER}
+                              onChange={(e) =>
+                                setPendingRoles((prev) => ({ ...prev, [account._id]: e.target.value }))
+                              }
+                              className="px-2 py-1 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            >
+                              {roleOptions}
+                            </select>
+                          </td>
+                          <td className="px-3 py-2 text-center whitespace-nowrap">
+                            <button
+                              onClick={() => handleApprove(account)}
+                              disabled={busyUserId === account._id}
+                              className="px-3 py-1 text-xs font-medium bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50 mr-2"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => handleReject(account)}
+                              disabled={busyUserId === account._id}
+                              className="px-3 py-1 text-xs font-medium bg-red-50 text-red-600 border border-red-200 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50"
+                            >
+                              Reject
+                            </button>
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan={5} className="px-3 py-6 text-center text-sm text-gray-500">
+                          No signup requests waiting for approval
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Users */}
+            <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+              <div className="px-4 py-3 border-b border-gray-200 bg-gray-50">
+                <h2 className="text-sm font-semibold text-gray-700 uppercase">Users</h2>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">Name</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">Username</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">Role</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
+                      <th className="px-3 py-2.5 text-left text-xs font-semibold text-gray-600 uppercase">Last Login</th>
+                      <th className="px-3 py-2.5 text-right text-xs font-semibold text-gray-600 uppercase">Assets</th>
+                      <th className="px-3 py-2.5 text-center text-xs font-semibold text-gray-600 uppercase">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {activeUsers.length > 0 ? (
+                      activeUsers.map((account) => (
+                        <tr key={account._id} className="hover:bg-blue-50 transition-colors">
+                          <td className="px-3 py-2 text-sm text-gray-900">{account.name}</td>
+                          <td className="px-3 py-2 text-sm text-gray-600">{account.username}</td>
+                          <td className="px-3 py-2">
+                            {/* Admins can't change their own role (avoids locking everyone out) */}
+                            <select
+                              value={account.role || ROLES.USER}
+                              onChange={(e) => handleRoleChange(account, e.target.value)}
+                              disabled={busyUserId === account._id || account._id === user?._id}
+                              className="px-2 py-1 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
+                            >
+                              {roleOptions}
+                            </select>
+                          </td>
+                          <td className="px-3 py-2">
+                            <span
+                              className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                                statusStyles[account.status] || statusStyles[USER_STATUS.ACTIVE]
+                              }`}
+                            >
+                              {account.status === USER_STATUS.INACTIVE ? "Inactive" : "Active"}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2 text-sm text-gray-600 whitespace-nowrap">
+                            {formatDateTime(account.lastLogin, "Never")}
+                          </td>
+                          <td className="px-3 py-2 text-sm text-gray-900 text-right font-medium">
+                            {assetCounts[account._id] ?? "…"}
+                          </td>
+                          <td className="px-3 py-2 text-center whitespace-nowrap">
+                            {account._id === user?._id ? (
+                              <span className="text-xs text-gray-400">(you)</span>
+                            ) : (
+                              <>
+                                <button
+                                  onClick={() => handleToggleStatus(account)}
+                                  disabled={busyUserId === account._id}
+                                  className={`px-3 py-1 text-xs font-medium rounded-lg border transition-colors disabled:opacity-50 mr-2 ${
+                                    account.status === USER_STATUS.INACTIVE
+                                      ? "bg-emerald-50 text-emerald-700 border-emerald-200 hover:bg-emerald-100"
+                                      : "bg-red-50 text-red-600 border-red-200 hover:bg-red-100"
+                                  }`}
+                                >
+                                  {account.status === USER_STATUS.INACTIVE ? "Activate" : "Deactivate"}
+                                </button>
+                                <button
+                                  onClick={() => handleForcePasswordReset(account)}
+                                  disabled={busyUserId === account._id}
+                                  className="px-3 py-1 text-xs font-medium bg-gray-50 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50"
+                                >
+                                  Reset Password
+                                </button>
+                              </>
+                            )}
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan={7} className="px-3 py-6 text-center text-sm text-gray-500">
+                          No users found
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default UserManagement;
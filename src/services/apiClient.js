@@ -0,0 +1,104 @@
+import { getStoredToken } from "./authStorage";
+
+// Base URL for the backend API. Set VITE_API_BASE_URL in a Vite env file
+// (.env.local, .env.staging, ...) to point at staging or a local mock backend.
+export const API_BASE_URL = (
+  import.meta.env.VITE_API_BASE_URL || "https://it-assets-backend.onrender.com/api/v1"
+).replace(/\/+$/, "");
+
+// Called when an authenticated request comes back 401 (registered by AuthProvider)
+let unauthorizedHandler = null;
+
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Build a full URL from an API path and query params (empty values are skipped)
+export const buildUrl = (path, params = {}, cacheBust = false) => {
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === "") return;
+    searchParams.append(key, String(value));
+  });
+  // Cache-busting timestamp so browsers and proxies never serve stale lists
+  if (cacheBust) {
+    searchParams.append("_t", Date.now().toString());
+  }
+  const query = searchParams.toString();
+  return `${API_BASE_URL}${path}${query ? `?${query}` : ""}`;
+};
+
+// Parse a response body as JSON (empty body => {}, plain text => { message })
+const parseBody = async (response) => {
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { message: text };
+  }
+};
+
+// Normalize a failed response into an Error carrying status and backend payload
+const createHttpError = (status, data, fallbackMessage) => {
+  const message =
+    data?.message || data?.error || fallbackMessage || `HTTP error! status: ${status}`;
+  const error = new Error(message);
+  error.status = status;
+  error.data = data;
+  return error;
+};
+
+// Send a request to the backend and return the parsed response
+// options: method, params, body (object or FormData), headers, cacheBust,
+// responseType ("json" | "blob"), errorMessage (fallback when backend sends none),
+// auth (default true - send the bearer token and treat 401 as an expired session)
+export const request = async (path, options = {}) => {
+  const {
+    method = "GET",
+    params = {},
+    body,
+    headers = {},
+    cacheBust = false,
+    responseType = "json",
+    errorMessage,
+    auth = true,
+  } = options;
+
+  const init = { method, headers: { ...headers } };
+  const token = auth ? getStoredToken() : null;
+  if (token) {
+    init.headers.Authorization = `Bearer ${token}`;
+  }
+  if (body instanceof FormData) {
+    // Don't set Content-Type - browser adds it with the multipart boundary
+    init.body = body;
+  } else if (body !== undefined) {
+    init.headers["Content-Type"] = "application/json";
+    init.body = JSON.stringify(body);
+  }
+
+  const response = await fetch(buildUrl(path, params, cacheBust), init);
+
+  if (!response.ok) {
+    const data = await parseBody(response).catch(() => ({}));
+    if (response.status === 401 && token && unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+    throw createHttpError(response.status, data, errorMessage);
+  }
+
+  if (responseType === "blob") {
+    return response.blob();
+  }
+  return parseBody(response);
+};
+
+// Shorthand helpers
+export const apiClient = {
+  get: (path, options = {}) => request(path, { ...options, method: "GET" }),
+  post: (path, body, options = {}) => request(path, { ...options, method: "POST", body }),
+  put: (path, body, options = {}) => request(path, { ...options, method: "PUT", body }),
+  patch: (path, body, options = {}) => request(path, { ...options, method: "PATCH", body }),
+  delete: (path, options = {}) => request(path, { ...options, method: "DELETE" }),
+};
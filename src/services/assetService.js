@@ -1,6 +1,19 @@
-const API_BASE_URL = "https://it-assets-backend.onrender.com/api/v1/assets";
+import { apiClient } from "./apiClient";
+import { assetStatuses, getAssetStatus, inferredStatuses } from "../utils/assetStatus";
+
+const ASSETS_PATH = "/assets";
+const RECYCLE_BIN_PATH = `${ASSETS_PATH}/recycle-bin`;
+
+// Most assets a single export returns
+export const EXPORT_LIMIT = 10000;
+
+// Most assets fetched to be tallied by the count functions
+const COUNT_LIMIT = 10000;
 
 // Get all assets with pagination, search, and filter support
+// Assets in the recycle bin are excluded
+// The status filter follows getAssetStatus: for an inferred status the server is asked (inferStatus)
+// to also match assets without a stored status by the status they are inferred to have
 export const getAllAssets = async (options = {}) => {
   try {
     const {
@@ -14,46 +27,30 @@ export const getAllAssets = async (options = {}) => {
       branch = "",
       department = "",
       status = "",
+      employeeId = "",
       createdBy = ""
     } = options;
 
-    const params = new URLSearchParams({
-      page: page.toString(),
-      limit: limit.toString(),
-      sortBy,
-      order,
-      _t: Date.now().toString()
+    // Empty filter values are skipped by the client
+    return await apiClient.get(ASSETS_PATH, {
+      params: {
+        page,
+        limit,
+        sortBy,
+        order,
+        search: search ? search.trim() : "",
+        companyName,
+        device,
+        branch,
+        department,
+        status,
+        inferStatus: inferredStatuses.includes(status) || "",
+        employeeId,
+        createdBy,
+        deleted: false
+      },
+      cacheBust: true
     });
-
-    // Add optional filter parameters
-    if (search && search.trim()) {
-      params.append("search", search.trim());
-    }
-    if (companyName) {
-      params.append("companyName", companyName);
-    }
-    if (device) {
-      params.append("device", device);
-    }
-    if (branch) {
-      params.append("branch", branch);
-    }
-    if (department) {
-      params.append("department", department);
-    }
-    if (status) {
-      params.append("status", status);
-    }
-    if (createdBy) {
-      params.append("createdBy", createdBy);
-    }
-
-    const response = await fetch(`${API_BASE_URL}?${params}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
   } catch (error) {
     console.error("Error fetching assets:", error);
     throw error;
@@ -63,65 +60,87 @@ export const getAllAssets = async (options = {}) => {
 // Get filter options from backend
 export const getFilterOptions = async () => {
   try {
-    const response = await fetch(`${API_BASE_URL}/filters?_t=${Date.now()}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
+    return await apiClient.get(`${ASSETS_PATH}/filters`, { cacheBust: true });
   } catch (error) {
     console.error("Error fetching filter options:", error);
     throw error;
   }
 };
 
-// Get asset counts (total and by device type) with optional company and createdBy filter
-export const getAssetCounts = async (companyName = "", createdBy = "") => {
+// Count assets matching the given filters (0 if the request fails)
+// Binned assets are never counted
+export const countAssets = async (filters = {}) => {
   try {
-    const baseParams = {
-      page: 1,
-      limit: 1,
-      sortBy: "createdAt",
-      order: "desc"
-    };
-
-    // Build query params for each count request
-    const buildParams = (device = "") => {
-      const params = new URLSearchParams({
-        ...baseParams,
-        _t: Date.now().toString()
-      });
-      if (companyName) params.append("companyName", companyName);
-      if (device) params.append("device", device);
-      if (createdBy) params.append("createdBy", createdBy);
-      return params;
-    };
-
-    // Fetch all counts in parallel
-    const [totalRes, laptopRes, desktopRes, printerRes] = await Promise.all([
-      fetch(`${API_BASE_URL}?${buildParams()}`),
-      fetch(`${API_BASE_URL}?${buildParams("Laptop")}`),
-      fetch(`${API_BASE_URL}?${buildParams("Desktop")}`),
-      fetch(`${API_BASE_URL}?${buildParams("Printer")}`)
-    ]);
+    const data = await apiClient.get(ASSETS_PATH, {
+      params: {
+        page: 1,
+        limit: 1,
+        sortBy: "createdAt",
+        order: "desc",
+        ...filters,
+        deleted: false
+      },
+      cacheBust: true
+    });
+    return data?.data?.pagination?.totalItems || 0;
+  } catch {
+    return 0;
+  }
+};
 
-    const extractCount = async (response) => {
-      if (!response.ok) return 0;
-      const data = await response.json();
-      return data?.data?.pagination?.totalItems || 0;
-    };
+// Count assets per value of a field (e.g. branch name -> count) with a single request
+// field is an asset field name, or a function giving the value an asset is counted under
+// Binned assets are never counted
+export const countAssetsByField = async (field, filters = {}) => {
+  try {
+    const response = await getAllAssets({ ...filters, page: 1, limit: COUNT_LIMIT });
+    const counts = {};
+    (response?.data?.assets || []).forEach((asset) => {
+      const value = (typeof field === "function" ? field(asset) : asset[field]) || "";
+      counts[value] = (counts[value] || 0) + 1;
+    });
+    return counts;
+  } catch (error) {
+    console.error("Error counting assets:", error);
+    throw error;
+  }
+};
 
-    const [total, laptops, desktops, printers] = await Promise.all([
-      extractCount(totalRes),
-      extractCount(laptopRes),
-      extractCount(desktopRes),
-      extractCount(printerRes)
-    ]);
+// Get asset counts (total, by device type and by status) with optional company and createdBy filter
+// One request - the matching assets are tallied here, so assets without a stored status count
+// under the status getAssetStatus gives them
+// Assets in the recycle bin are not included
+// deviceTypes is the list of device type names from the catalogue
+export const getAssetCounts = async (companyName = "", createdBy = "", deviceTypes = []) => {
+  try {
+    const response = await getAllAssets({ page: 1, limit: COUNT_LIMIT, companyName, createdBy });
+    const assets = response?.data?.assets || [];
+    const byDevice = Object.fromEntries(deviceTypes.map((device) => [device, 0]));
+    const byStatus = Object.fromEntries(assetStatuses.map((status) => [status, 0]));
+    assets.forEach((asset) => {
+      if (asset.device in byDevice) byDevice[asset.device] += 1;
+      const status = getAssetStatus(asset);
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    });
 
-    return { total, laptops, desktops, printers };
+    return { total: response?.data?.pagination?.totalItems ?? assets.length, byDevice, byStatus };
   } catch (error) {
     console.error("Error fetching asset counts:", error);
-    return { total: 0, laptops: 0, desktops: 0, printers: 0 };
+    return { total: 0, byDevice: {}, byStatus: {} };
+  }
+};
+
+// Get assets whose warranty or AMC expires within the next `days` days
+export const getExpiringAssets = async (options = {}) => {
+  try {
+    const { days = 90, companyName = "", createdBy = "" } = options;
+    return await apiClient.get(`${ASSETS_PATH}/expiring`, {
+      params: { days, companyName, createdBy, deleted: false },
+      cacheBust: true
+    });
+  } catch (error) {
+    console.error("Error fetching expiring assets:", error);
+    throw error;
   }
 };
 
@@ -132,25 +151,11 @@ export const uploadExcel = async (file, createdBy) => {
     formData.append("file", file);
     formData.append("createdBy", createdBy);
 
-    console.log("Uploading to:", `${API_BASE_URL}/upload-excel`);
-    console.log("File:", file.name, "Size:", file.size, "Type:", file.type);
+    console.log("Uploading file:", file.name, "Size:", file.size, "Type:", file.type);
     console.log("CreatedBy:", createdBy);
 
-    const response = await fetch(`${API_BASE_URL}/upload-excel`, {
-      method: "POST",
-      body: formData,
-      // Note: Don't set Content-Type header - browser will set it with boundary for multipart/form-data
-    });
-
-    const responseData = await response.json().catch(() => ({}));
-    console.log("Backend response:", response.status, responseData);
-
-    if (!response.ok) {
-      // Show detailed error from backend
-      const errorMsg = responseData.message || responseData.error || `HTTP error! status: ${response.status}`;
-      console.error("Backend error details:", responseData);
-      throw new Error(errorMsg);
-    }
+    const responseData = await apiClient.post(`${ASSETS_PATH}/upload-excel`, formData);
+    console.log("Backend response:", responseData);
 
     return responseData;
   } catch (error) {
@@ -159,21 +164,37 @@ export const uploadExcel = async (file, createdBy) => {
   }
 };
 
-// Export assets to Excel (server-side)
+// Export assets (server-side) - every filter, the date range included, is applied by the server
+// filters: companyName, branch, department, device, status, search, createdBy, dateField, from, to (YYYY-MM-DD)
+// Returns { assets, total, isTruncated } - isTruncated when more than EXPORT_LIMIT assets match
 export const exportAssets = async (filters = {}) => {
   try {
-    const params = new URLSearchParams();
-    if (filters.companyName) params.append("companyName", filters.companyName);
-    if (filters.device) params.append("device", filters.device);
-    if (filters.search) params.append("search", filters.search);
-
-    const response = await fetch(`${API_BASE_URL}/export?${params}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const blob = await response.blob();
-    return blob;
+    const { status = "", dateField = "", from = "", to = "", ...otherFilters } = filters;
+    const response = await apiClient.get(`${ASSETS_PATH}/export`, {
+      params: {
+        companyName: otherFilters.companyName,
+        branch: otherFilters.branch,
+        department: otherFilters.department,
+        device: otherFilters.device,
+        search: otherFilters.search,
+        createdBy: otherFilters.createdBy,
+        status,
+        inferStatus: inferredStatuses.includes(status) || "",
+        dateField: from || to ? dateField : "",
+        from,
+        to,
+        limit: EXPORT_LIMIT,
+        deleted: false
+      },
+      cacheBust: true
+    });
+    const assets = response?.data?.assets || [];
+    const total = response?.data?.total ?? response?.data?.pagination?.totalItems ?? assets.length;
+    return {
+      assets,
+      total,
+      isTruncated: total > assets.length
+    };
   } catch (error) {
     console.error("Error exporting assets:", error);
     throw error;
@@ -183,18 +204,56 @@ export const exportAssets = async (filters = {}) => {
 // Get single asset by ID (with cache-busting timestamp)
 export const getAssetById = async (id) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/${id}?_t=${Date.now()}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
+    return await apiClient.get(`${ASSETS_PATH}/${id}`, { cacheBust: true });
   } catch (error) {
     console.error("Error fetching asset:", error);
     throw error;
   }
 };
 
+// Get the custody chain of an asset (every check-out and check-in, oldest first)
+export const getAssetCustody = async (id) => {
+  try {
+    return await apiClient.get(`${ASSETS_PATH}/${id}/custody`, { cacheBust: true });
+  } catch (error) {
+    console.error("Error fetching asset custody:", error);
+    throw error;
+  }
+};
+
+// Hand an asset over to an employee
+// details: assignee, branch, department, handoverDate, conditionNotes, performedBy
+export const checkOutAsset = async (id, details) => {
+  try {
+    return await apiClient.post(`${ASSETS_PATH}/${id}/check-out`, details);
+  } catch (error) {
+    console.error("Error checking out asset:", error);
+    throw error;
+  }
+};
+
+// Take an asset back from its current holder
+// details: returnDate, conditionNotes, performedBy
+export const checkInAsset = async (id, details) => {
+  try {
+    return await apiClient.post(`${ASSETS_PATH}/${id}/check-in`, details);
+  } catch (error) {
+    console.error("Error checking in asset:", error);
+    throw error;
+  }
+};
+
+// Move an asset to a new lifecycle status
+// details: status, reason, performedBy (the backend rejects transitions that aren't allowed)
+export const changeAssetStatus = async (id, details) => {
+  try {
+    return await apiClient.patch(`${ASSETS_PATH}/${id}/status`, details);
+  } catch (error) {
+    console.error("Error changing asset status:", error);
+    throw error;
+  }
+};
+
 // Create new asset (serialNumber is auto-generated by backend)
 export const createAsset = async (assetData) => {
   try {
@@ -204,19 +263,7 @@ export const createAsset = async (assetData) => {
     
     console.log("Creating asset with data:", dataToSend);
     
-    const response = await fetch(API_BASE_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(dataToSend),
-    });
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error("Backend error:", errorData);
-      throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await apiClient.post(ASSETS_PATH, dataToSend);
     console.log("Asset created:", data);
     return data;
   } catch (error) {
@@ -228,58 +275,81 @@ export const createAsset = async (assetData) => {
 // Update asset
 export const updateAsset = async (id, assetData) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/${id}`, {
-      method: "PUT",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(assetData),
-    });
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
+    return await apiClient.put(`${ASSETS_PATH}/${id}`, assetData);
   } catch (error) {
     console.error("Error updating asset:", error);
     throw error;
   }
 };
 
-// Delete asset
+// Delete asset (moves it to the recycle bin - it can be restored until purged)
 export const deleteAsset = async (id) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/${id}`, {
-      method: "DELETE"
-    });
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
+    return await apiClient.delete(`${ASSETS_PATH}/${id}`);
   } catch (error) {
     console.error("Error deleting asset:", error);
     throw error;
   }
 };
 
+// Get assets in the recycle bin (most recently deleted first)
+export const getRecycleBin = async (options = {}) => {
+  try {
+    const { page = 1, limit = 20, search = "" } = options;
+    return await apiClient.get(RECYCLE_BIN_PATH, {
+      params: { page, limit, search: search ? search.trim() : "" },
+      cacheBust: true
+    });
+  } catch (error) {
+    console.error("Error fetching recycle bin:", error);
+    throw error;
+  }
+};
+
+// Restore an asset from the recycle bin
+export const restoreAsset = async (id) => {
+  try {
+    return await apiClient.post(`${RECYCLE_BIN_PATH}/${id}/restore`);
+  } catch (error) {
+    console.error("Error restoring asset:", error);
+    throw error;
+  }
+};
+
+// Permanently delete an asset that is in the recycle bin
+export const purgeAsset = async (id) => {
+  try {
+    return await apiClient.delete(`${RECYCLE_BIN_PATH}/${id}`);
+  } catch (error) {
+    console.error("Error purging asset:", error);
+    throw error;
+  }
+};
+
+// Recycle bin settings: { autoPurgeDays } (null/0 = never purge automatically)
+export const getRecycleBinSettings = async () => {
+  try {
+    return await apiClient.get(`${RECYCLE_BIN_PATH}/settings`, { cacheBust: true });
+  } catch (error) {
+    console.error("Error fetching recycle bin settings:", error);
+    throw error;
+  }
+};
+
+export const updateRecycleBinSettings = async (settings) => {
+  try {
+    return await apiClient.put(`${RECYCLE_BIN_PATH}/settings`, settings);
+  } catch (error) {
+    console.error("Error updating recycle bin settings:", error);
+    throw error;
+  }
+};
+
 // Bulk create assets (for Excel import)
 export const bulkCreateAssets = async (assetsArray) => {
   try {
     console.log(`Bulk creating ${assetsArray.length} assets...`);
-    const response = await fetch(`${API_BASE_URL}/bulk`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ assets: assetsArray }),
-    });
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`Bulk create failed: ${response.status}`, errorText);
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await apiClient.post(`${ASSETS_PATH}/bulk`, { assets: assetsArray });
     console.log(`Bulk create response:`, data);
     return data;
   } catch (error) {
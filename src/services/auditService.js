@@ -0,0 +1,76 @@
+import { apiClient } from "./apiClient";
+import { assetFields } from "../data/assets";
+
+const AUDIT_PATH = "/audit-logs";
+
+// Actions recorded in the audit log
+export const AUDIT_ACTIONS = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  RESTORE: "restore",
+  PURGE: "purge",
+  CHECK_OUT: "check-out",
+  CHECK_IN: "check-in",
+  STATUS_CHANGE: "status-change",
+};
+
+export const AUDIT_ACTION_LABELS = {
+  [AUDIT_ACTIONS.CREATE]: "Created",
+  [AUDIT_ACTIONS.UPDATE]: "Updated",
+  [AUDIT_ACTIONS.DELETE]: "Deleted",
+  [AUDIT_ACTIONS.RESTORE]: "Restored",
+  [AUDIT_ACTIONS.PURGE]: "Purged",
+  [AUDIT_ACTIONS.CHECK_OUT]: "Checked out",
+  [AUDIT_ACTIONS.CHECK_IN]: "Checked in",
+  [AUDIT_ACTIONS.STATUS_CHANGE]: "Status changed",
+};
+
+// Normalize empty values so "" vs undefined vs null isn't reported as a change
+const normalize = (value) => (value === undefined || value === null ? "" : String(value).trim());
+
+// Field-level diff between two versions of an asset: [{ field, from, to }]
+export const diffAssetFields = (before = {}, after = {}) =>
+  assetFields
+    .filter(({ key }) => normalize(before?.[key]) !== normalize(after?.[key]))
+    .map(({ key }) => ({ field: key, from: before?.[key] ?? "", to: after?.[key] ?? "" }));
+
+// Record an asset mutation (with an optional reason)
+// Callers await it after the change succeeded; a failed write throws an error saying the
+// change was saved but not logged, so the user can report the gap instead of it going unnoticed
+export const recordAssetChange = async ({ action, actor, before, after, reason = "" }) => {
+  const asset = after || before || {};
+  try {
+    return await apiClient.post(AUDIT_PATH, {
+      action,
+      entityType: "asset",
+      entityId: asset._id || asset.id,
+      entityLabel: asset.serialNumber || "",
+      actor,
+      timestamp: new Date().toISOString(),
+      changes: diffAssetFields(before || {}, after || {}),
+      reason,
+    });
+  } catch (error) {
+    console.error("Error recording audit event:", error);
+    throw new Error(
+      `${asset.serialNumber || "The asset"} was saved, but the change could not be written to the audit log` +
+        ` (${error.message || "unknown error"}). Please let an administrator know.`,
+    );
+  }
+};
+
+// Get audit log entries with pagination and filters
+// filters: page, limit, actor, entityId, search (asset S.No), action, from, to (YYYY-MM-DD)
+export const getAuditLogs = async (filters = {}) => {
+  try {
+    const { page = 1, limit = 50, ...rest } = filters;
+    return await apiClient.get(AUDIT_PATH, {
+      params: { page, limit, ...rest },
+      cacheBust: true,
+    });
+  } catch (error) {
+    console.error("Error fetching audit logs:", error);
+    throw error;
+  }
+};
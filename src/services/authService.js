@@ -1,23 +1,15 @@
-const API_BASE_URL = "https://it-assets-backend.onrender.com/api/v1/auth";
+import { apiClient } from "./apiClient";
+
+const AUTH_PATH = "/auth";
 
 // Login user
 export const loginUser = async (username, password) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/login`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ username, password }),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || "Login failed");
-    }
-    
-    return data;
+    return await apiClient.post(
+      `${AUTH_PATH}/login`,
+      { username, password },
+      { auth: false, errorMessage: "Login failed" }
+    );
   } catch (error) {
     console.error("Error logging in:", error);
     throw error;
@@ -27,21 +19,10 @@ export const loginUser = async (username, password) => {
 // Signup user
 export const signupUser = async (userData) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/signup`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(userData),
+    return await apiClient.post(`${AUTH_PATH}/signup`, userData, {
+      auth: false,
+      errorMessage: "Signup failed",
     });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || "Signup failed");
-    }
-    
-    return data;
   } catch (error) {
     console.error("Error signing up:", error);
     throw error;
@@ -51,23 +32,86 @@ export const signupUser = async (userData) => {
 // Reset password
 export const resetPassword = async (username, oldPassword, newPassword) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/reset-password`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ username, oldPassword, newPassword }),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || "Password reset failed");
-    }
-    
-    return data;
+    return await apiClient.post(
+      `${AUTH_PATH}/reset-password`,
+      { username, oldPassword, newPassword },
+      { auth: false, errorMessage: "Password reset failed" }
+    );
   } catch (error) {
     console.error("Error resetting password:", error);
     throw error;
   }
 };
+
+// Exchange the current (still valid) token for a fresh one
+export const refreshToken = async () => {
+  try {
+    return await apiClient.post(`${AUTH_PATH}/refresh`, undefined, {
+      errorMessage: "Session refresh failed",
+    });
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    throw error;
+  }
+};
+
+// Get user accounts (admin only), optionally filtered by status ("pending", "active")
+export const getUsers = async (filters = {}) => {
+  try {
+    return await apiClient.get(`${AUTH_PATH}/users`, { params: filters, cacheBust: true });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    throw error;
+  }
+};
+
+// Approve a pending signup and activate it with the given role (admin only)
+export const approveUser = async (id, role) => {
+  try {
+    return await apiClient.patch(`${AUTH_PATH}/users/${id}/approve`, { role });
+  } catch (error) {
+    console.error("Error approving user:", error);
+    throw error;
+  }
+};
+
+// Reject a pending signup - removes the account (admin only)
+export const rejectUser = async (id) => {
+  try {
+    return await apiClient.delete(`${AUTH_PATH}/users/${id}`);
+  } catch (error) {
+    console.error("Error rejecting user:", error);
+    throw error;
+  }
+};
+
+// Promote or demote a user (admin only)
+export const updateUserRole = async (id, role) => {
+  try {
+    return await apiClient.patch(`${AUTH_PATH}/users/${id}/role`, { role });
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    throw error;
+  }
+};
+
+// Activate or deactivate a user account (admin only)
+export const updateUserStatus = async (id, status) => {
+  try {
+    return await apiClient.patch(`${AUTH_PATH}/users/${id}/status`, { status });
+  } catch (error) {
+    console.error("Error updating user status:", error);
+    throw error;
+  }
+};
+
+// Force a user to choose a new password at next login (admin only)
+// Backend may return a temporary password in data.temporaryPassword
+export const forcePasswordReset = async (id) => {
+  try {
+    return await apiClient.post(`${AUTH_PATH}/users/${id}/force-password-reset`);
+  } catch (error) {
+    console.error("Error forcing password reset:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,51 @@
+// Logged-in user (including the API token) is persisted under this key
+export const AUTH_STORAGE_KEY = "itAssetUser";
+
+// Timestamp of the last user interaction, shared by all open tabs
+export const LAST_ACTIVITY_KEY = "itAssetLastActivity";
+
+// Read the stored user, or null if missing/corrupt
+export const getStoredUser = () => {
+  try {
+    const storedUser = localStorage.getItem(AUTH_STORAGE_KEY);
+    return storedUser ? JSON.parse(storedUser) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Persist the logged-in user
+export const storeUser = (userData) => {
+  localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(userData));
+};
+
+// Remove the stored user on logout
+export const clearStoredUser = () => {
+  localStorage.removeItem(AUTH_STORAGE_KEY);
+  localStorage.removeItem(LAST_ACTIVITY_KEY);
+};
+
+// Token of the stored user, if any
+export const getStoredToken = () => getStoredUser()?.token || null;
+
+// Record user activity (used for idle auto-logout across tabs)
+export const recordActivity = (timestamp = Date.now()) => {
+  localStorage.setItem(LAST_ACTIVITY_KEY, String(timestamp));
+};
+
+// Last recorded activity timestamp, or null if none
+export const getLastActivity = () => {
+  const value = Number(localStorage.getItem(LAST_ACTIVITY_KEY));
+  return value > 0 ? value : null;
+};
+
+// Decode a JWT's "exp" claim into a millisecond timestamp (null for opaque tokens)
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split(".")[1];
+    const { exp } = JSON.parse(atob(payload.replace(/-/g, "+").replace(/_/g, "/")));
+    return exp ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
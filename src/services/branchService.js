@@ -1,20 +1,13 @@
-const API_BASE_URL = "https://it-assets-backend.onrender.com/api/v1/branches";
+import { apiClient } from "./apiClient";
+
+const BRANCHES_PATH = "/branches";
 
 // Get all branches from database
 export const getAllBranches = async () => {
   try {
-    const response = await fetch(API_BASE_URL);
-    if (!response.ok) {
-      // If API doesn't exist yet, return empty array silently
-      if (response.status === 404) {
-        return { data: [] };
-      }
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    // Silently return empty array if API is not available (no console error)
+    return await apiClient.get(BRANCHES_PATH);
+  } catch {
+    // If API doesn't exist yet or is unavailable, return empty array silently
     return { data: [] };
   }
 };
@@ -22,18 +15,7 @@ export const getAllBranches = async () => {
 // Create new branch
 export const createBranch = async (branchName) => {
   try {
-    const response = await fetch(API_BASE_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ name: branchName }),
-    });
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
+    return await apiClient.post(BRANCHES_PATH, { name: branchName });
   } catch (error) {
     console.error("Error creating branch:", error);
     throw error;
@@ -43,16 +25,29 @@ export const createBranch = async (branchName) => {
 // Delete branch
 export const deleteBranch = async (id) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/${id}`, {
-      method: "DELETE",
-    });
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
+    return await apiClient.delete(`${BRANCHES_PATH}/${id}`);
   } catch (error) {
     console.error("Error deleting branch:", error);
     throw error;
   }
 };
+
+// Rename branch - the server also updates every asset that uses the old name
+export const renameBranch = async (name, newName) => {
+  try {
+    return await apiClient.put(`${BRANCHES_PATH}/rename`, { from: name, to: newName });
+  } catch (error) {
+    console.error("Error renaming branch:", error);
+    throw error;
+  }
+};
+
+// Merge duplicate branches into one - their assets move to the target and the duplicates are removed
+export const mergeBranches = async (names, targetName) => {
+  try {
+    return await apiClient.post(`${BRANCHES_PATH}/merge`, { sources: names, target: targetName });
+  } catch (error) {
+    console.error("Error merging branches:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,43 @@
+import { apiClient } from "./apiClient";
+
+const COMPANIES_PATH = "/companies";
+
+// Get the company list from database
+export const getAllCompanies = async () => {
+  try {
+    return await apiClient.get(COMPANIES_PATH);
+  } catch (error) {
+    console.error("Error fetching company list:", error);
+    throw error;
+  }
+};
+
+// Create new company ({ name, color })
+export const createCompany = async (company) => {
+  try {
+    return await apiClient.post(COMPANIES_PATH, company);
+  } catch (error) {
+    console.error("Error creating company:", error);
+    throw error;
+  }
+};
+
+// Update company
+export const updateCompany = async (id, company) => {
+  try {
+    return await apiClient.put(`${COMPANIES_PATH}/${id}`, company);
+  } catch (error) {
+    console.error("Error updating company:", error);
+    throw error;
+  }
+};
+
+// Delete company
+export const deleteCompany = async (id) => {
+  try {
+    return await apiClient.delete(`${COMPANIES_PATH}/${id}`);
+  } catch (error) {
+    console.error("Error deleting company:", error);
+    throw error;
+  }
+};
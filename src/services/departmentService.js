@@ -1,58 +1,65 @@
-const API_BASE_URL = "https://it-assets-backend.onrender.com/api/v1/departments";
+import { apiClient } from "./apiClient";
+
+const DEPARTMENTS_PATH = "/departments";
 
 // Get all departments from database
 export const getAllDepartments = async () => {
   try {
-    const response = await fetch(API_BASE_URL);
-    if (!response.ok) {
-      // If API doesn't exist yet, return empty array silently
-      if (response.status === 404) {
-        return { data: [] };
-      }
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    // Silently return empty array if API is not available (no console error)
+    return await apiClient.get(DEPARTMENTS_PATH);
+  } catch {
+    // If API doesn't exist yet or is unavailable, return empty array silently
     return { data: [] };
   }
 };
 
-// Create new department
-export const createDepartment = async (departmentName) => {
+// Create new department (branch is optional - without one it is shared by all branches)
+export const createDepartment = async (departmentName, branch = "") => {
   try {
-    const response = await fetch(API_BASE_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ name: departmentName }),
-    });
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
+    return await apiClient.post(DEPARTMENTS_PATH, { name: departmentName, branch });
   } catch (error) {
     console.error("Error creating department:", error);
     throw error;
   }
 };
 
+// Update department (e.g. move it to another branch)
+export const updateDepartment = async (id, department) => {
+  try {
+    return await apiClient.put(`${DEPARTMENTS_PATH}/${id}`, department);
+  } catch (error) {
+    console.error("Error updating department:", error);
+    throw error;
+  }
+};
+
 // Delete department
 export const deleteDepartment = async (id) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/${id}`, {
-      method: "DELETE",
-    });
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data;
+    return await apiClient.delete(`${DEPARTMENTS_PATH}/${id}`);
   } catch (error) {
     console.error("Error deleting department:", error);
     throw error;
   }
 };
+
+// Rename department - the server also updates every asset that uses the old name
+// With a branch only that branch's department and assets are renamed ("" = the shared department)
+export const renameDepartment = async (name, newName, branch = "") => {
+  try {
+    return await apiClient.put(`${DEPARTMENTS_PATH}/rename`, { from: name, to: newName, branch });
+  } catch (error) {
+    console.error("Error renaming department:", error);
+    throw error;
+  }
+};
+
+// Merge duplicate departments into one - their assets move to the target and the duplicates are removed
+// All of them belong to the given branch ("" = the shared departments)
+export const mergeDepartments = async (names, targetName, branch = "") => {
+  try {
+    return await apiClient.post(`${DEPARTMENTS_PATH}/merge`, { sources: names, target: targetName, branch });
+  } catch (error) {
+    console.error("Error merging departments:", error);
+    throw error;
+  }
+};
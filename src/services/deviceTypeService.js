@@ -0,0 +1,43 @@
+import { apiClient } from "./apiClient";
+
+const DEVICE_TYPES_PATH = "/device-types";
+
+// Get the device type catalogue from database
+export const getAllDeviceTypes = async () => {
+  try {
+    return await apiClient.get(DEVICE_TYPES_PATH);
+  } catch (error) {
+    console.error("Error fetching device types:", error);
+    throw error;
+  }
+};
+
+// Create new device type ({ name, color, usefulLifeYears, specFields })
+export const createDeviceType = async (deviceType) => {
+  try {
+    return await apiClient.post(DEVICE_TYPES_PATH, deviceType);
+  } catch (error) {
+    console.error("Error creating device type:", error);
+    throw error;
+  }
+};
+
+// Update device type
+export const updateDeviceType = async (id, deviceType) => {
+  try {
+    return await apiClient.put(`${DEVICE_TYPES_PATH}/${id}`, deviceType);
+  } catch (error) {
+    console.error("Error updating device type:", error);
+    throw error;
+  }
+};
+
+// Delete device type
+export const deleteDeviceType = async (id) => {
+  try {
+    return await apiClient.delete(`${DEVICE_TYPES_PATH}/${id}`);
+  } catch (error) {
+    console.error("Error deleting device type:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,86 @@
+import { apiClient } from "./apiClient";
+
+const EMPLOYEES_PATH = "/employees";
+
+// Get the employee directory from database
+export const getAllEmployees = async () => {
+  try {
+    return await apiClient.get(EMPLOYEES_PATH, { cacheBust: true });
+  } catch {
+    // If API doesn't exist yet or is unavailable, return empty array silently
+    return { data: [] };
+  }
+};
+
+// Get a single employee by ID
+export const getEmployeeById = async (id) => {
+  try {
+    return await apiClient.get(`${EMPLOYEES_PATH}/${id}`, { cacheBust: true });
+  } catch (error) {
+    console.error("Error fetching employee:", error);
+    throw error;
+  }
+};
+
+// Create new employee ({ employeeId, name, email, branch, department })
+export const createEmployee = async (employee) => {
+  try {
+    return await apiClient.post(EMPLOYEES_PATH, employee);
+  } catch (error) {
+    console.error("Error creating employee:", error);
+    throw error;
+  }
+};
+
+// Update employee
+export const updateEmployee = async (id, employee) => {
+  try {
+    return await apiClient.put(`${EMPLOYEES_PATH}/${id}`, employee);
+  } catch (error) {
+    console.error("Error updating employee:", error);
+    throw error;
+  }
+};
+
+// Delete employee
+export const deleteEmployee = async (id) => {
+  try {
+    return await apiClient.delete(`${EMPLOYEES_PATH}/${id}`);
+  } catch (error) {
+    console.error("Error deleting employee:", error);
+    throw error;
+  }
+};
+
+// Link existing assets to an employee
+// The backend sets employeeId on each asset and replaces userName with the employee's name
+export const linkAssetsToEmployee = async (id, assetIds) => {
+  try {
+    return await apiClient.post(`${EMPLOYEES_PATH}/${id}/link-assets`, { assetIds });
+  } catch (error) {
+    console.error("Error linking assets to employee:", error);
+    throw error;
+  }
+};
+
+// Get the offboarding outcomes recorded for an employee ({ outcomes: [...] })
+// Each outcome keeps a snapshot of its asset, because a returned asset is no longer linked to the employee
+export const getOffboardingOutcomes = async (id) => {
+  try {
+    return await apiClient.get(`${EMPLOYEES_PATH}/${id}/offboarding`, { cacheBust: true });
+  } catch (error) {
+    console.error("Error fetching offboarding outcomes:", error);
+    throw error;
+  }
+};
+
+// Record what happened to an asset at offboarding
+// outcome: { assetId, asset: { serialNumber, brand, device, deviceSerialNo }, outcome, condition, notes, date }
+export const recordOffboardingOutcome = async (id, outcome) => {
+  try {
+    return await apiClient.post(`${EMPLOYEES_PATH}/${id}/offboarding`, outcome);
+  } catch (error) {
+    console.error("Error recording offboarding outcome:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,31 @@
+// Saved export builder settings, kept per user in this browser
+const EXPORT_PRESETS_KEY = "itAssetExportPresets";
+
+const getStorageKey = (userId) => `${EXPORT_PRESETS_KEY}:${userId || "anonymous"}`;
+
+// Saved presets ([{ name, filters, columns, format }]), or [] if missing/corrupt
+export const getExportPresets = (userId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStorageKey(userId)));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+// Save a preset, replacing one with the same name; returns the updated list
+export const saveExportPreset = (userId, preset) => {
+  const presets = [
+    ...getExportPresets(userId).filter((item) => item.name !== preset.name),
+    preset,
+  ].sort((a, b) => a.name.localeCompare(b.name));
+  localStorage.setItem(getStorageKey(userId), JSON.stringify(presets));
+  return presets;
+};
+
+// Remove a preset by name; returns the updated list
+export const deleteExportPreset = (userId, name) => {
+  const presets = getExportPresets(userId).filter((item) => item.name !== name);
+  localStorage.setItem(getStorageKey(userId), JSON.stringify(presets));
+  return presets;
+};
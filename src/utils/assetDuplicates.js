@@ -0,0 +1,70 @@
+import { assetFields } from "../data/assets";
+import { canCheckIn } from "./assetStatus";
+
+// Values typed in when a device has no readable serial - these never count as duplicates
+const PLACEHOLDER_SERIALS = ["", "-", "--", "0", "NA", "N/A", "NIL", "NONE", "NULL", "UNKNOWN", "NOSERIAL"];
+
+// Fields a merge can copy from a duplicate onto the asset that is kept
+// The S.No stays the kept asset's own; the holder and status only change through check-out / check-in
+const mergeFields = assetFields.filter(
+  ({ key }) => !["serialNumber", "deviceSerialNo", "userName", "status"].includes(key),
+);
+
+const getAssetKey = (asset) => asset._id || asset.id;
+
+// Serial in a comparable form ("abc 123 " -> "ABC123")
+export const normalizeDeviceSerial = (value) =>
+  String(value ?? "")
+    .toUpperCase()
+    .replace(/\s+/g, "");
+
+export const isPlaceholderSerial = (value) => PLACEHOLDER_SERIALS.includes(normalizeDeviceSerial(value));
+
+// Other assets with the same device serial number (excludeId skips the asset being edited)
+export const findSerialMatches = (deviceSerialNo, assets, excludeId = null) => {
+  if (isPlaceholderSerial(deviceSerialNo)) return [];
+  const serial = normalizeDeviceSerial(deviceSerialNo);
+  return assets.filter(
+    (asset) => getAssetKey(asset) !== excludeId && normalizeDeviceSerial(asset.deviceSerialNo) === serial,
+  );
+};
+
+// Assets sharing a device serial number, largest clusters first
+// Returns { clusters: [{ serial, assets }], placeholderAssets } - assets oldest first within a cluster
+export const groupDuplicateSerials = (assets) => {
+  const groups = {};
+  const placeholderAssets = [];
+  assets.forEach((asset) => {
+    if (isPlaceholderSerial(asset.deviceSerialNo)) {
+      placeholderAssets.push(asset);
+      return;
+    }
+    const serial = normalizeDeviceSerial(asset.deviceSerialNo);
+    groups[serial] = [...(groups[serial] || []), asset];
+  });
+  const clusters = Object.entries(groups)
+    .filter(([, group]) => group.length > 1)
+    .map(([serial, group]) => ({
+      serial,
+      assets: [...group].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0)),
+    }))
+    .sort((a, b) => b.assets.length - a.assets.length || a.serial.localeCompare(b.serial));
+  return { clusters, placeholderAssets };
+};
+
+// Asset to keep by default: one that is with someone, otherwise the oldest record
+export const suggestMergeTarget = (cluster) => cluster.assets.find(canCheckIn) || cluster.assets[0];
+
+// Empty fields on the kept asset that a duplicate can fill ([{ field, label, value, from }])
+// from is the S.No the value is taken from; earlier duplicates win
+export const getMergeChanges = (target, duplicates) =>
+  mergeFields
+    .filter(({ key }) => !String(target[key] ?? "").trim())
+    .map(({ key, label }) => {
+      const source = duplicates.find((asset) => String(asset[key] ?? "").trim());
+      return source ? { field: key, label, value: source[key], from: source.serialNumber } : null;
+    })
+    .filter(Boolean);
+
+// Duplicates that are with someone - they have to be checked in before they can be removed
+export const getHeldDuplicates = (duplicates) => duplicates.filter(canCheckIn);
@@ -0,0 +1,167 @@
+import * as XLSX from "xlsx";
+import { importFields } from "./assetImport";
+import { getAssetStatus } from "./assetStatus";
+import { formatDateForExport } from "./formatters";
+
+export const EXPORT_FORMATS = {
+  XLSX: "xlsx",
+  CSV: "csv",
+  JSON: "json",
+  PDF: "pdf",
+};
+
+export const EXPORT_FORMAT_LABELS = {
+  [EXPORT_FORMATS.XLSX]: "Excel (.xlsx)",
+  [EXPORT_FORMATS.CSV]: "CSV",
+  [EXPORT_FORMATS.JSON]: "JSON",
+  [EXPORT_FORMATS.PDF]: "PDF (print)",
+};
+
+// Columns that can be exported - headers match the import wizard, so an export can be edited and re-imported
+export const exportColumns = [
+  ...importFields.map(({ key, label, type }) => ({ key, label, type })),
+  { key: "createdAt", label: "Added On", type: "date" },
+];
+
+export const defaultExportColumns = exportColumns.filter((column) => column.key !== "createdAt").map((column) => column.key);
+
+// Dates the date range can apply to (both ends included; assets without the date are left out)
+export const exportDateFields = [
+  { key: "dateOfPurchase", label: "Purchase Date" },
+  { key: "createdAt", label: "Added On" },
+  { key: "warrantyEndDate", label: "Warranty End" },
+];
+
+export const emptyExportFilters = {
+  companyName: "",
+  branch: "",
+  department: "",
+  device: "",
+  status: "",
+  dateField: "dateOfPurchase",
+  from: "",
+  to: "",
+};
+
+const getColumnValue = (asset, column) => {
+  if (column.key === "status") return getAssetStatus(asset);
+  if (column.type === "date") return formatDateForExport(asset[column.key]);
+  if (column.key === "purchaseCost") return asset.purchaseCost ?? "";
+  return asset[column.key] || "";
+};
+
+// Rows for the chosen columns, in the chosen order ({ header: value })
+export const buildExportRows = (assets, columnKeys) => {
+  const columns = columnKeys.map((key) => exportColumns.find((column) => column.key === key)).filter(Boolean);
+  return assets.map((asset) => Object.fromEntries(columns.map((column) => [column.label, getColumnValue(asset, column)])));
+};
+
+// Spreadsheet apps run CSV cells starting with these as formulas
+const FORMULA_PREFIXES = ["=", "@", "\t", "\r"];
+// + and - only start a formula when something other than a number follows ("-" and "-5" are data)
+const SIGNED_FORMULA_PATTERN = /^[+-](?![\d.]*$)/;
+
+const isFormulaLike = (value) =>
+  typeof value === "string" && (FORMULA_PREFIXES.includes(value.charAt(0)) || SIGNED_FORMULA_PATTERN.test(value));
+
+// CSV rows with formula-like text prefixed by ', so it opens as plain text
+const escapeFormulas = (rows) =>
+  rows.map((row) =>
+    Object.fromEntries(Object.entries(row).map(([header, value]) => [header, isFormulaLike(value) ? `'${value}` : value])),
+  );
+
+// Excel worksheet with every text value in a string cell - Excel never runs those, so values stay as exported
+const toTextSheet = (rows, headers) => {
+  const worksheet = XLSX.utils.json_to_sheet(rows, { header: headers });
+  Object.keys(worksheet)
+    .filter((address) => !address.startsWith("!") && typeof worksheet[address].v === "string")
+    .forEach((address) => {
+      worksheet[address].t = "s";
+    });
+  return worksheet;
+};
+
+const downloadBlob = (content, type, fileName) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]);
+
+// Window for a PDF export - open it straight from the click, before any await, or pop-up blockers stop it
+export const openPrintWindow = () => {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) {
+    throw new Error("Allow pop-ups for this site to export as PDF");
+  }
+  printWindow.document.write("<p style=\"font-family: Arial, sans-serif\">Preparing export...</p>");
+  return printWindow;
+};
+
+// Rows as a printable table in the print window - the browser's print dialog saves it as PDF
+const printRows = (printWindow, rows, headers, title) => {
+  printWindow.document.open();
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 16px; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  p { font-size: 11px; color: #555; margin: 0 0 12px; }
+  table { border-collapse: collapse; width: 100%; font-size: 9px; }
+  th, td { border: 1px solid #ccc; padding: 3px 4px; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  @page { size: landscape; margin: 10mm; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${rows.length} asset${rows.length === 1 ? "" : "s"} · exported ${escapeHtml(formatDateForExport(new Date()))}</p>
+<table>
+<thead><tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("")}</tr></thead>
+<tbody>
+${rows.map((row) => `<tr>${headers.map((header) => `<td>${escapeHtml(row[header])}</td>`).join("")}</tr>`).join("\n")}
+</tbody>
+</table>
+</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
+
+// Save rows in the chosen format (fileName without extension; PDF needs the window from openPrintWindow)
+export const downloadExport = (rows, columnKeys, format, fileName, printWindow = null) => {
+  const headers = columnKeys.map((key) => exportColumns.find((column) => column.key === key)?.label).filter(Boolean);
+  switch (format) {
+    case EXPORT_FORMATS.CSV: {
+      const worksheet = XLSX.utils.json_to_sheet(escapeFormulas(rows), { header: headers });
+      downloadBlob(XLSX.utils.sheet_to_csv(worksheet), "text/csv;charset=utf-8", `${fileName}.csv`);
+      break;
+    }
+    case EXPORT_FORMATS.JSON:
+      downloadBlob(JSON.stringify(rows, null, 2), "application/json", `${fileName}.json`);
+      break;
+    case EXPORT_FORMATS.PDF:
+      printRows(printWindow, rows, headers, fileName.replace(/_/g, " "));
+      break;
+    default: {
+      const worksheet = toTextSheet(rows, headers);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, "IT Assets");
+      XLSX.writeFile(workbook, `${fileName}.xlsx`);
+    }
+  }
+};
+
+// File name from the filters that are set (IT_Assets_OmTrans_Laptop, or IT_Assets_All)
+export const getExportFileName = (filters) => {
+  const parts = [filters.companyName, filters.branch, filters.department, filters.device, filters.status].filter(Boolean);
+  return `IT_Assets_${parts.length > 0 ? parts.join("_") : "All"}`.replace(/[^\w.-]+/g, "_");
+};
@@ -0,0 +1,315 @@
+import { specFields, currencies } from "../data/assets";
+import { parseExcelDate } from "../services/assetService";
+import { ASSET_STATUS, initialStatuses, getAssetStatus } from "./assetStatus";
+import { DEPRECIATION_METHODS, depreciationMethods } from "./depreciation";
+import { validateAsset } from "./assetValidation";
+import { findSerialMatches, isPlaceholderSerial, normalizeDeviceSerial } from "./assetDuplicates";
+import { getDeviceSpecFields } from "./deviceTypes";
+import { toDateInputValue } from "./formatters";
+
+// Create only adds rows; upsert updates assets that already exist and adds the rest
+export const IMPORT_MODES = {
+  CREATE: "create",
+  UPSERT: "upsert",
+};
+
+// What the import will do with each row
+export const ROW_ACTIONS = {
+  CREATE: "create",
+  UPDATE: "update",
+  UNCHANGED: "unchanged",
+};
+
+// Asset fields a spreadsheet column can be mapped to
+// label matches the export and template headers; aliases are other headers seen in older sheets
+// matchOnly fields find existing assets in upsert mode and are never written
+export const importFields = [
+  { key: "serialNumber", label: "Serial Number", matchOnly: true, aliases: ["S.No", "Asset S.No"] },
+  { key: "companyName", label: "Company", required: true },
+  { key: "branch", label: "Branch", required: true },
+  { key: "department", label: "Department", required: true },
+  { key: "location", label: "Location", aliases: ["Location / Floor", "Floor"] },
+  { key: "userName", label: "User", aliases: ["User Name", "Employee", "Assigned To"] },
+  { key: "status", label: "Status" },
+  { key: "brand", label: "Brand" },
+  { key: "device", label: "Device", required: true, aliases: ["Device Type"] },
+  {
+    key: "deviceSerialNo",
+    label: "Device S.No",
+    required: true,
+    aliases: ["Device Serial No", "Device Serial Number", "Device Serial"],
+  },
+  ...Object.entries(specFields).map(([key, { label }]) => ({ key, label })),
+  { key: "operatingSystem", label: "Operating System", aliases: ["OS"] },
+  { key: "dateOfPurchase", label: "Purchase Date", type: "date", aliases: ["Date of Purchase"] },
+  { key: "remark", label: "Remark", aliases: ["Remarks"] },
+  { key: "warrantyEndDate", label: "Warranty End", type: "date", aliases: ["Warranty End Date"] },
+  { key: "vendor", label: "Vendor" },
+  { key: "amcContractNo", label: "AMC Contract No" },
+  { key: "amcExpiryDate", label: "AMC Expiry", type: "date", aliases: ["AMC Expiry Date"] },
+  { key: "purchaseCost", label: "Purchase Cost", aliases: ["Cost"] },
+  { key: "currency", label: "Currency" },
+  { key: "depreciationMethod", label: "Depreciation Method" },
+];
+
+const optionalDateFields = importFields.filter((field) => field.type === "date").map((field) => field.key);
+const matchOnlyKeys = importFields.filter((field) => field.matchOnly).map((field) => field.key);
+// The holder and status only change through check-out / check-in and status changes
+const protectedKeys = ["userName", "status"];
+const specKeys = Object.keys(specFields);
+const emptyImportAsset = Object.fromEntries(importFields.map((field) => [field.key, ""]));
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Best guess of the field behind each spreadsheet header (header -> field key, "" skips the column)
+export const guessColumnMapping = (headers) => {
+  const used = new Set();
+  return Object.fromEntries(
+    headers.map((header) => {
+      const normalized = normalizeHeader(header);
+      const field = importFields.find(
+        (candidate) =>
+          !used.has(candidate.key) &&
+          [candidate.label, candidate.key, ...(candidate.aliases || [])].some(
+            (name) => normalizeHeader(name) === normalized,
+          ),
+      );
+      if (field) used.add(field.key);
+      return [header, field?.key || ""];
+    }),
+  );
+};
+
+// Required fields that no column is mapped to
+export const getMissingRequiredFields = (mapping) =>
+  importFields.filter((field) => field.required && !Object.values(mapping).includes(field.key));
+
+// Form values for one spreadsheet row, plus the cells that couldn't be read
+// Dates become YYYY-MM-DD like the date inputs in the asset form
+export const mapImportRow = (row, mapping) => {
+  const asset = { ...emptyImportAsset };
+  const invalid = {};
+  Object.entries(mapping).forEach(([header, key]) => {
+    if (!key) return;
+    const raw = row[header] ?? "";
+    if (optionalDateFields.includes(key)) {
+      asset[key] = toDateInputValue(parseExcelDate(raw));
+      if (String(raw).trim() && !asset[key]) {
+        invalid[key] = "Use YYYY-MM-DD or DD-MM-YYYY";
+      }
+    } else {
+      asset[key] = String(raw).trim();
+    }
+  });
+  // Without a status column, rows that name a user are assigned to them
+  if (!asset.status) {
+    asset.status = asset.userName ? ASSET_STATUS.ASSIGNED : ASSET_STATUS.IN_STOCK;
+  }
+  return { asset, invalid };
+};
+
+// Catalogue entry matching a value regardless of case ("laptop" -> "Laptop")
+const matchOption = (value, options) =>
+  options.find((option) => option.toLowerCase() === value.toLowerCase());
+
+const sameText = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+// Existing assets a row refers to: by its S.No if the sheet has one, otherwise by device serial number
+// Placeholder device serials ("N/A", "-") never match anything
+// Returns { matches, matchedOn } or null - more than one match means the row can't tell which to update
+export const findExistingAsset = (row, existingAssets) => {
+  const bySerial = row.serialNumber
+    ? existingAssets.filter((asset) => sameText(asset.serialNumber, row.serialNumber))
+    : [];
+  if (bySerial.length > 0) return { matches: bySerial, matchedOn: "serialNumber" };
+  const byDevice = row.deviceSerialNo ? findSerialMatches(row.deviceSerialNo, existingAssets) : [];
+  return byDevice.length > 0 ? { matches: byDevice, matchedOn: "deviceSerialNo" } : null;
+};
+
+// An existing asset in the same shape as a mapped row, so the two can be compared
+const toImportValues = (asset) =>
+  Object.fromEntries(
+    importFields.map(({ key }) => [
+      key,
+      optionalDateFields.includes(key) ? toDateInputValue(asset[key]) : String(asset[key] ?? "").trim(),
+    ]),
+  );
+
+const isSameValue = (key, a, b) =>
+  key === "purchaseCost" && a !== "" && b !== "" ? Number(a) === Number(b) : a === b;
+
+// Fields a row would change on an existing asset ([{ field, label, from, to }])
+// Only mapped columns count, and specs only where they apply to the device
+export const diffImportRow = (asset, existing, mappedKeys, deviceTypes = []) => {
+  const current = toImportValues(existing);
+  const deviceSpecs = getDeviceSpecFields(asset.device, deviceTypes);
+  return importFields
+    .filter(
+      ({ key }) =>
+        mappedKeys.includes(key) &&
+        !matchOnlyKeys.includes(key) &&
+        !protectedKeys.includes(key) &&
+        (!specKeys.includes(key) || deviceSpecs.includes(key)),
+    )
+    .filter(({ key }) => !isSameValue(key, current[key], asset[key]))
+    .map(({ key, label }) => ({ field: key, label, from: current[key], to: asset[key] }));
+};
+
+// Check mapped rows with the asset form's rules, plus what a spreadsheet can get wrong
+// that the form's dropdowns can't (unknown companies, typos in device types, repeated serials)
+// With existingAssets (upsert mode) rows that match an asset become updates: empty cells keep
+// the current value, and the user and status are left alone
+// canEdit(asset) decides whether a matched asset may be updated; deviceTypes is the device type catalogue
+// Returns [{ asset, errors, action, existing, changes }] with catalogue values in their stored spelling
+export const validateImportRows = (
+  mappedRows,
+  { companyNames = [], deviceTypes = [], existingAssets = null, mappedKeys = [], canEdit = () => true } = {},
+) => {
+  const deviceTypeNames = deviceTypes.map((type) => type.name);
+  const serialCounts = {};
+  // Device serials compare the way duplicate detection does; placeholders may repeat
+  const countKey = (field, value) =>
+    field === "deviceSerialNo" ? `${field}:${normalizeDeviceSerial(value)}` : `${field}:${value.toLowerCase()}`;
+  mappedRows.forEach(({ asset }) => {
+    ["deviceSerialNo", "serialNumber"]
+      .filter((field) => asset[field] && !(field === "deviceSerialNo" && isPlaceholderSerial(asset[field])))
+      .forEach((field) => {
+        const key = countKey(field, asset[field]);
+        serialCounts[key] = (serialCounts[key] || 0) + 1;
+      });
+  });
+
+  return mappedRows.map(({ asset: mapped, invalid }) => {
+    const match = existingAssets ? findExistingAsset(mapped, existingAssets) : null;
+    const existing = match?.matches.length === 1 ? match.matches[0] : null;
+    const merged = existing
+      ? {
+          ...toImportValues(existing),
+          ...Object.fromEntries(Object.entries(mapped).filter(([key, value]) => value && !protectedKeys.includes(key))),
+          userName: existing.userName || "",
+          status: getAssetStatus(existing),
+        }
+      : mapped;
+    const asset = {
+      ...merged,
+      companyName: merged.companyName && (matchOption(merged.companyName, companyNames) || merged.companyName),
+      device: merged.device && (matchOption(merged.device, deviceTypeNames) || merged.device),
+      status: matchOption(merged.status, initialStatuses) || merged.status,
+      currency: merged.currency && (matchOption(merged.currency, currencies) || merged.currency),
+      depreciationMethod:
+        merged.depreciationMethod &&
+        (matchOption(merged.depreciationMethod, depreciationMethods) || merged.depreciationMethod),
+    };
+    const errors = { ...validateAsset(asset, { isNew: !existing, deviceTypes }), ...invalid };
+
+    // Values an update keeps from the asset are not checked against today's catalogues
+    if (mapped.companyName && !companyNames.includes(asset.companyName)) {
+      errors.companyName = `Unknown company "${asset.companyName}"`;
+    }
+    if (mapped.device && !deviceTypeNames.includes(asset.device)) {
+      errors.device = `Unknown device type "${asset.device}"`;
+    }
+    if (!existing && !initialStatuses.includes(asset.status)) {
+      errors.status = `New assets start as ${initialStatuses.join(" or ")}`;
+    }
+    if (mapped.currency && !currencies.includes(asset.currency)) {
+      errors.currency = `Use one of ${currencies.join(", ")}`;
+    }
+    if (mapped.depreciationMethod && !depreciationMethods.includes(asset.depreciationMethod)) {
+      errors.depreciationMethod = `Use ${depreciationMethods.join(" or ")}`;
+    }
+    if (serialCounts[countKey("deviceSerialNo", mapped.deviceSerialNo)] > 1) {
+      errors.deviceSerialNo = "Device serial number appears more than once in this file";
+    }
+    if (existingAssets && mapped.serialNumber && serialCounts[countKey("serialNumber", mapped.serialNumber)] > 1) {
+      errors.serialNumber = "Serial number appears more than once in this file";
+    }
+    if (existing && !canEdit(existing)) {
+      errors[match.matchedOn] = `Matches ${existing.serialNumber}, which you can't edit`;
+    }
+    if (match && !existing) {
+      errors[match.matchedOn] =
+        `Matches ${match.matches.length} assets (${match.matches.map((asset) => asset.serialNumber).join(", ")})` +
+        " - merge the duplicates or add an S.No column to pick one";
+    }
+
+    const changes = existing ? diffImportRow(asset, existing, mappedKeys, deviceTypes) : [];
+    const action = !existing ? ROW_ACTIONS.CREATE : changes.length > 0 ? ROW_ACTIONS.UPDATE : ROW_ACTIONS.UNCHANGED;
+    return { asset, errors, action, existing, changes };
+  });
+};
+
+// Fields to send for an update - only what changed
+export const toUpdatePayload = (changes) =>
+  Object.fromEntries(
+    changes.map(({ field, to }) => [field, field === "purchaseCost" ? Number(to) : to]),
+  );
+
+// Payload for a valid row, prepared the same way the asset form prepares its data
+export const toImportPayload = (asset, createdBy, deviceTypes = []) => {
+  const deviceSpecs = getDeviceSpecFields(asset.device, deviceTypes);
+  const payload = {
+    ...asset,
+    currency: asset.currency || currencies[0],
+    depreciationMethod: asset.depreciationMethod || DEPRECIATION_METHODS.STRAIGHT_LINE,
+    createdBy,
+  };
+  // S.No is generated by the backend
+  matchOnlyKeys.forEach((key) => delete payload[key]);
+  // Clear specs that don't apply to the device
+  specKeys.forEach((key) => {
+    payload[key] = deviceSpecs.includes(key) ? payload[key] : "";
+  });
+  // Store cost as a number (or leave it out when not known)
+  if (payload.purchaseCost === "") {
+    delete payload.purchaseCost;
+  } else {
+    payload.purchaseCost = Number(payload.purchaseCost);
+  }
+  // Remove empty dates to avoid backend parsing errors
+  optionalDateFields.forEach((field) => {
+    if (!payload[field]) {
+      delete payload[field];
+    }
+  });
+  return payload;
+};
+
+// Reason a row was skipped, from its validation errors
+// Messages that don't name their column ("Use the format ...") get the column label in front
+export const describeRowErrors = (errors) => {
+  const labels = Object.fromEntries(importFields.map((field) => [field.key, field.label]));
+  return Object.entries(errors)
+    .map(([key, message]) => {
+      const label = labels[key] || key;
+      return message.toLowerCase().includes(label.toLowerCase()) ? message : `${label}: ${message}`;
+    })
+    .join("; ");
+};
+
+// Assets a bulk create batch added, for the audit log
+// Uses the records the server sends back; otherwise the rows it didn't reject (without ids)
+// Returns null when neither is known - a rejection couldn't be tied to a row
+export const getBulkCreatedAssets = (response, batch, failures) => {
+  const created = response?.data?.assets || response?.data?.createdAssets || response?.assets;
+  if (Array.isArray(created)) return created;
+  if (failures.some((failure) => failure.index === null)) return null;
+  return batch.filter((_, index) => !failures.some((failure) => failure.index === index));
+};
+
+// Rows of a bulk create batch the server rejected ([{ index, reason }])
+// Errors point at a row by position in the batch or by device serial number;
+// anything that can't be placed is reported against the whole batch (index null)
+export const getBulkCreateFailures = (response, batch) => {
+  const errors = response?.data?.errors || response?.errors || [];
+  return (Array.isArray(errors) ? errors : []).map((error) => {
+    const reason =
+      typeof error === "string" ? error : error.message || error.error || error.reason || "Rejected by the server";
+    let index = Number.isInteger(error?.index) ? error.index : null;
+    if (index === null && error?.deviceSerialNo) {
+      const match = batch.findIndex((asset) => asset.deviceSerialNo === error.deviceSerialNo);
+      index = match === -1 ? null : match;
+    }
+    return { index, reason };
+  });
+};
@@ -0,0 +1,58 @@
+// Lifecycle statuses stored on the asset record (asset.status)
+export const ASSET_STATUS = {
+  IN_STOCK: "In Stock",
+  ASSIGNED: "Assigned",
+  IN_REPAIR: "In Repair",
+  LOST: "Lost",
+  RETIRED: "Retired",
+  DISPOSED: "Disposed",
+};
+
+export const assetStatuses = Object.values(ASSET_STATUS);
+
+// Statuses an asset can move to from each status (Disposed is final)
+const STATUS_TRANSITIONS = {
+  [ASSET_STATUS.IN_STOCK]: [
+    ASSET_STATUS.ASSIGNED,
+    ASSET_STATUS.IN_REPAIR,
+    ASSET_STATUS.LOST,
+    ASSET_STATUS.RETIRED,
+  ],
+  [ASSET_STATUS.ASSIGNED]: [ASSET_STATUS.IN_STOCK, ASSET_STATUS.IN_REPAIR, ASSET_STATUS.LOST],
+  [ASSET_STATUS.IN_REPAIR]: [ASSET_STATUS.IN_STOCK, ASSET_STATUS.ASSIGNED, ASSET_STATUS.RETIRED],
+  [ASSET_STATUS.LOST]: [ASSET_STATUS.IN_STOCK, ASSET_STATUS.RETIRED],
+  [ASSET_STATUS.RETIRED]: [ASSET_STATUS.IN_STOCK, ASSET_STATUS.DISPOSED],
+  [ASSET_STATUS.DISPOSED]: [],
+};
+
+// Statuses a new asset can start in
+export const initialStatuses = [ASSET_STATUS.ASSIGNED, ASSET_STATUS.IN_STOCK];
+
+// Current status of an asset
+// Assets created before statuses existed are Assigned if they have a holder
+export const getAssetStatus = (asset) =>
+  asset?.status || (asset?.userName ? ASSET_STATUS.ASSIGNED : ASSET_STATUS.IN_STOCK);
+
+// Statuses getAssetStatus can give an asset without a stored status
+export const inferredStatuses = [ASSET_STATUS.ASSIGNED, ASSET_STATUS.IN_STOCK];
+
+export const getAllowedTransitions = (status) => STATUS_TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+// Transitions that can be made by editing the status directly
+// Handing an asset over and taking it back go through check-out / check-in instead
+export const getManualTransitions = (status) =>
+  getAllowedTransitions(status).filter(
+    (to) =>
+      to !== ASSET_STATUS.ASSIGNED &&
+      !(status === ASSET_STATUS.ASSIGNED && to === ASSET_STATUS.IN_STOCK),
+  );
+
+// Whether an asset can be checked out (or reassigned if it is already out)
+export const canCheckOut = (asset) => {
+  const status = getAssetStatus(asset);
+  return status === ASSET_STATUS.ASSIGNED || canTransition(status, ASSET_STATUS.ASSIGNED);
+};
+
+export const canCheckIn = (asset) => getAssetStatus(asset) === ASSET_STATUS.ASSIGNED;
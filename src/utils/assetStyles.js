@@ -0,0 +1,158 @@
+import { ASSET_STATUS } from "./assetStatus";
+
+// Colors a catalogue entry (device type or company) can be given
+// badge is used in tables, the rest style dashboard cards and export buttons
+const CATALOGUE_STYLES = {
+  emerald: {
+    badge: "bg-emerald-100 text-emerald-700",
+    gradient: "from-emerald-500 to-emerald-600",
+    bg: "bg-emerald-50",
+    text: "text-emerald-700",
+    ring: "ring-emerald-500",
+    button: "bg-emerald-50 hover:bg-emerald-100 border-emerald-200",
+  },
+  violet: {
+    badge: "bg-violet-100 text-violet-700",
+    gradient: "from-violet-500 to-violet-600",
+    bg: "bg-violet-50",
+    text: "text-violet-700",
+    ring: "ring-violet-500",
+    button: "bg-violet-50 hover:bg-violet-100 border-violet-200",
+  },
+  amber: {
+    badge: "bg-amber-100 text-amber-700",
+    gradient: "from-amber-500 to-amber-600",
+    bg: "bg-amber-50",
+    text: "text-amber-700",
+    ring: "ring-amber-500",
+    button: "bg-amber-50 hover:bg-amber-100 border-amber-200",
+  },
+  sky: {
+    badge: "bg-sky-100 text-sky-700",
+    gradient: "from-sky-500 to-sky-600",
+    bg: "bg-sky-50",
+    text: "text-sky-700",
+    ring: "ring-sky-500",
+    button: "bg-sky-50 hover:bg-sky-100 border-sky-200",
+  },
+  rose: {
+    badge: "bg-rose-100 text-rose-700",
+    gradient: "from-rose-500 to-rose-600",
+    bg: "bg-rose-50",
+    text: "text-rose-700",
+    ring: "ring-rose-500",
+    button: "bg-rose-50 hover:bg-rose-100 border-rose-200",
+  },
+  teal: {
+    badge: "bg-teal-100 text-teal-700",
+    gradient: "from-teal-500 to-teal-600",
+    bg: "bg-teal-50",
+    text: "text-teal-700",
+    ring: "ring-teal-500",
+    button: "bg-teal-50 hover:bg-teal-100 border-teal-200",
+  },
+  indigo: {
+    badge: "bg-indigo-100 text-indigo-700",
+    gradient: "from-indigo-500 to-indigo-600",
+    bg: "bg-indigo-50",
+    text: "text-indigo-700",
+    ring: "ring-indigo-500",
+    button: "bg-indigo-50 hover:bg-indigo-100 border-indigo-200",
+  },
+  orange: {
+    badge: "bg-orange-100 text-orange-700",
+    gradient: "from-orange-500 to-orange-600",
+    bg: "bg-orange-50",
+    text: "text-orange-700",
+    ring: "ring-orange-500",
+    button: "bg-orange-50 hover:bg-orange-100 border-orange-200",
+  },
+  lime: {
+    badge: "bg-lime-100 text-lime-700",
+    gradient: "from-lime-500 to-lime-600",
+    bg: "bg-lime-50",
+    text: "text-lime-700",
+    ring: "ring-lime-500",
+    button: "bg-lime-50 hover:bg-lime-100 border-lime-200",
+  },
+  fuchsia: {
+    badge: "bg-fuchsia-100 text-fuchsia-700",
+    gradient: "from-fuchsia-500 to-fuchsia-600",
+    bg: "bg-fuchsia-50",
+    text: "text-fuchsia-700",
+    ring: "ring-fuchsia-500",
+    button: "bg-fuchsia-50 hover:bg-fuchsia-100 border-fuchsia-200",
+  },
+  blue: {
+    badge: "bg-blue-100 text-blue-700",
+    gradient: "from-blue-500 to-blue-600",
+    bg: "bg-blue-50",
+    text: "text-blue-700",
+    ring: "ring-blue-500",
+    button: "bg-blue-50 hover:bg-blue-100 border-blue-200",
+  },
+  purple: {
+    badge: "bg-purple-100 text-purple-700",
+    gradient: "from-purple-500 to-purple-600",
+    bg: "bg-purple-50",
+    text: "text-purple-700",
+    ring: "ring-purple-500",
+    button: "bg-purple-50 hover:bg-purple-100 border-purple-200",
+  },
+  green: {
+    badge: "bg-green-100 text-green-700",
+    gradient: "from-green-500 to-green-600",
+    bg: "bg-green-50",
+    text: "text-green-700",
+    ring: "ring-green-500",
+    button: "bg-green-50 hover:bg-green-100 border-green-200",
+  },
+  cyan: {
+    badge: "bg-cyan-100 text-cyan-700",
+    gradient: "from-cyan-500 to-cyan-600",
+    bg: "bg-cyan-50",
+    text: "text-cyan-700",
+    ring: "ring-cyan-500",
+    button: "bg-cyan-50 hover:bg-cyan-100 border-cyan-200",
+  },
+};
+
+export const catalogueColors = Object.keys(CATALOGUE_STYLES);
+
+// Color of a catalogue entry
+// Entries without a (known) color get one picked from their name so they stay consistent
+export const getCatalogueColor = (entry) => {
+  if (CATALOGUE_STYLES[entry?.color]) return entry.color;
+  const name = entry?.name || "";
+  const hash = [...name].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return catalogueColors[hash % catalogueColors.length];
+};
+
+export const getCatalogueStyle = (entry) => CATALOGUE_STYLES[getCatalogueColor(entry)];
+
+// Helper function to get color based on device type
+// Devices missing from the catalogue (e.g. a type that was removed) are shown in gray
+export const getDeviceColor = (device, deviceTypes = []) => {
+  const deviceType = deviceTypes.find((type) => type.name === device);
+  return deviceType ? getCatalogueStyle(deviceType).badge : "bg-gray-100 text-gray-700";
+};
+
+// Helper function to get color based on company
+// Companies missing from the catalogue are shown in gray
+export const getCompanyColor = (company, companies = []) => {
+  const entry = companies.find((item) => item.name === company);
+  return entry ? getCatalogueStyle(entry).badge : "bg-gray-100 text-gray-700";
+};
+
+// Helper function to get color based on lifecycle status
+export const getStatusColor = (status) => {
+  const colors = {
+    [ASSET_STATUS.IN_STOCK]: "bg-sky-100 text-sky-700",
+    [ASSET_STATUS.ASSIGNED]: "bg-emerald-100 text-emerald-700",
+    [ASSET_STATUS.IN_REPAIR]: "bg-amber-100 text-amber-700",
+    [ASSET_STATUS.LOST]: "bg-red-100 text-red-700",
+    [ASSET_STATUS.RETIRED]: "bg-gray-200 text-gray-700",
+    [ASSET_STATUS.DISPOSED]: "bg-slate-700 text-white",
+  };
+  return colors[status] || "bg-gray-100 text-gray-700";
+};
@@ -0,0 +1,66 @@
+import { ASSET_STATUS } from "./assetStatus";
+import { getDeviceSpecFields } from "./deviceTypes";
+import { parseDate } from "./formatters";
+
+const MAC_ADDRESS_PATTERN = /^([0-9A-Fa-f]{2}[:-]){5}[0-9A-Fa-f]{2}$/;
+const IP_ADDRESS_PATTERN = /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/;
+
+// Field-level rules shared by the asset form and the Excel import
+// asset holds form values (strings); isNew enables the rules that only apply on create
+// deviceTypes is the device type catalogue (spec fields per type)
+// Returns { field: message } - empty when the asset is valid
+export const validateAsset = (asset, { isNew = true, deviceTypes = [] } = {}) => {
+  const errors = {};
+  const deviceSpecs = getDeviceSpecFields(asset.device, deviceTypes);
+  // Serial number is generated by backend, no frontend validation needed
+  if (!asset.companyName) {
+    errors.companyName = "Company is required";
+  }
+  if (!asset.branch) {
+    errors.branch = "Branch is required";
+  }
+  if (!asset.department) {
+    errors.department = "Department is required";
+  }
+  // Once created, the holder only changes through check-out / check-in
+  if (isNew && asset.status === ASSET_STATUS.ASSIGNED && !asset.userName.trim()) {
+    errors.userName = "User name is required";
+  }
+  if (isNew && asset.status === ASSET_STATUS.IN_STOCK && asset.userName.trim()) {
+    errors.userName = "Leave empty for assets in stock";
+  }
+  if (
+    asset.dateOfPurchase &&
+    asset.warrantyEndDate &&
+    parseDate(asset.warrantyEndDate) < parseDate(asset.dateOfPurchase)
+  ) {
+    errors.warrantyEndDate = "Warranty can't end before the purchase date";
+  }
+  if (
+    deviceSpecs.includes("macAddress") &&
+    asset.macAddress.trim() &&
+    !MAC_ADDRESS_PATTERN.test(asset.macAddress.trim())
+  ) {
+    errors.macAddress = "Use the format 00:1A:2B:3C:4D:5E";
+  }
+  if (
+    deviceSpecs.includes("ipAddress") &&
+    asset.ipAddress.trim() &&
+    !IP_ADDRESS_PATTERN.test(asset.ipAddress.trim())
+  ) {
+    errors.ipAddress = "Enter a valid IPv4 address";
+  }
+  if (asset.purchaseCost !== "" && !(Number(asset.purchaseCost) >= 0)) {
+    errors.purchaseCost = "Purchase cost must be a positive number";
+  }
+  if (asset.amcExpiryDate && !asset.amcContractNo.trim()) {
+    errors.amcContractNo = "AMC contract number is required with an AMC expiry";
+  }
+  if (!asset.device) {
+    errors.device = "Device type is required";
+  }
+  if (!asset.deviceSerialNo.trim()) {
+    errors.deviceSerialNo = "Device serial number is required";
+  }
+  return errors;
+};
@@ -0,0 +1,47 @@
+import { currencies } from "../data/assets";
+import { getUsefulLife } from "./deviceTypes";
+import { parseDate } from "./formatters";
+
+export const DEPRECIATION_METHODS = {
+  STRAIGHT_LINE: "Straight-line",
+  WRITTEN_DOWN_VALUE: "Written-down value",
+};
+
+export const depreciationMethods = Object.values(DEPRECIATION_METHODS);
+
+// Share of the purchase cost an asset is still worth at the end of its useful life
+const RESIDUAL_RATE = 0.05;
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Annual rate that takes the cost down to the residual value over the useful life (WDV)
+const getWrittenDownRate = (usefulLife) => 1 - Math.pow(RESIDUAL_RATE, 1 / usefulLife);
+
+// Book value of an asset on a given date
+// deviceTypes is the device type catalogue, which holds the useful life of each type
+// Returns null when the asset has no purchase cost or purchase date
+export const calculateDepreciation = (asset, asOf = new Date(), deviceTypes = []) => {
+  const cost = Number(asset?.purchaseCost);
+  const purchaseDate = parseDate(asset?.dateOfPurchase);
+  if (!asset?.purchaseCost || isNaN(cost) || cost <= 0 || !purchaseDate) return null;
+
+  const method = asset.depreciationMethod || DEPRECIATION_METHODS.STRAIGHT_LINE;
+  const usefulLife = getUsefulLife(asset.device, deviceTypes);
+  const ageYears = Math.max(0, (asOf.getTime() - purchaseDate.getTime()) / YEAR_MS);
+  const residualValue = cost * RESIDUAL_RATE;
+
+  const currentValue =
+    method === DEPRECIATION_METHODS.WRITTEN_DOWN_VALUE
+      ? Math.max(residualValue, cost * Math.pow(1 - getWrittenDownRate(usefulLife), ageYears))
+      : Math.max(residualValue, cost - ((cost - residualValue) * ageYears) / usefulLife);
+
+  return {
+    cost,
+    currency: asset.currency || currencies[0],
+    method,
+    usefulLife,
+    ageYears,
+    currentValue: Math.round(currentValue * 100) / 100,
+    accumulatedDepreciation: Math.round((cost - currentValue) * 100) / 100,
+  };
+};
@@ -0,0 +1,25 @@
+import { defaultDeviceTypes } from "../data/assets";
+
+// Device types without a configured useful life
+const DEFAULT_USEFUL_LIFE_YEARS = 5;
+
+// Catalogue entry for a device type
+// Entries saved before useful life and spec fields were stored use the built-in type of the same name
+const findDeviceType = (device, deviceTypes, setting) => {
+  const entry = deviceTypes.find((type) => type.name === device);
+  return entry?.[setting] !== undefined && entry?.[setting] !== null
+    ? entry
+    : defaultDeviceTypes.find((type) => type.name === device);
+};
+
+// Spec fields (keys of specFields) that apply to a device type
+export const getDeviceSpecFields = (device, deviceTypes = []) => {
+  const specFields = findDeviceType(device, deviceTypes, "specFields")?.specFields;
+  return Array.isArray(specFields) ? specFields : [];
+};
+
+// Useful life in years of a device type (used for depreciation)
+export const getUsefulLife = (device, deviceTypes = []) => {
+  const years = Number(findDeviceType(device, deviceTypes, "usefulLifeYears")?.usefulLifeYears);
+  return years > 0 ? years : DEFAULT_USEFUL_LIFE_YEARS;
+};
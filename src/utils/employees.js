@@ -0,0 +1,44 @@
+// Employee records from an employee API response
+export const extractEmployees = (response) => {
+  const data = response?.data?.employees || response?.data || response?.employees || [];
+  return Array.isArray(data) ? data.filter((employee) => employee?.name) : [];
+};
+
+export const getEmployeeKey = (employee) => employee?._id || employee?.id;
+
+// Courtesy words people add to free-text user names ("Vikram sir", "Mr. Mohit")
+const HONORIFICS = ["mr", "mrs", "ms", "miss", "dr", "sir", "madam", "mam", "maam", "ji"];
+
+// Lower-case name without punctuation, extra spaces or honorifics, for matching spellings
+export const normalizePersonName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !HONORIFICS.includes(word))
+    .join(" ");
+
+// Employees whose name matches a free-text user name
+// An exact normalised match wins; otherwise a single-word name ("Mohit") matches every
+// employee with that first name, so ambiguous spellings come back as several candidates
+export const findEmployeeMatches = (userName, employees) => {
+  const normalized = normalizePersonName(userName);
+  if (!normalized) return [];
+
+  const exact = employees.filter((employee) => normalizePersonName(employee.name) === normalized);
+  if (exact.length > 0) return exact;
+
+  if (normalized.includes(" ")) return [];
+  return employees.filter((employee) => normalizePersonName(employee.name).split(" ")[0] === normalized);
+};
+
+// Case-insensitive search over ID, name and email
+export const filterEmployees = (employees, search) => {
+  const term = search.trim().toLowerCase();
+  if (!term) return employees;
+  return employees.filter((employee) =>
+    [employee.employeeId, employee.name, employee.email].some((value) =>
+      String(value || "").toLowerCase().includes(term),
+    ),
+  );
+};
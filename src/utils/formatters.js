@@ -0,0 +1,98 @@
+import { assetFields } from "../data/assets";
+import { getDeviceSpecFields } from "./deviceTypes";
+
+// Format date to user-friendly format (DD-MM-YYYY)
+export const formatDate = (dateString) => {
+  if (!dateString) return "-";
+  try {
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return dateString;
+    const day = String(date.getDate()).padStart(2, "0");
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const year = date.getFullYear();
+    return `${day}-${month}-${year}`;
+  } catch {
+    return dateString;
+  }
+};
+
+// Parse a stored date (ISO string, Date or DD-MM-YYYY from Excel imports); null if invalid
+export const parseDate = (value) => {
+  if (!value) return null;
+  const ddmmyyyy = typeof value === "string" && value.match(/^(\d{1,2})-(\d{1,2})-(\d{4})$/);
+  const date = ddmmyyyy
+    ? new Date(Number(ddmmyyyy[3]), Number(ddmmyyyy[2]) - 1, Number(ddmmyyyy[1]))
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Value for an <input type="date"> (YYYY-MM-DD), empty if the date can't be parsed
+export const toDateInputValue = (value) => {
+  const date = parseDate(value);
+  if (!date) return "";
+  const day = String(date.getDate()).padStart(2, "0");
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Format date for Excel exports (DD-MM-YYYY, empty string if missing)
+export const formatDateForExport = (dateString) => {
+  if (!dateString) return "";
+  const date = parseDate(dateString);
+  if (!date) return dateString;
+  const day = String(date.getDate()).padStart(2, "0");
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  return `${day}-${month}-${date.getFullYear()}`;
+};
+
+// Format an amount in the given currency (e.g. ₹45,000.00)
+export const formatCurrency = (amount, currency = "INR") => {
+  if (amount === undefined || amount === null || amount === "" || isNaN(Number(amount))) {
+    return "-";
+  }
+  try {
+    return new Intl.NumberFormat("en-IN", { style: "currency", currency }).format(Number(amount));
+  } catch {
+    return `${currency} ${Number(amount).toFixed(2)}`;
+  }
+};
+
+// Format date and time (DD-MM-YYYY HH:mm)
+export const formatDateTime = (dateString, emptyText = "-") => {
+  if (!dateString) return emptyText;
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) return dateString;
+  const hours = String(date.getHours()).padStart(2, "0");
+  const minutes = String(date.getMinutes()).padStart(2, "0");
+  return `${formatDate(dateString)} ${hours}:${minutes}`;
+};
+
+// Display name for a user reference (populated user object or bare id)
+export const formatUserRef = (userRef) => {
+  if (!userRef) return "Unknown user";
+  if (typeof userRef === "object") {
+    return userRef.name || userRef.username || "Unknown user";
+  }
+  return userRef;
+};
+
+const assetFieldsByKey = Object.fromEntries(assetFields.map((field) => [field.key, field]));
+
+// Display label for an asset field key (falls back to the key itself)
+export const getAssetFieldLabel = (key) => assetFieldsByKey[key]?.label || key;
+
+// Render an asset field value for display (dates as DD-MM-YYYY, empty as a dash)
+export const formatAssetFieldValue = (key, value) => {
+  if (value === undefined || value === null || value === "") return "—";
+  if (assetFieldsByKey[key]?.type === "date") return formatDate(value);
+  return String(value);
+};
+
+// Short spec summary for tables, e.g. "Latitude 5420 · i5-1145G7 · 16 GB · 512 GB SSD"
+const SUMMARY_SPEC_KEYS = ["model", "cpu", "ram", "storage", "ipAddress"];
+
+export const formatSpecSummary = (asset, deviceTypes = []) =>
+  getDeviceSpecFields(asset?.device, deviceTypes)
+    .filter((key) => SUMMARY_SPEC_KEYS.includes(key) && asset[key])
+    .map((key) => asset[key])
+    .join(" · ");
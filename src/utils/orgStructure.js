@@ -0,0 +1,24 @@
+import { departments as defaultDepartments } from "../data/assets";
+
+// Department records from an API response (strings or { _id, name, branch } objects)
+// A department without a branch is shared by every branch
+export const extractDepartmentRecords = (response) => {
+  const data = response?.data || response?.departments || response || [];
+  return Array.isArray(data)
+    ? data
+        .map((item) =>
+          typeof item === "string"
+            ? { name: item, branch: "" }
+            : { id: item._id || item.id, name: item.name, branch: item.branch || "" },
+        )
+        .filter((item) => item.name)
+    : [];
+};
+
+// Departments that can be picked at a branch: built-in and shared ones plus the branch's own
+export const getBranchDepartments = (records, branch) => [
+  ...new Set([
+    ...defaultDepartments,
+    ...records.filter((record) => !record.branch || record.branch === branch).map((record) => record.name),
+  ]),
+];
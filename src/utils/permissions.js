@@ -0,0 +1,106 @@
+// Roles stored on the user record (user.role)
+export const ROLES = {
+  VIEWER: "viewer",
+  USER: "user",
+  BRANCH_MANAGER: "branch-manager",
+  IT_STAFF: "it-staff",
+  ADMIN: "admin",
+};
+
+// Display labels for roles
+export const ROLE_LABELS = {
+  [ROLES.VIEWER]: "Viewer",
+  [ROLES.USER]: "User",
+  [ROLES.BRANCH_MANAGER]: "Branch Manager",
+  [ROLES.IT_STAFF]: "IT Staff",
+  [ROLES.ADMIN]: "Admin",
+};
+
+// Account status (public signups start as pending until an admin approves them)
+export const USER_STATUS = {
+  PENDING: "pending",
+  ACTIVE: "active",
+  INACTIVE: "inactive",
+};
+
+// Everything a role can be granted
+export const PERMISSIONS = {
+  ASSET_VIEW_ALL: "assets:view-all", // see every asset, not just own entries
+  ASSET_CREATE: "assets:create",
+  ASSET_EDIT_OWN: "assets:edit-own",
+  ASSET_EDIT_ANY: "assets:edit-any",
+  ASSET_DELETE_OWN: "assets:delete-own",
+  ASSET_DELETE_ANY: "assets:delete-any",
+  ASSET_EDIT_SERIAL: "assets:edit-serial", // override the auto-generated S.No
+  ASSET_EXPORT: "assets:export",
+  ASSET_IMPORT: "assets:import",
+  RECYCLE_BIN_MANAGE: "assets:recycle-bin", // restore or permanently purge deleted assets
+  USER_MANAGE: "users:manage", // approve signups, change roles, deactivate accounts
+  AUDIT_VIEW: "audit:view",
+  REPORT_VIEW: "reports:view", // depreciation and other finance reports
+  MASTER_DATA_MANAGE: "master-data:manage", // maintain device types, companies, branches and departments
+  EMPLOYEE_MANAGE: "employees:manage", // maintain the employee directory and link assets to employees
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.VIEWER]: [PERMISSIONS.ASSET_VIEW_ALL, PERMISSIONS.ASSET_EXPORT, PERMISSIONS.REPORT_VIEW],
+  [ROLES.USER]: [
+    PERMISSIONS.ASSET_CREATE,
+    PERMISSIONS.ASSET_EDIT_OWN,
+    PERMISSIONS.ASSET_DELETE_OWN,
+    PERMISSIONS.ASSET_EXPORT,
+  ],
+  [ROLES.BRANCH_MANAGER]: [
+    PERMISSIONS.ASSET_VIEW_ALL,
+    PERMISSIONS.ASSET_CREATE,
+    PERMISSIONS.ASSET_EDIT_OWN,
+    PERMISSIONS.ASSET_DELETE_OWN,
+    PERMISSIONS.ASSET_EXPORT,
+    PERMISSIONS.REPORT_VIEW,
+  ],
+  [ROLES.IT_STAFF]: [
+    PERMISSIONS.ASSET_VIEW_ALL,
+    PERMISSIONS.ASSET_CREATE,
+    PERMISSIONS.ASSET_EDIT_OWN,
+    PERMISSIONS.ASSET_EDIT_ANY,
+    PERMISSIONS.ASSET_DELETE_OWN,
+    PERMISSIONS.ASSET_EXPORT,
+    PERMISSIONS.ASSET_IMPORT,
+    PERMISSIONS.REPORT_VIEW,
+    PERMISSIONS.EMPLOYEE_MANAGE,
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+// Permissions granted to a user (unknown roles get none)
+export const getPermissions = (user) => ROLE_PERMISSIONS[user?.role] || [];
+
+// Check a single permission
+export const hasPermission = (user, permission) =>
+  getPermissions(user).includes(permission);
+
+// Check that the user has every permission in the list
+export const hasAllPermissions = (user, permissions = []) =>
+  permissions.every((permission) => hasPermission(user, permission));
+
+// Check if the user created an asset
+// Handle both cases: createdBy as string ID or as populated user object
+export const isAssetOwner = (user, asset) => {
+  if (!asset?.createdBy || !user?._id) return false;
+  if (typeof asset.createdBy === "object") {
+    return asset.createdBy._id === user._id;
+  }
+  return asset.createdBy === user._id;
+};
+
+// Users without ASSET_VIEW_ALL only see the assets they created (as on the dashboard)
+export const canViewAsset = (user, asset) =>
+  hasPermission(user, PERMISSIONS.ASSET_VIEW_ALL) || isAssetOwner(user, asset);
+
+export const canEditAsset = (user, asset) =>
+  hasPermission(user, PERMISSIONS.ASSET_EDIT_ANY) ||
+  (hasPermission(user, PERMISSIONS.ASSET_EDIT_OWN) && isAssetOwner(user, asset));
+
+export const canDeleteAsset = (user, asset) =>
+  hasPermission(user, PERMISSIONS.ASSET_DELETE_ANY) ||
+  (hasPermission(user, PERMISSIONS.ASSET_DELETE_OWN) && isAssetOwner(user, asset));